@@ -0,0 +1,251 @@
+import React, { useEffect, useRef, useState } from "react";
+import { BUILTIN_PRESETS } from "./presets";
+import { getFormat } from "./exportFormats";
+import { createProcessor, processFile } from "./processor";
+import { supportsOfflineExport } from "./offlineExport";
+import { downloadBlob } from "./utils";
+
+// Batch queue: drop or pick many video files and export each through one preset (or the current
+// stack) with the export dialog's settings, one file at a time through processor.js. Items are
+// { id, file, status: "queued" | "running" | "done" | "failed" | "cancelled", progress, error, result }
+// with `result` the finished file's { url, fileName, note, saved }. Finished files can be saved as they
+// come (to a picked folder where the browser has the File System Access API, else downloaded); a file
+// kept for a later download holds its blob behind `url` until it is downloaded or removed.
+
+let nextItemId = 1;
+
+function createItem(file) {
+  return { id: `b${nextItemId++}`, file, status: "queued", progress: 0, error: null, result: null };
+}
+
+const STATUS_LABELS = { queued: "Queued", running: "Exporting", done: "Done", failed: "Failed", cancelled: "Cancelled" };
+
+const canPickFolder = () => typeof window.showDirectoryPicker === "function";
+
+async function writeToFolder(folder, blob, fileName) {
+  const handle = await folder.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(blob);
+  await writable.close();
+}
+
+export default function BatchPanel({ presets, currentPreset, exportSettings, audioSettings, disabled, onBusyChange }) {
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [presetKey, setPresetKey] = useState("current");
+  const [running, setRunning] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [warnings, setWarnings] = useState([]);
+  // Where finished files go: "keep" (download each later), "download" (right away) or "folder"
+  const [saveMode, setSaveMode] = useState("keep");
+  const [folder, setFolder] = useState(null);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const controllers = useRef(new Map());
+  const stopRef = useRef(false);
+
+  // Free finished files' URLs on unmount
+  useEffect(() => () => itemsRef.current.forEach((i) => i.result && i.result.url && URL.revokeObjectURL(i.result.url)), []);
+
+  const update = (id, patch) => setItems((list) => list.map((i) => (i.id === id ? { ...i, ...patch } : i)));
+
+  function addFiles(files) {
+    const videos = [...files].filter((f) => f.type.startsWith("video/"));
+    if (videos.length) setItems((list) => [...list, ...videos.map(createItem)]);
+  }
+
+  function resolvePreset() {
+    if (presetKey === "current") return currentPreset();
+    const [kind, ...rest] = presetKey.split(":");
+    const name = rest.join(":");
+    return (kind === "builtin" ? BUILTIN_PRESETS : presets).find((p) => p.name === name) || null;
+  }
+
+  async function pickFolder() {
+    try {
+      setFolder(await window.showDirectoryPicker({ mode: "readwrite" }));
+      setSaveMode("folder");
+    } catch (err) {
+      if (err.name !== "AbortError") console.error(err);
+    }
+  }
+
+  // Save a finished file as `saveMode` says; the result keeps the blob only when it wasn't saved
+  async function saveResult(blob, fileName, note) {
+    if (saveMode === "folder" && folder) {
+      try {
+        await writeToFolder(folder, blob, fileName);
+        return { url: null, fileName, note, saved: `Saved to ${folder.name}` };
+      } catch (err) {
+        console.error(err);
+        return { url: URL.createObjectURL(blob), fileName, note: [note, `not saved: ${err.message}`].filter(Boolean).join(", "), saved: null };
+      }
+    }
+    if (saveMode === "download") {
+      downloadBlob(blob, fileName);
+      return { url: null, fileName, note, saved: "Downloaded" };
+    }
+    return { url: URL.createObjectURL(blob), fileName, note, saved: null };
+  }
+
+  async function start() {
+    const preset = resolvePreset();
+    if (!preset) return;
+    stopRef.current = false;
+    setRunning(true);
+    onBusyChange(true);
+    let processor = null;
+    const tried = new Set();
+    try {
+      processor = createProcessor(preset);
+      setWarnings(processor.warnings);
+      for (;;) {
+        const item = itemsRef.current.find((i) => i.status === "queued" && !tried.has(i.id));
+        if (!item || stopRef.current) break;
+        tried.add(item.id);
+        const controller = new AbortController();
+        controllers.current.set(item.id, controller);
+        update(item.id, { status: "running", progress: 0, error: null });
+        try {
+          const { blob, format, fileName, audio } = await processFile(item.file, preset, {
+            exportSettings,
+            audioSettings,
+            processor,
+            signal: controller.signal,
+            onProgress: (progress) => update(item.id, { progress }),
+          });
+          const notes = [];
+          if (format.id !== exportSettings.format) notes.push(`as ${format.label}`);
+          if (!audioSettings.muted && !format.image && !audio) notes.push("without audio");
+          update(item.id, { status: "done", progress: 1, result: await saveResult(blob, fileName, notes.join(", ")) });
+        } catch (err) {
+          if (err.name === "AbortError") {
+            update(item.id, { status: "cancelled" });
+          } else {
+            console.error(err);
+            update(item.id, { status: "failed", error: err.message });
+          }
+        } finally {
+          controllers.current.delete(item.id);
+        }
+      }
+    } catch (err) {
+      // The processor itself failed (e.g. no canvas backend): nothing in the queue can run
+      console.error(err);
+      setItems((list) => list.map((i) => (i.status === "queued" ? { ...i, status: "failed", error: err.message } : i)));
+    } finally {
+      if (processor) processor.dispose();
+      setRunning(false);
+      onBusyChange(false);
+    }
+  }
+
+  function cancel(item) {
+    const controller = controllers.current.get(item.id);
+    if (controller) controller.abort();
+    else if (item.status === "queued") update(item.id, { status: "cancelled" });
+  }
+
+  function cancelAll() {
+    stopRef.current = true;
+    for (const controller of controllers.current.values()) controller.abort();
+    setItems((list) => list.map((i) => (i.status === "queued" ? { ...i, status: "cancelled" } : i)));
+  }
+
+  function remove(item) {
+    if (item.result && item.result.url) URL.revokeObjectURL(item.result.url);
+    setItems((list) => list.filter((i) => i.id !== item.id));
+  }
+
+  // The blob is let go once its download has started
+  function download(item) {
+    const { url, fileName } = item.result;
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    update(item.id, { result: { ...item.result, url: null, saved: "Downloaded" } });
+  }
+
+  const queued = items.filter((i) => i.status === "queued").length;
+  const supported = supportsOfflineExport(exportSettings.format);
+
+  return (
+    <div className="mt-6 border p-2 rounded">
+      <button onClick={() => setOpen((o) => !o)} aria-expanded={open} aria-label="Toggle batch export" className="font-medium">
+        {open ? "▾" : "▸"} Batch Export{items.length ? ` (${items.filter((i) => i.status === "done").length}/${items.length})` : ""}
+      </button>
+
+      {open && (
+        <div className="mt-2 text-sm">
+          <div
+            onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={(e) => { e.preventDefault(); setDragging(false); addFiles(e.dataTransfer.files); }}
+            className={`p-3 border-2 border-dashed rounded text-center text-gray-600 ${dragging ? "border-blue-500 bg-blue-50" : ""}`}
+          >
+            Drop video files here or{" "}
+            <label className="underline cursor-pointer">
+              pick them
+              <input type="file" accept="video/*" multiple className="hidden" aria-label="Add video files to the batch" onChange={(e) => { addFiles(e.target.files); e.target.value = ""; }} />
+            </label>
+          </div>
+
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <span>Preset</span>
+            <select aria-label="Batch preset" value={presetKey} onChange={(e) => setPresetKey(e.target.value)} disabled={running} className="border rounded px-1">
+              <option value="current">Current stack</option>
+              <optgroup label="Built-in">
+                {BUILTIN_PRESETS.map((p) => <option key={p.name} value={`builtin:${p.name}`}>{p.name}</option>)}
+              </optgroup>
+              {presets.length > 0 && (
+                <optgroup label="Saved">
+                  {presets.map((p) => <option key={p.name} value={`user:${p.name}`}>{p.name}</option>)}
+                </optgroup>
+              )}
+            </select>
+            <span className="text-gray-600">{getFormat(exportSettings.format).label}, {exportSettings.fps} fps — from the export settings</span>
+            {!running && <button onClick={start} disabled={disabled || !queued || !supported} aria-label="Export all queued files" className="px-3 py-1 bg-green-600 text-white rounded">Export {queued || ""}</button>}
+            {running && <button onClick={cancelAll} aria-label="Cancel the batch" className="px-3 py-1 bg-red-600 text-white rounded">Cancel all</button>}
+            {!running && items.some((i) => i.status !== "running" && i.status !== "queued") && (
+              <button onClick={() => items.filter((i) => i.status !== "queued").forEach(remove)} aria-label="Clear finished items" className="px-2 border rounded">Clear finished</button>
+            )}
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <span>Finished files</span>
+            <select aria-label="Where finished batch files go" value={saveMode} onChange={(e) => (e.target.value === "folder" && !folder ? pickFolder() : setSaveMode(e.target.value))} disabled={running} className="border rounded px-1">
+              <option value="keep">Keep here to download</option>
+              <option value="download">Download each when done</option>
+              {canPickFolder() && <option value="folder">{folder ? `Save to ${folder.name}` : "Save to a folder…"}</option>}
+            </select>
+            {saveMode === "folder" && <button onClick={pickFolder} disabled={running} aria-label="Choose the batch output folder" className="px-2 border rounded">Change folder</button>}
+          </div>
+          {warnings.map((w) => <div key={w} className="mt-1 text-gray-600">{w}</div>)}
+          {!supported && <div className="mt-1 text-red-700">This browser can't export {getFormat(exportSettings.format).label} offline, which the batch needs.</div>}
+
+          {items.length > 0 && (
+            <ul className="mt-2 space-y-1" aria-label="Batch queue">
+              {items.map((item) => (
+                <li key={item.id} className="flex items-center gap-2">
+                  <span className="w-48 truncate" title={item.file.name}>{item.file.name}</span>
+                  <progress value={item.progress} max={1} className="w-32" aria-label={`${item.file.name} progress`} />
+                  <span className={`w-20 ${item.status === "failed" ? "text-red-700" : ""}`}>{STATUS_LABELS[item.status]}</span>
+                  {item.error && <span className="text-red-700 truncate" title={item.error}>{item.error}</span>}
+                  {item.result && item.result.note && <span className="text-gray-600">({item.result.note})</span>}
+                  {item.result && item.result.saved && <span className="text-gray-600">{item.result.saved}</span>}
+                  <span className="ml-auto flex gap-1">
+                    {item.result && item.result.url && <button onClick={() => download(item)} aria-label={`Download ${item.result.fileName}`} className="px-2 border rounded">Download</button>}
+                    {(item.status === "failed" || item.status === "cancelled") && <button onClick={() => update(item.id, { status: "queued", progress: 0, error: null })} aria-label={`Retry ${item.file.name}`} className="px-2 border rounded">Retry</button>}
+                    {(item.status === "queued" || item.status === "running") && <button onClick={() => cancel(item)} aria-label={`Cancel ${item.file.name}`} className="px-2 border rounded">Cancel</button>}
+                    {item.status !== "running" && <button onClick={() => remove(item)} aria-label={`Remove ${item.file.name}`} className="px-2 border rounded">Remove</button>}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
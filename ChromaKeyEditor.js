@@ -0,0 +1,42 @@
+import React from "react";
+import { BACKDROP_KINDS } from "./chromaKey";
+
+// Key color and backdrop of one chroma key layer. "Pick" arms the eyedropper: the next click on the
+// Original video sets the key color. An image or video backdrop keeps its color as the fill shown
+// until the file is loaded.
+export default function ChromaKeyEditor({ label, data, picking, onPick, onChange, onLoadBackdrop, onEditEnd }) {
+  const { key, backdrop } = data;
+  const setBackdrop = (patch) => onChange({ ...data, backdrop: { ...backdrop, ...patch } });
+
+  return (
+    <div className="mt-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Key color</span>
+        <input type="color" value={key || "#00ff00"} onChange={(e) => onChange({ ...data, key: e.target.value })} onBlur={onEditEnd} aria-label={`${label} key color`} />
+        <button onClick={onPick} aria-pressed={picking} aria-label={`Pick ${label} key color from the original video`} className={`px-2 border rounded ${picking ? "bg-yellow-300" : ""}`}>
+          {picking ? "Click the original video…" : "Pick"}
+        </button>
+        {!key && <span className="text-gray-600">No key color yet — pick one to start keying</span>}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <span>Background</span>
+        <select aria-label={`${label} background`} value={backdrop.kind} onChange={(e) => setBackdrop({ kind: e.target.value, name: "", media: null })} className="border rounded px-1">
+          {BACKDROP_KINDS.map((k) => <option key={k.id} value={k.id}>{k.label}</option>)}
+        </select>
+        <input type="color" value={backdrop.color} onChange={(e) => setBackdrop({ color: e.target.value })} onBlur={onEditEnd} aria-label={`${label} background color`} />
+        {backdrop.kind !== "color" && (
+          <>
+            <label className="px-2 border rounded cursor-pointer">
+              Load {backdrop.kind}…
+              <input type="file" accept={backdrop.kind === "video" ? "video/*" : "image/*"} className="hidden" aria-label={`Load ${label} background ${backdrop.kind}`} onChange={(e) => { if (e.target.files[0]) onLoadBackdrop(e.target.files[0]); e.target.value = ""; }} />
+            </label>
+            <span className="truncate text-gray-600">
+              {backdrop.media ? backdrop.name : backdrop.name ? `${backdrop.name} — load the file again to show it` : `No ${backdrop.kind} loaded`}
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useRef } from "react";
+
+const SIZE = 88;
+const RADIUS = SIZE / 2;
+
+// Hue/amount picker: the angle (clockwise from the top, red first) picks the hue in turns (0..1),
+// the distance from the centre the amount (0..1). Double-click resets; arrow keys nudge.
+export default function ColorWheel({ label, hue, amount, onChange, onEditEnd }) {
+  const dragRef = useRef(false);
+
+  function pick(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const dx = e.clientX - rect.left - RADIUS;
+    const dy = e.clientY - rect.top - RADIUS;
+    const turns = Math.atan2(dx, -dy) / (2 * Math.PI);
+    onChange((turns + 1) % 1, Math.min(1, Math.hypot(dx, dy) / RADIUS));
+  }
+
+  function onKeyDown(e) {
+    const step = { ArrowLeft: [-1 / 72, 0], ArrowRight: [1 / 72, 0], ArrowUp: [0, 0.02], ArrowDown: [0, -0.02] }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    onChange((hue + step[0] + 1) % 1, Math.min(1, Math.max(0, amount + step[1])));
+  }
+
+  const angle = hue * 2 * Math.PI;
+  return (
+    <div className="flex flex-col items-center text-xs">
+      <div
+        role="group"
+        tabIndex={0}
+        aria-label={`${label} color wheel: hue ${Math.round(hue * 360)}°, amount ${Math.round(amount * 100)}%. Arrow keys adjust`}
+        onPointerDown={(e) => { dragRef.current = true; e.currentTarget.setPointerCapture(e.pointerId); pick(e); }}
+        onPointerMove={(e) => { if (dragRef.current) pick(e); }}
+        onPointerUp={() => { dragRef.current = false; onEditEnd(); }}
+        onDoubleClick={() => { onChange(hue, 0); onEditEnd(); }}
+        onKeyDown={onKeyDown}
+        onKeyUp={onEditEnd}
+        className="relative rounded-full cursor-crosshair touch-none"
+        style={{
+          width: SIZE,
+          height: SIZE,
+          background: "radial-gradient(circle, #808080 0%, rgba(128,128,128,0) 70%), conic-gradient(red, yellow, lime, cyan, blue, magenta, red)",
+        }}
+      >
+        <span
+          className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-white shadow pointer-events-none"
+          style={{ left: RADIUS + Math.sin(angle) * amount * RADIUS, top: RADIUS - Math.cos(angle) * amount * RADIUS }}
+        />
+      </div>
+      <span className="mt-1">{label}</span>
+    </div>
+  );
+}
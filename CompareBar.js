@@ -0,0 +1,58 @@
+import React from "react";
+import { COMPARE_MODES } from "./compare";
+import { BUILTIN_PRESETS } from "./presets";
+
+// Compare controls for the processed canvas: mode, split direction, A/B preset choice and a
+// hold-to-show-original button (also bound to the "\" key).
+// A/B sides are "current" (the live stack) or a preset key "builtin:<name>" / "user:<name>".
+export default function CompareBar({ compare, presets, onChange, onSide, onHold }) {
+  const split = compare.mode === "wipe" || compare.mode === "ab";
+
+  function sideSelect(side, label) {
+    return (
+      <select aria-label={`Compare side ${label}`} value={compare[side]} onChange={(e) => onSide(side, e.target.value)} className="border rounded px-1">
+        <option value="current">Current stack</option>
+        <optgroup label="Built-in">
+          {BUILTIN_PRESETS.map((p) => <option key={p.name} value={`builtin:${p.name}`}>{p.name}</option>)}
+        </optgroup>
+        {presets.length > 0 && (
+          <optgroup label="Saved">
+            {presets.map((p) => <option key={p.name} value={`user:${p.name}`}>{p.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+    );
+  }
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+      <select aria-label="Compare mode" value={compare.mode} onChange={(e) => onChange({ mode: e.target.value })} className="border rounded px-1">
+        {COMPARE_MODES.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+      </select>
+      {split && (
+        <select aria-label="Split direction" value={compare.horizontal ? "horizontal" : "vertical"} onChange={(e) => onChange({ horizontal: e.target.value === "horizontal" })} className="border rounded px-1">
+          <option value="vertical">Vertical split</option>
+          <option value="horizontal">Horizontal split</option>
+        </select>
+      )}
+      {compare.mode === "ab" && (
+        <>
+          A {sideSelect("a", "A")}
+          B {sideSelect("b", "B")}
+        </>
+      )}
+      <button
+        onPointerDown={() => onHold(true)}
+        onPointerUp={() => onHold(false)}
+        onPointerLeave={() => onHold(false)}
+        onKeyDown={(e) => { if (e.key === " " || e.key === "Enter") onHold(true); }}
+        onKeyUp={() => onHold(false)}
+        aria-label="Hold to show original (or hold the backslash key)"
+        title="Hold to show original ( \ )"
+        className="ml-auto px-2 border rounded"
+      >
+        Hold: Original
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useRef, useState } from "react";
+import { clampCrop, MIN_CROP } from "./transform";
+import { pictureBox } from "./utils";
+
+const HANDLES = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
+
+// Crop rectangle drawn over the processed canvas while it shows the untransformed source.
+// Drag inside to move it, drag a handle to resize; `crop` is in fractions of the frame.
+export default function CropEditor({ canvasRef, crop, onChange, onEditEnd }) {
+  const dragRef = useRef(null);
+  const [box, setBox] = useState(null);
+
+  // Position over the canvas picture; re-measure when the window or the canvas resizes, or when the
+  // canvas resolution changes (the renderer redraws the untransformed frame, which may change its
+  // aspect without resizing the element)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    // Measured from the canvas, which is always laid out (the editor sits beside it in the same parent)
+    function measure() {
+      const next = pictureBox(canvas);
+      if (!next) return;
+      setBox((prev) => (prev && Object.keys(next).every((k) => prev[k] === next[k]) ? prev : next));
+    }
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(canvas);
+    const resolution = new MutationObserver(measure);
+    resolution.observe(canvas, { attributes: true, attributeFilter: ["width", "height"] });
+    window.addEventListener("resize", measure);
+    return () => {
+      observer.disconnect();
+      resolution.disconnect();
+      window.removeEventListener("resize", measure);
+    };
+  }, [canvasRef]);
+
+  function start(e, handle) {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { handle, x: e.clientX, y: e.clientY, crop };
+  }
+
+  function move(e) {
+    const drag = dragRef.current;
+    if (!drag || !box) return;
+    const dx = (e.clientX - drag.x) / box.width;
+    const dy = (e.clientY - drag.y) / box.height;
+    const c = drag.crop;
+    if (drag.handle === "move") {
+      onChange(clampCrop({ ...c, x: c.x + dx, y: c.y + dy }));
+      return;
+    }
+    let { x, y } = c;
+    let right = c.x + c.w;
+    let bottom = c.y + c.h;
+    if (drag.handle.includes("w")) x = Math.min(right - MIN_CROP, Math.max(0, x + dx));
+    if (drag.handle.includes("e")) right = Math.max(x + MIN_CROP, Math.min(1, right + dx));
+    if (drag.handle.includes("n")) y = Math.min(bottom - MIN_CROP, Math.max(0, y + dy));
+    if (drag.handle.includes("s")) bottom = Math.max(y + MIN_CROP, Math.min(1, bottom + dy));
+    onChange(clampCrop({ x, y, w: right - x, h: bottom - y }));
+  }
+
+  function end() {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    onEditEnd();
+  }
+
+  const handleStyle = (h) => ({
+    left: h.includes("w") ? "0%" : h.includes("e") ? "100%" : "50%",
+    top: h.includes("n") ? "0%" : h.includes("s") ? "100%" : "50%",
+    cursor: `${h}-resize`,
+  });
+
+  return (
+    <div className="absolute pointer-events-none" style={box || { visibility: "hidden" }}>
+      <div
+        role="group"
+        aria-label="Crop area: drag to move, drag the handles to resize"
+        className="absolute border-2 border-white pointer-events-auto cursor-move touch-none"
+        style={{ left: `${crop.x * 100}%`, top: `${crop.y * 100}%`, width: `${crop.w * 100}%`, height: `${crop.h * 100}%`, boxShadow: "0 0 0 9999px rgba(0,0,0,0.5)" }}
+        onPointerDown={(e) => start(e, "move")}
+        onPointerMove={move}
+        onPointerUp={end}
+      >
+        {HANDLES.map((h) => (
+          <span
+            key={h}
+            aria-hidden="true"
+            className="absolute w-3 h-3 -ml-1.5 -mt-1.5 bg-white border border-gray-700"
+            style={handleStyle(h)}
+            onPointerDown={(e) => start(e, h)}
+            onPointerMove={move}
+            onPointerUp={end}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useRef, useState } from "react";
+import { CURVE_CHANNELS, sampleCurve } from "./curves";
+
+const SIZE = 180;
+const HIT = 0.04; // grab distance in curve units
+
+// Curve editor for one curves layer. Click to add a point, drag to move it, double-click a point
+// to remove it. The end points can only move vertically.
+export default function CurvesEditor({ label, curves, onChange, onEditEnd }) {
+  const [channel, setChannel] = useState("rgb");
+  const dragRef = useRef(null);
+  const points = curves[channel];
+  const color = CURVE_CHANNELS.find((c) => c.id === channel).color;
+
+  function position(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const y = Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height));
+    return [x, y];
+  }
+
+  function nearest([x, y]) {
+    let best = -1;
+    let dist = HIT;
+    points.forEach(([px, py], i) => {
+      const d = Math.hypot(px - x, py - y);
+      if (d < dist) { dist = d; best = i; }
+    });
+    return best;
+  }
+
+  function setPoints(next) {
+    onChange({ ...curves, [channel]: next });
+  }
+
+  function movePoint(index, [x, y]) {
+    const next = points.map((p) => [...p]);
+    const last = points.length - 1;
+    // Keep x order: a point stays between its neighbours, the ends stay at 0 and 1
+    const min = index === 0 ? 0 : index === last ? 1 : points[index - 1][0] + 0.01;
+    const max = index === 0 ? 0 : index === last ? 1 : points[index + 1][0] - 0.01;
+    next[index] = [Math.min(max, Math.max(min, x)), y];
+    setPoints(next);
+  }
+
+  function onPointerDown(e) {
+    const p = position(e);
+    let index = nearest(p);
+    if (index < 0) {
+      index = points.findIndex(([x]) => x > p[0]);
+      if (index <= 0) return;
+      setPoints([...points.slice(0, index), p, ...points.slice(index)]);
+    }
+    dragRef.current = index;
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }
+
+  function onDoubleClick(e) {
+    const index = nearest(position(e));
+    if (index <= 0 || index === points.length - 1) return;
+    setPoints(points.filter((_, i) => i !== index));
+    onEditEnd();
+  }
+
+  const samples = sampleCurve(points, 64);
+  const path = Array.from(samples, (y, i) => `${i ? "L" : "M"}${((i / 63) * SIZE).toFixed(1)},${((1 - y) * SIZE).toFixed(1)}`).join("");
+
+  return (
+    <div className="mt-2 text-sm">
+      <div className="mb-1 flex gap-1" role="tablist" aria-label={`${label} channel`}>
+        {CURVE_CHANNELS.map((c) => (
+          <button key={c.id} role="tab" aria-selected={channel === c.id} onClick={() => setChannel(c.id)} className={`px-2 border rounded ${channel === c.id ? "bg-gray-200" : ""}`} style={{ color: c.color }}>
+            {c.label}
+          </button>
+        ))}
+        <button onClick={() => { setPoints([[0, 0], [1, 1]]); onEditEnd(); }} aria-label={`Reset ${label} ${channel} curve`} className="ml-auto px-2 border rounded">Reset</button>
+      </div>
+      <svg
+        width={SIZE}
+        height={SIZE}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        aria-label={`${label} ${channel} curve. Click to add a point, drag to move, double-click to remove`}
+        onPointerDown={onPointerDown}
+        onPointerMove={(e) => { if (dragRef.current != null) movePoint(dragRef.current, position(e)); }}
+        onPointerUp={() => { if (dragRef.current != null) onEditEnd(); dragRef.current = null; }}
+        onDoubleClick={onDoubleClick}
+        className="border rounded bg-gray-50 cursor-crosshair touch-none"
+      >
+        {[0.25, 0.5, 0.75].map((g) => (
+          <React.Fragment key={g}>
+            <line x1={g * SIZE} y1={0} x2={g * SIZE} y2={SIZE} stroke="#e5e7eb" />
+            <line x1={0} y1={g * SIZE} x2={SIZE} y2={g * SIZE} stroke="#e5e7eb" />
+          </React.Fragment>
+        ))}
+        <line x1={0} y1={SIZE} x2={SIZE} y2={0} stroke="#d1d5db" strokeDasharray="4 4" />
+        <path d={path} fill="none" stroke={color} strokeWidth="2" />
+        {points.map(([x, y], i) => <circle key={i} cx={x * SIZE} cy={(1 - y) * SIZE} r="4" fill="white" stroke={color} strokeWidth="2" />)}
+      </svg>
+    </div>
+  );
+}
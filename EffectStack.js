@@ -0,0 +1,147 @@
+import React, { useRef, useState } from "react";
+import { getEffect, listEffects } from "./effects";
+import { BLEND_MODES, layerLabels } from "./stack";
+import ColorWheel from "./ColorWheel";
+import CurvesEditor from "./CurvesEditor";
+import ChromaKeyEditor from "./ChromaKeyEditor";
+
+const GROUPS = [
+  { id: "basic", label: "Basic" },
+  { id: "advanced", label: "Advanced" },
+  { id: "grading", label: "Color Grading" },
+  { id: "keying", label: "Keying" },
+];
+
+// Editable effect stack: layers render top to bottom in list order.
+// Each layer has an enable (bypass) toggle, solo, drag handle, opacity, blend mode and its params,
+// plus color wheels, a curves editor, a LUT loader or the chroma key editor for effects that declare them.
+// `pickingKey` is the id of the chroma key layer whose eyedropper is armed.
+export default function EffectStack({ layers, values, onParam, onData, onLoadLut, pickingKey, onPickKey, onLoadBackdrop, onEditEnd, onUpdate, onAdd, onDuplicate, onRemove, onMove }) {
+  const dragIndexRef = useRef(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const labels = layerLabels(layers);
+  const effects = listEffects();
+
+  function onDrop(e, index) {
+    e.preventDefault();
+    const from = dragIndexRef.current;
+    dragIndexRef.current = null;
+    setDropIndex(null);
+    if (from != null && from !== index) onMove(from, index);
+  }
+
+  return (
+    <div className="border p-4 rounded">
+      <div className="mb-2 flex items-center gap-3">
+        <h3 className="font-semibold">Effect Stack</h3>
+        <select aria-label="Add effect layer" value="" onChange={(e) => { if (e.target.value) onAdd(e.target.value); }} className="ml-auto px-2 py-1 border rounded text-sm">
+          <option value="">+ Add effect…</option>
+          {GROUPS.map((group) => (
+            <optgroup key={group.id} label={group.label}>
+              {effects.filter((fx) => fx.group === group.id).map((fx) => <option key={fx.id} value={fx.id}>{fx.label}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+
+      {layers.length === 0 && <div className="text-sm text-gray-500">No layers — add an effect to start.</div>}
+
+      {layers.map((layer, index) => {
+        const effect = getEffect(layer.effectId);
+        const label = labels[layer.id];
+        const multiParam = effect && Object.keys(effect.params).length > 1;
+        const wheelParams = new Set(effect && effect.wheels ? effect.wheels.flatMap((w) => [w.hue, w.amount]) : []);
+        const value = (key) => values[`${layer.id}.${key}`] ?? layer.params[key];
+        return (
+          <div
+            key={layer.id}
+            className={`mb-2 p-2 border rounded ${dropIndex === index ? "border-blue-500" : ""} ${layer.enabled ? "" : "opacity-50"}`}
+            onDragOver={(e) => { e.preventDefault(); setDropIndex(index); }}
+            onDragLeave={() => setDropIndex((d) => (d === index ? null : d))}
+            onDrop={(e) => onDrop(e, index)}
+          >
+            <div className="flex items-center gap-2 text-sm">
+              <span
+                draggable
+                onDragStart={(e) => { dragIndexRef.current = index; e.dataTransfer.effectAllowed = "move"; }}
+                onDragEnd={() => { dragIndexRef.current = null; setDropIndex(null); }}
+                aria-label={`Drag to reorder ${label}`}
+                title="Drag to reorder"
+                className="cursor-move select-none px-1"
+              >⠿</span>
+              <input type="checkbox" checked={layer.enabled} onChange={(e) => onUpdate(layer.id, { enabled: e.target.checked })} aria-label={`Enable ${label}`} />
+              <span className="font-medium">{label}</span>
+              <button onClick={() => onUpdate(layer.id, { solo: !layer.solo })} aria-pressed={layer.solo} aria-label={`Solo ${label}`} className={`px-1 border rounded ${layer.solo ? "bg-yellow-300" : ""}`}>S</button>
+              <select aria-label={`${label} blend mode`} value={layer.blend} onChange={(e) => onUpdate(layer.id, { blend: e.target.value })} className="ml-auto border rounded px-1">
+                {BLEND_MODES.map((b) => <option key={b.id} value={b.id}>{b.label}</option>)}
+              </select>
+              <input aria-label={`${label} opacity`} title={`Opacity ${Math.round(layer.opacity * 100)}%`} type="range" min="0" max="1" step="0.01" value={layer.opacity} onChange={(e) => onUpdate(layer.id, { opacity: parseFloat(e.target.value) })} onPointerUp={onEditEnd} onKeyUp={onEditEnd} className="w-20" />
+              <button onClick={() => onDuplicate(layer.id)} aria-label={`Duplicate ${label}`} className="px-1 border rounded">⧉</button>
+              <button onClick={() => onRemove(layer.id)} aria-label={`Remove ${label}`} className="px-1 border rounded">✕</button>
+            </div>
+
+            {effect && effect.wheels && (
+              <div className="mt-2 flex gap-4">
+                {effect.wheels.map((w) => (
+                  <ColorWheel
+                    key={w.hue}
+                    label={`${label} ${w.label}`}
+                    hue={value(w.hue)}
+                    amount={value(w.amount)}
+                    onChange={(hue, amount) => { onParam(`${layer.id}.${w.hue}`, hue); onParam(`${layer.id}.${w.amount}`, amount); }}
+                    onEditEnd={onEditEnd}
+                  />
+                ))}
+              </div>
+            )}
+
+            {effect && Object.entries(effect.params).filter(([key]) => !wheelParams.has(key)).map(([key, def]) => {
+              const path = `${layer.id}.${key}`;
+              const name = multiParam ? `${label} ${def.label}` : label;
+              if (def.toggle) {
+                return (
+                  <label key={key} className="flex items-center gap-1 mt-2 text-sm">
+                    <input type="checkbox" checked={value(key) > 0.5} onChange={(e) => onParam(path, e.target.checked ? 1 : 0)} onPointerUp={onEditEnd} onKeyUp={onEditEnd} aria-label={`Toggle ${name.toLowerCase()}`} />
+                    {def.label}
+                  </label>
+                );
+              }
+              return (
+                <React.Fragment key={key}>
+                  <label className="block mt-2 mb-1 text-sm">{def.label}: {def.format ? def.format(value(key)) : value(key).toFixed(2)}</label>
+                  <input aria-label={`Adjust ${name.toLowerCase()}`} type="range" min={def.min} max={def.max} step={def.step} value={value(key)} onChange={(e) => onParam(path, parseFloat(e.target.value))} onPointerUp={onEditEnd} onKeyUp={onEditEnd} />
+                </React.Fragment>
+              );
+            })}
+
+            {effect && effect.editor === "curves" && <CurvesEditor label={label} curves={layer.data} onChange={(data) => onData(layer.id, data)} onEditEnd={onEditEnd} />}
+
+            {effect && effect.editor === "lut" && (
+              <div className="mt-2 flex items-center gap-2 text-sm">
+                <label className="px-2 border rounded cursor-pointer">
+                  Load .cube…
+                  <input type="file" accept=".cube" className="hidden" aria-label={`Load LUT file for ${label}`} onChange={(e) => { if (e.target.files[0]) onLoadLut(layer.id, e.target.files[0]); e.target.value = ""; }} />
+                </label>
+                <span className="truncate text-gray-600">
+                  {layer.data.lut ? `${layer.data.name} (${layer.data.lut.size}³)` : layer.data.name ? `${layer.data.name} — load the file again to apply it` : "No LUT loaded"}
+                </span>
+              </div>
+            )}
+
+            {effect && effect.editor === "chromaKey" && (
+              <ChromaKeyEditor
+                label={label}
+                data={layer.data}
+                picking={pickingKey === layer.id}
+                onPick={() => onPickKey(pickingKey === layer.id ? null : layer.id)}
+                onChange={(data) => onData(layer.id, data)}
+                onLoadBackdrop={(file) => onLoadBackdrop(layer.id, file)}
+                onEditEnd={onEditEnd}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
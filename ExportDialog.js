@@ -0,0 +1,88 @@
+import React, { useEffect } from "react";
+import { EXPORT_FORMATS, RESOLUTIONS, FRAME_RATES, getFormat, exportFileName } from "./exportFormats";
+import { supportsOfflineExport } from "./offlineExport";
+
+// Export settings: mode, container/codec, size, frame rate, bitrate, frame blending and file name.
+// Image outputs (GIF, PNG sequence) are offline-only; unsupported video codecs fall back automatically.
+// A `live` input can't be seeked, so it is always captured in real time.
+export default function ExportDialog({ settings, live, onChange, onStart, onClose }) {
+  const format = getFormat(settings.format);
+  const mode = live ? "realtime" : settings.mode;
+  const offline = mode === "offline";
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  function setMode(mode) {
+    // Real-time capture can only produce video
+    onChange(mode === "realtime" && format.image ? { mode, format: "webm-vp9" } : { mode });
+  }
+
+  function setFormat(id) {
+    // GIF delays are whole centiseconds and browsers clamp very short ones, so cap GIFs at 50fps
+    onChange(getFormat(id).container === "gif" && settings.fps > 50 ? { format: id, fps: 25 } : { format: id });
+  }
+
+  return (
+    <div className="fixed inset-0 z-10 flex items-center justify-center bg-black/40" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="exportDialogTitle" className="bg-white rounded p-4 w-96 text-sm" onClick={(e) => e.stopPropagation()}>
+        <h3 id="exportDialogTitle" className="font-semibold mb-3">Export Settings</h3>
+
+        <label className="block mb-1">Mode</label>
+        <select aria-label="Export mode" value={mode} onChange={(e) => setMode(e.target.value)} className="w-full border rounded px-1 mb-2">
+          <option value="offline" disabled={live || !supportsOfflineExport(settings.format)}>Offline (frame-accurate)</option>
+          <option value="realtime">Real-time capture</option>
+        </select>
+
+        <label className="block mb-1">Format</label>
+        <select aria-label="Export format" value={settings.format} onChange={(e) => setFormat(e.target.value)} className="w-full border rounded px-1 mb-2">
+          {EXPORT_FORMATS.map((f) => <option key={f.id} value={f.id} disabled={f.image && !offline}>{f.label}</option>)}
+        </select>
+
+        <div className="flex gap-2 mb-2">
+          <label className="flex-1">Resolution
+            <select aria-label="Export resolution" value={settings.resolution} onChange={(e) => onChange({ resolution: e.target.value })} className="w-full border rounded px-1">
+              {RESOLUTIONS.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+          </label>
+          <label className="flex-1">Frame rate
+            <select aria-label="Export frame rate" value={settings.fps} onChange={(e) => onChange({ fps: parseInt(e.target.value, 10) })} className="w-full border rounded px-1">
+              {FRAME_RATES.filter((fps) => format.container !== "gif" || fps <= 50).map((fps) => <option key={fps} value={fps}>{fps} fps</option>)}
+            </select>
+          </label>
+        </div>
+
+        {!format.image && (
+          <label className="block mb-2">Bitrate (Mbps, 0 = auto)
+            <input type="number" min="0" step="0.5" value={settings.bitrate} onChange={(e) => onChange({ bitrate: Math.max(0, parseFloat(e.target.value) || 0) })} aria-label="Export bitrate in megabits per second" className="w-full border rounded px-1" />
+          </label>
+        )}
+
+        {offline && (
+          <label className="flex items-center gap-2 mb-2">
+            <input type="checkbox" checked={settings.frameBlend} onChange={(e) => onChange({ frameBlend: e.target.checked })} aria-label="Blend frames in slow motion" />
+            Blend frames in slow motion
+          </label>
+        )}
+
+        <label className="block mb-1">File name</label>
+        <div className="flex items-center gap-1 mb-3">
+          <input value={settings.fileName} onChange={(e) => onChange({ fileName: e.target.value })} aria-label="Export file name" className="flex-1 border rounded px-1" />
+          <span className="text-gray-500">.{format.ext}</span>
+        </div>
+        <div className="text-xs text-gray-500 mb-3">Saves as {exportFileName(settings.fileName, format)}{format.image ? " (no audio)" : ""}</div>
+        {live && <div className="text-xs text-gray-500 mb-3">Live input: records in real time until you press Stop Export.</div>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} aria-label="Close export settings" className="px-3 py-1 border rounded">Cancel</button>
+          <button onClick={onStart} disabled={format.image && !offline} aria-label="Start export" className="px-3 py-1 bg-green-600 text-white rounded">Export</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from "react";
+
+// Visible undo history: click an entry to jump back (or forward) to that state.
+export default function HistoryPanel({ history, onJump }) {
+  return (
+    <div className="border p-4 rounded mt-4">
+      <h3 className="font-semibold mb-2">History</h3>
+      <ol className="max-h-48 overflow-y-auto text-sm" aria-label="Edit history">
+        {history.entries.map((entry, i) => (
+          <li key={entry.id}>
+            <button
+              onClick={() => onJump(i)}
+              aria-current={i === history.index ? "step" : undefined}
+              className={`w-full text-left px-2 rounded ${i === history.index ? "bg-blue-100 font-medium" : ""} ${i > history.index ? "text-gray-400" : ""}`}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useRef, useState } from "react";
+import { EASINGS } from "./keyframes";
+
+// Timeline strip with one lane per automatable parameter.
+// Click a lane to seek, "+" adds a keyframe at the playhead, drag diamonds to retime them,
+// double-click (or select + Delete) removes a keyframe.
+export default function KeyframeTimeline({ lanes, tracks, duration, currentTime, onSeek, onAdd, onMove, onMoveEnd, onRemove, onEasing }) {
+  const [selected, setSelected] = useState(null); // { name, id }
+  const dragRef = useRef(null);
+
+  const hasDuration = duration > 0 && isFinite(duration);
+  const pct = (t) => (hasDuration ? Math.min(100, Math.max(0, (t / duration) * 100)) : 0);
+
+  function timeFromEvent(e, el) {
+    const rect = el.getBoundingClientRect();
+    const x = Math.min(rect.width, Math.max(0, e.clientX - rect.left));
+    return rect.width ? (x / rect.width) * duration : 0;
+  }
+
+  function onKeyPointerDown(e, name, id) {
+    e.stopPropagation();
+    setSelected({ name, id });
+    dragRef.current = { name, id, lane: e.currentTarget.parentElement };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }
+
+  function onKeyPointerMove(e) {
+    const d = dragRef.current;
+    if (!d || !hasDuration) return;
+    onMove(d.name, d.id, timeFromEvent(e, d.lane));
+  }
+
+  function onKeyPointerUp(e) {
+    if (dragRef.current && onMoveEnd) onMoveEnd();
+    dragRef.current = null;
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId);
+  }
+
+  function onLaneKeyDown(e) {
+    if (!selected) return;
+    if (e.key === "Delete" || e.key === "Backspace") {
+      onRemove(selected.name, selected.id);
+      setSelected(null);
+    }
+  }
+
+  const selectedKey = selected && (tracks[selected.name] || []).find((k) => k.id === selected.id);
+  const selectedLane = selected && lanes.find((l) => l.name === selected.name);
+
+  return (
+    <div className="mt-4 border p-2 rounded" onKeyDown={onLaneKeyDown}>
+      <div className="mb-2 flex items-center gap-3">
+        <div className="font-medium">Keyframes</div>
+        <div className="text-xs text-gray-500">{currentTime.toFixed(2)}s / {hasDuration ? duration.toFixed(2) : "--"}s</div>
+        {selectedKey && (
+          <div className="ml-auto flex items-center gap-2 text-sm">
+            <span>{selectedLane ? selectedLane.label : selected.name} @ {selectedKey.time.toFixed(2)}s</span>
+            <select aria-label="Keyframe interpolation" value={selectedKey.easing} onChange={(e) => onEasing(selected.name, selected.id, e.target.value)} className="border rounded px-1">
+              {EASINGS.map((ez) => <option key={ez} value={ez}>{ez}</option>)}
+            </select>
+            <button onClick={() => { onRemove(selected.name, selected.id); setSelected(null); }} aria-label="Delete selected keyframe" className="px-2 border rounded">Delete</button>
+          </div>
+        )}
+      </div>
+
+      {lanes.map(({ name, label }) => (
+        <div key={name} className="flex items-center gap-2 mb-1">
+          <div className="w-28 text-xs truncate">{label}</div>
+          <button onClick={() => onAdd(name)} disabled={!hasDuration} aria-label={`Add ${label} keyframe at playhead`} className="px-1 text-xs border rounded">+</button>
+          <div
+            className="relative flex-1 h-5 bg-gray-100 rounded cursor-pointer"
+            tabIndex={0}
+            aria-label={`${label} keyframe lane`}
+            onPointerDown={(e) => { if (hasDuration) onSeek(timeFromEvent(e, e.currentTarget)); }}
+          >
+            <div className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none" style={{ left: `${pct(currentTime)}%` }} />
+            {(tracks[name] || []).map((k) => (
+              <div
+                key={k.id}
+                role="button"
+                aria-label={`${label} keyframe at ${k.time.toFixed(2)} seconds`}
+                title={`${k.value.toFixed(2)} (${k.easing})`}
+                className={`absolute top-1 h-3 w-3 -ml-1.5 rotate-45 cursor-ew-resize ${selected && selected.id === k.id ? "bg-yellow-400" : "bg-blue-600"}`}
+                style={{ left: `${pct(k.time)}%` }}
+                onPointerDown={(e) => onKeyPointerDown(e, name, k.id)}
+                onPointerMove={onKeyPointerMove}
+                onPointerUp={onKeyPointerUp}
+                onDoubleClick={(e) => { e.stopPropagation(); onRemove(name, k.id); setSelected(null); }}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from "react";
+import { CAMERA_RESOLUTIONS, listCameras, supportsCamera, supportsScreenCapture } from "./liveSources";
+
+// Toolbar control for live sources: pick a camera, resolution and microphone, or share a screen.
+// While a source is live it shows its name and a stop button instead.
+export default function LiveInput({ live, disabled, onStartCamera, onStartScreen, onStop }) {
+  const [open, setOpen] = useState(false);
+  const [cameras, setCameras] = useState([]);
+  const [deviceId, setDeviceId] = useState("");
+  const [resolution, setResolution] = useState("720p");
+  const [microphone, setMicrophone] = useState(false);
+  const [screenAudio, setScreenAudio] = useState(false);
+
+  // Device labels only appear after access is granted, so refresh when a source starts as well
+  useEffect(() => {
+    if (!open && !live) return;
+    let cancelled = false;
+    const refresh = () => listCameras().then((list) => { if (!cancelled) setCameras(list); }).catch(() => {});
+    refresh();
+    const devices = navigator.mediaDevices;
+    if (devices && devices.addEventListener) devices.addEventListener("devicechange", refresh);
+    return () => {
+      cancelled = true;
+      if (devices && devices.removeEventListener) devices.removeEventListener("devicechange", refresh);
+    };
+  }, [open, live]);
+
+  if (live) {
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <span className="px-2 py-1 rounded bg-red-600 text-white" role="status">● Live: {live.label}</span>
+        <button onClick={onStop} disabled={disabled} aria-label="Stop live input" className="px-3 py-1 border rounded">Stop Live</button>
+      </div>
+    );
+  }
+
+  if (!supportsCamera() && !supportsScreenCapture()) return null;
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen((o) => !o)} disabled={disabled} aria-expanded={open} aria-label="Choose a live input" className="px-3 py-1 border rounded">Live Input…</button>
+      {open && (
+        <div className="absolute z-10 mt-1 w-72 p-3 bg-white border rounded shadow text-sm" onKeyDown={(e) => { if (e.key === "Escape") setOpen(false); }}>
+          {supportsCamera() && (
+            <div className="mb-3">
+              <div className="font-medium mb-1">Camera</div>
+              <select aria-label="Camera device" value={deviceId} onChange={(e) => setDeviceId(e.target.value)} className="w-full border rounded px-1 mb-1">
+                <option value="">Default camera</option>
+                {cameras.map((c) => <option key={c.id} value={c.id}>{c.label}</option>)}
+              </select>
+              <select aria-label="Camera resolution" value={resolution} onChange={(e) => setResolution(e.target.value)} className="w-full border rounded px-1 mb-1">
+                {CAMERA_RESOLUTIONS.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+              <label className="flex items-center gap-2 mb-1">
+                <input type="checkbox" checked={microphone} onChange={(e) => setMicrophone(e.target.checked)} aria-label="Include microphone audio" />
+                Microphone
+              </label>
+              <button onClick={() => { setOpen(false); onStartCamera({ deviceId, resolution, audio: microphone }); }} className="px-2 py-0.5 border rounded">Start Camera</button>
+            </div>
+          )}
+          {supportsScreenCapture() && (
+            <div>
+              <div className="font-medium mb-1">Screen, window or tab</div>
+              <label className="flex items-center gap-2 mb-1">
+                <input type="checkbox" checked={screenAudio} onChange={(e) => setScreenAudio(e.target.checked)} aria-label="Include tab or system audio" />
+                Tab / system audio
+              </label>
+              <button onClick={() => { setOpen(false); onStartScreen({ audio: screenAudio }); }} className="px-2 py-0.5 border rounded">Share Screen…</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React, { useState } from "react";
+import { clamp } from "./utils";
+
+// Number input that edits a draft and commits it on blur or Enter, clamped to min..max, so a value
+// still being typed ("", "1.") is neither applied nor reformatted. Escape drops the draft. Shows
+// `value` rounded to `digits` decimals while not being edited.
+export default function NumberField({ value, min, max, digits = 2, onCommit, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  function commit() {
+    if (draft === null) return;
+    const v = parseFloat(draft);
+    setDraft(null);
+    if (Number.isFinite(v)) onCommit(clamp(v, min ?? -Infinity, max ?? Infinity));
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Enter") commit();
+    else if (e.key === "Escape") setDraft(null);
+  }
+
+  return (
+    <input
+      type="number"
+      {...props}
+      min={min}
+      max={max}
+      value={draft ?? Number(value.toFixed(digits))}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={onKeyDown}
+    />
+  );
+}
@@ -0,0 +1,127 @@
+import React from "react";
+import { OVERLAY_FONTS, ANCHORS } from "./overlays";
+
+// Overlay list: text titles, an image watermark and subtitle tracks, drawn in list order over the
+// processed frame. Times are program time; "Set" buttons take the playhead.
+export default function OverlayPanel({ overlays, currentTime, onAddText, onLoadImage, onLoadSubtitles, onChange, onRemove, onEditEnd }) {
+  function slider(o, key, label, min, max, step, format = (v) => v.toFixed(2)) {
+    return (
+      <label className="block mt-1">
+        {label}: {format(o[key])}
+        <input aria-label={`${overlayName(o)} ${label.toLowerCase()}`} type="range" min={min} max={max} step={step} value={o[key]} onChange={(e) => onChange(o.id, { [key]: parseFloat(e.target.value) }, key)} onPointerUp={onEditEnd} onKeyUp={onEditEnd} className="w-full" />
+      </label>
+    );
+  }
+
+  function timeField(o, key, label) {
+    const value = o[key];
+    return (
+      <label className="flex items-center gap-1">
+        {label}
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={value == null ? "" : Number(value.toFixed(2))}
+          placeholder="end"
+          onChange={(e) => onChange(o.id, { [key]: e.target.value === "" && key === "end" ? null : Math.max(0, parseFloat(e.target.value) || 0) })}
+          aria-label={`${overlayName(o)} ${label.toLowerCase()} time in seconds`}
+          className="w-16 border rounded px-1"
+        />
+        <button onClick={() => onChange(o.id, { [key]: currentTime })} aria-label={`Set ${overlayName(o)} ${label.toLowerCase()} to the playhead`} className="px-1 border rounded">Set</button>
+      </label>
+    );
+  }
+
+  return (
+    <div className="border p-4 rounded mt-4">
+      <div className="mb-2 flex flex-wrap items-center gap-2">
+        <h3 className="font-semibold mr-auto">Overlays</h3>
+        <button onClick={onAddText} aria-label="Add text overlay" className="px-2 border rounded text-sm">+ Text</button>
+        <label className="px-2 border rounded text-sm cursor-pointer">
+          + Logo
+          <input type="file" accept="image/png,image/*" className="hidden" aria-label="Add image watermark" onChange={(e) => { if (e.target.files[0]) onLoadImage(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <label className="px-2 border rounded text-sm cursor-pointer">
+          + Subtitles
+          <input type="file" accept=".srt,.vtt,text/vtt" className="hidden" aria-label="Import SRT or WebVTT subtitles" onChange={(e) => { if (e.target.files[0]) onLoadSubtitles(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+      </div>
+
+      {overlays.length === 0 && <div className="text-sm text-gray-500">No overlays.</div>}
+
+      {overlays.map((o) => (
+        <div key={o.id} className="mb-2 p-2 border rounded text-sm">
+          <div className="flex items-center gap-2">
+            <span className="font-medium truncate">{overlayName(o)}</span>
+            <button onClick={() => onRemove(o.id)} aria-label={`Remove ${overlayName(o)}`} className="ml-auto px-1 border rounded">✕</button>
+          </div>
+
+          {o.type === "text" && (
+            <>
+              <textarea value={o.text} onChange={(e) => onChange(o.id, { text: e.target.value }, "text")} onBlur={onEditEnd} rows={2} aria-label="Overlay text" className="mt-1 w-full border rounded px-1" />
+              <div className="mt-1 flex flex-wrap items-center gap-2">
+                <select aria-label="Overlay font" value={o.font} onChange={(e) => onChange(o.id, { font: e.target.value })} className="border rounded px-1">
+                  {OVERLAY_FONTS.map((f) => <option key={f} value={f}>{f}</option>)}
+                </select>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={o.bold} onChange={(e) => onChange(o.id, { bold: e.target.checked })} aria-label="Bold text" />Bold</label>
+                <label className="flex items-center gap-1">Fill<input type="color" value={o.color} onChange={(e) => onChange(o.id, { color: e.target.value }, "color")} onBlur={onEditEnd} aria-label="Text color" /></label>
+                <label className="flex items-center gap-1">Stroke<input type="color" value={o.stroke} onChange={(e) => onChange(o.id, { stroke: e.target.value }, "stroke")} onBlur={onEditEnd} aria-label="Text stroke color" /></label>
+              </div>
+              <div className="mt-1 flex flex-wrap gap-2">
+                {timeField(o, "start", "In")}
+                {timeField(o, "end", "Out")}
+              </div>
+              <div className="grid grid-cols-2 gap-x-3">
+                {slider(o, "size", "Size", 0.02, 0.3, 0.005, (v) => `${Math.round(v * 100)}%`)}
+                {slider(o, "strokeWidth", "Stroke", 0, 0.3, 0.01)}
+                {slider(o, "x", "X", 0, 1, 0.01)}
+                {slider(o, "y", "Y", 0, 1, 0.01)}
+                {slider(o, "fadeIn", "Fade in", 0, 5, 0.1, (v) => `${v.toFixed(1)}s`)}
+                {slider(o, "fadeOut", "Fade out", 0, 5, 0.1, (v) => `${v.toFixed(1)}s`)}
+              </div>
+            </>
+          )}
+
+          {o.type === "image" && (
+            <>
+              <div className="mt-1 flex flex-wrap items-center gap-2">
+                <select aria-label="Watermark position" value={o.anchor} onChange={(e) => onChange(o.id, { anchor: e.target.value })} className="border rounded px-1">
+                  {ANCHORS.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+                </select>
+                {timeField(o, "start", "In")}
+                {timeField(o, "end", "Out")}
+              </div>
+              <div className="grid grid-cols-3 gap-x-3">
+                {slider(o, "scale", "Width", 0.02, 1, 0.01, (v) => `${Math.round(v * 100)}%`)}
+                {slider(o, "margin", "Margin", 0, 0.2, 0.005, (v) => `${Math.round(v * 100)}%`)}
+                {slider(o, "opacity", "Opacity", 0, 1, 0.01, (v) => `${Math.round(v * 100)}%`)}
+              </div>
+            </>
+          )}
+
+          {o.type === "subtitles" && (
+            <>
+              <div className="mt-1 flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">{o.cues.length} cues</span>
+                <label className="flex items-center gap-1">Fill<input type="color" value={o.color} onChange={(e) => onChange(o.id, { color: e.target.value }, "color")} onBlur={onEditEnd} aria-label="Subtitle color" /></label>
+                <label className="flex items-center gap-1">Outline<input type="color" value={o.stroke} onChange={(e) => onChange(o.id, { stroke: e.target.value }, "stroke")} onBlur={onEditEnd} aria-label="Subtitle outline color" /></label>
+              </div>
+              <div className="grid grid-cols-3 gap-x-3">
+                {slider(o, "size", "Size", 0.02, 0.15, 0.005, (v) => `${Math.round(v * 100)}%`)}
+                {slider(o, "margin", "Bottom margin", 0, 0.4, 0.005, (v) => `${Math.round(v * 100)}%`)}
+                {slider(o, "offset", "Offset", -10, 10, 0.05, (v) => `${v.toFixed(2)}s`)}
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function overlayName(o) {
+  if (o.type === "text") return `Text: ${o.text.split("\n")[0].slice(0, 30) || "(empty)"}`;
+  if (o.type === "image") return `Logo: ${o.name}`;
+  return `Subtitles: ${o.name}`;
+}
@@ -0,0 +1,67 @@
+import React, { useRef, useState } from "react";
+import { BUILTIN_PRESETS } from "./presets";
+
+// Preset picker: load built-in or saved looks, save the current look, import/export saved presets.
+export default function PresetPanel({ presets, onLoad, onSave, onDelete, onImport, onExport, onReset }) {
+  const fileRef = useRef(null);
+  const [selected, setSelected] = useState("");
+  const [name, setName] = useState("");
+
+  // Options are keyed "builtin:<name>" / "user:<name>" since user presets may shadow built-in names
+  const find = (value) => {
+    const [kind, ...rest] = value.split(":");
+    const presetName = rest.join(":");
+    return (kind === "builtin" ? BUILTIN_PRESETS : presets).find((p) => p.name === presetName);
+  };
+  const current = selected ? find(selected) : null;
+
+  function save() {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setSelected(`user:${trimmed}`);
+    setName("");
+  }
+
+  function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  }
+
+  return (
+    <div className="border p-4 rounded mt-4">
+      <h3 className="font-semibold mb-2">Presets</h3>
+
+      <div className="flex gap-2 items-center">
+        <select aria-label="Choose preset" value={selected} onChange={(e) => setSelected(e.target.value)} className="flex-1 border rounded px-1">
+          <option value="">Select a preset…</option>
+          <optgroup label="Built-in">
+            {BUILTIN_PRESETS.map((p) => <option key={p.name} value={`builtin:${p.name}`}>{p.name}</option>)}
+          </optgroup>
+          {presets.length > 0 && (
+            <optgroup label="Saved">
+              {presets.map((p) => <option key={p.name} value={`user:${p.name}`}>{p.name}</option>)}
+            </optgroup>
+          )}
+        </select>
+        <button onClick={() => current && onLoad(current)} disabled={!current} aria-label="Load selected preset" className="px-2 border rounded">Load</button>
+        {current && !current.builtin && (
+          <button onClick={() => { onDelete(current.name); setSelected(""); }} aria-label="Delete selected preset" className="px-2 border rounded">Delete</button>
+        )}
+      </div>
+
+      <div className="mt-2 flex gap-2 items-center">
+        <input aria-label="Preset name" placeholder="Preset name" value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") save(); }} className="flex-1 border rounded px-1" />
+        <button onClick={save} disabled={!name.trim()} aria-label="Save current settings as preset" className="px-2 border rounded">Save</button>
+      </div>
+
+      <div className="mt-2 flex gap-2 items-center text-sm">
+        <button onClick={() => fileRef.current && fileRef.current.click()} aria-label="Import presets from JSON file" className="px-2 border rounded">Import…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" aria-hidden="true" tabIndex={-1} />
+        <button onClick={onExport} disabled={!presets.length} aria-label="Export saved presets as JSON" className="px-2 border rounded">Export</button>
+        <button onClick={onReset} aria-label="Reset all effects to defaults" className="ml-auto px-2 border rounded">Reset</button>
+      </div>
+    </div>
+  );
+}
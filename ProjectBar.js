@@ -0,0 +1,32 @@
+import React from "react";
+
+// Project file controls and the autosave status, plus the prompt to restore the previous session's
+// autosave. Opening accepts a .zip bundle, or a .json project with the media files picked alongside.
+export default function ProjectBar({ recovery, savedAt, disabled, onRestore, onDiscard, onOpen, onDownloadJson, onDownloadZip }) {
+  return (
+    <>
+      {recovery && (
+        <div role="alertdialog" aria-label="Restore previous session" className="mb-4 p-3 rounded bg-yellow-50 text-yellow-900 flex flex-wrap items-center gap-3">
+          <span>
+            An autosaved project from {new Date(recovery.savedAt).toLocaleString()} was found
+            {recovery.project.media.length ? ` (${recovery.project.media.map((m) => m.name).join(", ")})` : ""}.
+            {" "}Autosave is paused until you restore or discard it.
+          </span>
+          <button onClick={onRestore} aria-label="Restore the autosaved project" className="px-3 py-1 bg-yellow-500 text-white rounded">Restore</button>
+          <button onClick={onDiscard} aria-label="Discard the autosaved project" className="px-3 py-1 border rounded">Discard</button>
+        </div>
+      )}
+
+      <div className="mb-4 flex flex-wrap gap-2 items-center text-sm">
+        <span className="font-medium">Project</span>
+        <label className={`px-2 border rounded ${disabled ? "opacity-50" : "cursor-pointer"}`}>
+          Open…
+          <input type="file" accept=".json,.zip,application/json,application/zip,video/*" multiple disabled={disabled} className="hidden" aria-label="Open a project file (.zip, or .json with its media files)" onChange={(e) => { const files = [...e.target.files]; e.target.value = ""; if (files.length) onOpen(files); }} />
+        </label>
+        <button onClick={onDownloadJson} disabled={disabled} aria-label="Download project as JSON" className="px-2 border rounded">Save .json</button>
+        <button onClick={onDownloadZip} disabled={disabled} aria-label="Download project with its media as ZIP" className="px-2 border rounded">Save .zip</button>
+        <span className="text-gray-600" aria-live="polite">{savedAt ? `Autosaved ${new Date(savedAt).toLocaleTimeString()}` : "Not autosaved yet"}</span>
+      </div>
+    </>
+  );
+}
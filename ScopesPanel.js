@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from "react";
+import { SCOPES, SCOPE_SAMPLE_WIDTH, SCOPE_HEIGHT, VECTORSCOPE_SIZE, VECTOR_TARGETS, SKIN_TONE, vectorPoint, drawHistogram, drawWaveform, drawParade, drawVectorscope } from "./scopes";
+
+// Histogram, luma waveform, RGB parade and vectorscope of the original or processed frame.
+// While open, the render loop calls `frameRef.current({ original, processed })` after each preview
+// frame; the frame is read back at SCOPE_SAMPLE_WIDTH wide so the scopes stay cheap.
+// The processed side is the canvas as shown, so a compare view is scoped as displayed.
+export default function ScopesPanel({ frameRef }) {
+  const [open, setOpen] = useState(false);
+  const [source, setSource] = useState("processed");
+  const [unavailable, setUnavailable] = useState(false);
+  const canvasRefs = useRef({});
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+
+  useEffect(() => {
+    if (!open) return;
+    const sample = document.createElement("canvas");
+    const sctx = sample.getContext("2d", { willReadFrequently: true });
+    const images = {};
+
+    function image(id, width, height) {
+      const canvas = canvasRefs.current[id];
+      if (!canvas) return null;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      if (!images[id] || images[id].width !== width || images[id].height !== height) images[id] = new ImageData(width, height);
+      return images[id];
+    }
+
+    function paint(id, img, overlay) {
+      const ctx = canvasRefs.current[id].getContext("2d");
+      ctx.putImageData(img, 0, 0);
+      overlay(ctx, img.width, img.height);
+    }
+
+    frameRef.current = (sources) => {
+      const el = sources[sourceRef.current];
+      const sw = el && (el.videoWidth || el.width);
+      const sh = el && (el.videoHeight || el.height);
+      if (!sw || !sh) return;
+      const w = SCOPE_SAMPLE_WIDTH;
+      const h = Math.max(1, Math.round((SCOPE_SAMPLE_WIDTH * sh) / sw));
+      if (sample.width !== w || sample.height !== h) {
+        sample.width = w;
+        sample.height = h;
+      }
+      let pixels;
+      try {
+        sctx.drawImage(el, 0, 0, w, h);
+        pixels = sctx.getImageData(0, 0, w, h).data;
+        setUnavailable(false);
+      } catch (e) {
+        // Cross-origin video without CORS: the frame can't be read back
+        setUnavailable(true);
+        return;
+      }
+
+      const hist = image("histogram", 256, SCOPE_HEIGHT);
+      if (hist) {
+        drawHistogram(hist, pixels);
+        paint("histogram", hist, levelLines);
+      }
+      const wave = image("waveform", w, SCOPE_HEIGHT);
+      if (wave) {
+        drawWaveform(wave, pixels, w, h);
+        paint("waveform", wave, levelLines);
+      }
+      const parade = image("parade", 3 * w, SCOPE_HEIGHT);
+      if (parade) {
+        drawParade(parade, pixels, w, h);
+        paint("parade", parade, (ctx, width, height) => {
+          levelLines(ctx, width, height);
+          ctx.fillStyle = "rgba(255,255,255,0.5)";
+          for (let c = 1; c < 3; c++) ctx.fillRect(c * w, 0, 1, height);
+        });
+      }
+      const vector = image("vectorscope", VECTORSCOPE_SIZE, VECTORSCOPE_SIZE);
+      if (vector) {
+        drawVectorscope(vector, pixels);
+        paint("vectorscope", vector, vectorGraticule);
+      }
+    };
+    return () => {
+      frameRef.current = null;
+    };
+  }, [open, frameRef]);
+
+  return (
+    <div className="border p-4 rounded mt-4">
+      <div className="flex items-center gap-3">
+        <h3 className="font-semibold">Scopes</h3>
+        <button onClick={() => setOpen((o) => !o)} aria-expanded={open} aria-label={open ? "Hide scopes" : "Show scopes"} className="px-2 border rounded text-sm">
+          {open ? "Hide" : "Show"}
+        </button>
+        {open && (
+          <div role="radiogroup" aria-label="Scope source" className="ml-auto flex gap-1 text-sm">
+            {["original", "processed"].map((s) => (
+              <button key={s} role="radio" aria-checked={source === s} onClick={() => setSource(s)} className={`px-2 border rounded ${source === s ? "bg-gray-200" : ""}`}>
+                {s === "original" ? "Original" : "Processed"}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {open && unavailable && <div className="mt-2 text-sm text-gray-500">This video can't be read back (cross-origin), so scopes are unavailable.</div>}
+      {open && (
+        <div className="mt-2 grid grid-cols-4 gap-2">
+          {SCOPES.map((scope) => (
+            <figure key={scope.id} className="text-xs">
+              <canvas
+                ref={(el) => { canvasRefs.current[scope.id] = el; }}
+                role="img"
+                aria-label={`${scope.label} of the ${source} frame`}
+                className={`bg-black rounded ${scope.id === "vectorscope" ? "h-32 w-32 mx-auto block" : "w-full h-32"}`}
+              />
+              <figcaption className="mt-1 text-center">{scope.label}</figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 0, 25, 50, 75 and 100% lines
+function levelLines(ctx, width, height) {
+  ctx.fillStyle = "rgba(255,255,255,0.25)";
+  for (let i = 0; i <= 4; i++) ctx.fillRect(0, Math.min(height - 1, Math.round((i / 4) * (height - 1))), width, 1);
+}
+
+// Saturation circle, 75% bar targets and the skin tone line
+function vectorGraticule(ctx, size) {
+  const c = size / 2;
+  ctx.strokeStyle = "rgba(255,255,255,0.3)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(c, c, c - 2, 0, 2 * Math.PI);
+  ctx.moveTo(c - 4, c);
+  ctx.lineTo(c + 4, c);
+  ctx.moveTo(c, c - 4);
+  ctx.lineTo(c, c + 4);
+  ctx.stroke();
+
+  const [sx, sy] = vectorPoint(...SKIN_TONE, size);
+  const len = Math.hypot(sx - c, sy - c);
+  ctx.strokeStyle = "rgba(255,200,150,0.45)";
+  ctx.beginPath();
+  ctx.moveTo(c, c);
+  ctx.lineTo(c + ((sx - c) / len) * (c - 2), c + ((sy - c) / len) * (c - 2));
+  ctx.stroke();
+
+  ctx.strokeStyle = "rgba(255,255,255,0.6)";
+  ctx.fillStyle = "rgba(255,255,255,0.7)";
+  ctx.font = "8px sans-serif";
+  for (const target of VECTOR_TARGETS) {
+    const [x, y] = vectorPoint(...target.rgb, size);
+    ctx.strokeRect(x - 3, y - 3, 6, 6);
+    ctx.fillText(target.label, x + 4, y - 4);
+  }
+}
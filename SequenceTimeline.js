@@ -0,0 +1,91 @@
+import React, { useRef, useState } from "react";
+import { segmentLength, segmentStart } from "./sequence";
+import NumberField from "./NumberField";
+
+// Basic NLE timeline: a media bin of loaded clips and a single track of segments played back to back.
+// Drag segments to reorder, click to select and seek, trim with the in/out fields or at the playhead.
+export default function SequenceTimeline({ clips, segments, currentTime, duration, onSeek, onSplit, onTrim, onTrimAtPlayhead, onMove, onRemove, onAddClip, onRemoveClip }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const dragIndexRef = useRef(null);
+
+  const pct = (t) => (duration > 0 ? Math.min(100, Math.max(0, (t / duration) * 100)) : 0);
+  const clipName = (id) => (clips.find((c) => c.id === id) || {}).name || "missing clip";
+  const clipDuration = (id) => (clips.find((c) => c.id === id) || {}).duration;
+  const selected = segments.find((s) => s.id === selectedId);
+
+  function onDrop(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    const from = dragIndexRef.current;
+    dragIndexRef.current = null;
+    setDropIndex(null);
+    if (from != null && from !== index) onMove(from, index);
+  }
+
+  function seekFromTrack(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (rect.width && duration > 0) onSeek(((e.clientX - rect.left) / rect.width) * duration);
+  }
+
+  return (
+    <div className="mt-4 border p-2 rounded">
+      <div className="mb-2 flex items-center gap-2 text-sm">
+        <div className="font-medium">Sequence</div>
+        <div className="text-xs text-gray-500">{segments.length} segment{segments.length === 1 ? "" : "s"} · {duration.toFixed(2)}s</div>
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => onTrimAtPlayhead("in")} disabled={!segments.length} aria-label="Set segment in point at playhead" className="px-2 border rounded">Set In</button>
+          <button onClick={() => onTrimAtPlayhead("out")} disabled={!segments.length} aria-label="Set segment out point at playhead" className="px-2 border rounded">Set Out</button>
+          <button onClick={onSplit} disabled={!segments.length} aria-label="Split segment at playhead" className="px-2 border rounded">Split</button>
+        </div>
+      </div>
+
+      {/* Track */}
+      <div className="relative flex h-10 bg-gray-100 rounded overflow-hidden" onPointerDown={seekFromTrack} aria-label="Sequence track">
+        {segments.map((s, index) => (
+          <div
+            key={s.id}
+            draggable
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => { setSelectedId(s.id); onSeek(segmentStart(segments, index)); }}
+            onDragStart={(e) => { dragIndexRef.current = index; e.dataTransfer.effectAllowed = "move"; }}
+            onDragEnd={() => { dragIndexRef.current = null; setDropIndex(null); }}
+            onDragOver={(e) => { e.preventDefault(); setDropIndex(index); }}
+            onDrop={(e) => onDrop(e, index)}
+            role="button"
+            aria-label={`Segment ${index + 1}: ${clipName(s.clipId)} ${s.in.toFixed(2)}s to ${s.out.toFixed(2)}s`}
+            title={`${clipName(s.clipId)} [${s.in.toFixed(2)}–${s.out.toFixed(2)}]`}
+            className={`h-full px-1 text-xs truncate border-r border-white cursor-move ${s.id === selectedId ? "bg-blue-500 text-white" : "bg-blue-200"} ${dropIndex === index ? "ring-2 ring-blue-700" : ""}`}
+            style={{ width: `${duration > 0 ? (segmentLength(s) / duration) * 100 : 0}%` }}
+          >
+            {clipName(s.clipId)}
+          </div>
+        ))}
+        <div className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none" style={{ left: `${pct(currentTime)}%` }} />
+      </div>
+
+      {selected && (
+        <div className="mt-2 flex items-center gap-2 text-sm">
+          <span>{clipName(selected.clipId)}</span>
+          <label>In <NumberField key={`${selected.id}-in`} step="0.01" min={0} max={clipDuration(selected.clipId)} value={selected.in} onCommit={(v) => onTrim(selected.id, { in: v })} aria-label="Segment in point (seconds)" className="w-20 border rounded px-1" /></label>
+          <label>Out <NumberField key={`${selected.id}-out`} step="0.01" min={0} max={clipDuration(selected.clipId)} value={selected.out} onCommit={(v) => onTrim(selected.id, { out: v })} aria-label="Segment out point (seconds)" className="w-20 border rounded px-1" /></label>
+          <button onClick={() => { onRemove(selected.id); setSelectedId(null); }} aria-label="Remove selected segment" className="ml-auto px-2 border rounded">Remove</button>
+        </div>
+      )}
+
+      {/* Media bin */}
+      {clips.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+          {clips.map((c) => (
+            <div key={c.id} className="flex items-center gap-1 border rounded px-1">
+              <span className="truncate max-w-[10rem]" title={c.name}>{c.name}</span>
+              <span className="text-gray-500">{c.duration.toFixed(1)}s</span>
+              <button onClick={() => onAddClip(c.id)} aria-label={`Append ${c.name} to sequence`} className="px-1">+</button>
+              <button onClick={() => onRemoveClip(c.id)} aria-label={`Remove ${c.name} from project`} className="px-1">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { MIN_SPEED, MAX_SPEED } from "./speed";
+import NumberField from "./NumberField";
+
+// Speed ramps over ranges of program time, on top of the playback rate. "Set" buttons take the playhead.
+// `outputDuration` is how long the sequence (or export range) plays with the rate and ramps applied.
+export default function SpeedPanel({ ramps, currentTime, outputDuration, onAdd, onChange, onRemove, onEditEnd }) {
+  function timeField(r, key, label) {
+    return (
+      <label className="flex items-center gap-1">
+        {label}
+        <NumberField
+          min={0}
+          step="0.1"
+          value={r[key]}
+          onCommit={(v) => onChange(r.id, { [key]: v })}
+          aria-label={`Speed ramp ${label.toLowerCase()} time in seconds`}
+          className="w-16 border rounded px-1"
+        />
+        <button onClick={() => onChange(r.id, { [key]: currentTime })} aria-label={`Set speed ramp ${label.toLowerCase()} to the playhead`} className="px-1 border rounded">Set</button>
+      </label>
+    );
+  }
+
+  return (
+    <div className="border p-4 rounded mt-4 text-sm">
+      <div className="mb-2 flex items-center gap-2">
+        <h3 className="font-semibold mr-auto">Speed Ramps</h3>
+        <button onClick={onAdd} aria-label="Add speed ramp at the playhead" className="px-2 border rounded">+ Ramp</button>
+      </div>
+
+      {ramps.length === 0 && <div className="text-gray-500">No ramps — the whole sequence plays at the playback rate.</div>}
+
+      {ramps.map((r, i) => (
+        <div key={r.id} className="mb-2 p-2 border rounded">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium">#{i + 1}</span>
+            {timeField(r, "start", "In")}
+            {timeField(r, "end", "Out")}
+            <button onClick={() => onRemove(r.id)} aria-label={`Remove speed ramp ${i + 1}`} className="ml-auto px-1 border rounded">✕</button>
+          </div>
+          <label className="block mt-1">
+            Speed: {r.speed.toFixed(2)}x
+            <input aria-label={`Speed ramp ${i + 1} speed`} type="range" min={MIN_SPEED} max={MAX_SPEED} step="0.05" value={r.speed} onChange={(e) => onChange(r.id, { speed: parseFloat(e.target.value) }, "speed")} onPointerUp={onEditEnd} onKeyUp={onEditEnd} className="w-full" />
+          </label>
+          <label className="block mt-1">
+            Ease: {r.ease.toFixed(2)}s
+            <input aria-label={`Speed ramp ${i + 1} ease duration`} type="range" min="0" max="2" step="0.05" value={r.ease} onChange={(e) => onChange(r.id, { ease: parseFloat(e.target.value) }, "ease")} onPointerUp={onEditEnd} onKeyUp={onEditEnd} className="w-full" />
+          </label>
+        </div>
+      ))}
+
+      {outputDuration != null && <div className="text-gray-600">Plays for {outputDuration.toFixed(2)}s</div>}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React, { useEffect, useState } from "react";
+
+const POLL_INTERVAL = 500; // ms
+
+// Frame timing read from the render loop's frame monitor (quality.js), shown in a corner of the
+// processed preview. Polled rather than pushed so the render loop never re-renders React.
+export default function StatsOverlay({ monitor, quality }) {
+  const [stats, setStats] = useState(() => monitor.stats());
+
+  useEffect(() => {
+    const id = setInterval(() => setStats(monitor.stats()), POLL_INTERVAL);
+    return () => clearInterval(id);
+  }, [monitor]);
+
+  const scale = monitor.scale(quality);
+  return (
+    <div role="status" aria-label="Preview frame stats" className="absolute top-1 right-1 px-1 text-xs font-mono rounded bg-black/60 text-white pointer-events-none">
+      <div>{stats.frameTime.toFixed(1)} ms · {Math.round(stats.fps)} fps</div>
+      <div>{stats.dropped} dropped</div>
+      <div>{stats.backend || "—"} · {Math.round(scale * 100)}%{quality === "auto" ? " (auto)" : ""}</div>
+    </div>
+  );
+}
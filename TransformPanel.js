@@ -0,0 +1,64 @@
+import React from "react";
+import { ASPECT_PRESETS, FILL_MODES, DEFAULT_TRANSFORM, isIdentityTransform } from "./transform";
+
+// Geometry applied to the source before the effect stack: crop (edited on the canvas), 90° steps and
+// free rotation, flips, zoom/pan and an output aspect ratio with letterbox or blur fill.
+export default function TransformPanel({ transform, cropEditing, onCropEditing, onChange, onReset, onEditEnd }) {
+  const { crop } = transform;
+  const cropped = crop.x !== 0 || crop.y !== 0 || crop.w !== 1 || crop.h !== 1;
+
+  function slider(key, label, min, max, step, format) {
+    return (
+      <label className="block mt-1">
+        {label}: {format(transform[key])}
+        <input aria-label={label} type="range" min={min} max={max} step={step} value={transform[key]} onChange={(e) => onChange(label, { [key]: parseFloat(e.target.value) }, key)} onPointerUp={onEditEnd} onKeyUp={onEditEnd} className="w-full" />
+      </label>
+    );
+  }
+
+  return (
+    <div className="border p-4 rounded mt-4 text-sm">
+      <div className="mb-2 flex items-center gap-2">
+        <h3 className="font-semibold mr-auto">Transform</h3>
+        <button onClick={onReset} disabled={isIdentityTransform(transform)} aria-label="Reset all transforms" className="px-2 border rounded">Reset</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onCropEditing(!cropEditing)} aria-pressed={cropEditing} className={`px-2 border rounded ${cropEditing ? "bg-blue-600 text-white" : ""}`}>
+          {cropEditing ? "Done Cropping" : "Edit Crop"}
+        </button>
+        <button onClick={() => onChange("Reset crop", { crop: DEFAULT_TRANSFORM.crop })} disabled={!cropped} className="px-2 border rounded">Reset Crop</button>
+        {cropped && <span className="text-gray-600">{Math.round(crop.w * 100)}% × {Math.round(crop.h * 100)}%</span>}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <button onClick={() => onChange("Rotate left", { rotate90: (transform.rotate90 + 270) % 360 })} aria-label="Rotate 90 degrees counterclockwise" className="px-2 border rounded">⟲ 90°</button>
+        <button onClick={() => onChange("Rotate right", { rotate90: (transform.rotate90 + 90) % 360 })} aria-label="Rotate 90 degrees clockwise" className="px-2 border rounded">⟳ 90°</button>
+        <button onClick={() => onChange("Flip horizontal", { flipH: !transform.flipH })} aria-pressed={transform.flipH} className={`px-2 border rounded ${transform.flipH ? "bg-gray-200" : ""}`}>Flip H</button>
+        <button onClick={() => onChange("Flip vertical", { flipV: !transform.flipV })} aria-pressed={transform.flipV} className={`px-2 border rounded ${transform.flipV ? "bg-gray-200" : ""}`}>Flip V</button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-3">
+        {slider("angle", "Angle", -45, 45, 0.5, (v) => `${v.toFixed(1)}°`)}
+        {slider("zoom", "Zoom", 1, 4, 0.01, (v) => `${v.toFixed(2)}×`)}
+        {slider("panX", "Pan X", -1, 1, 0.01, (v) => v.toFixed(2))}
+        {slider("panY", "Pan Y", -1, 1, 0.01, (v) => v.toFixed(2))}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1">
+          Aspect
+          <select aria-label="Output aspect ratio" value={transform.aspect} onChange={(e) => onChange("Aspect ratio", { aspect: e.target.value })} className="border rounded px-1">
+            {ASPECT_PRESETS.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          Fill
+          <select aria-label="Fill mode for empty areas" value={transform.fill} onChange={(e) => onChange("Fill mode", { fill: e.target.value })} className="border rounded px-1">
+            {FILL_MODES.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { TRANSITIONS, EDGE_TRANSITIONS, TRANSITION_EASINGS, createTransition, maxTransitionDuration } from "./transitions";
+
+// Transitions at each cut of the sequence, plus a fade in at its start and a fade out at its end.
+// Each has a type ("None" removes it), a duration (capped by the neighbouring segments) and an easing curve.
+export default function TransitionPanel({ clips, segments, transitions, onChange, onEditEnd }) {
+  if (!segments.length) return null;
+  const clipName = (segment) => (clips.find((c) => c.id === segment.clipId) || {}).name || "missing clip";
+
+  const rows = [{ key: "start", label: "Fade in", types: EDGE_TRANSITIONS }];
+  segments.slice(1).forEach((s, i) => rows.push({ key: s.id, label: `Cut ${i + 1}: ${clipName(segments[i])} → ${clipName(s)}`, types: TRANSITIONS }));
+  rows.push({ key: "end", label: "Fade out", types: EDGE_TRANSITIONS });
+
+  return (
+    <div className="mt-4 border p-2 rounded text-sm">
+      <div className="mb-2 font-medium">Transitions</div>
+      {rows.map(({ key, label, types }) => {
+        const t = transitions[key];
+        const max = maxTransitionDuration(segments, key);
+        return (
+          <div key={key} className="mb-1 flex flex-wrap items-center gap-2">
+            <span className="w-64 truncate" title={label}>{label}</span>
+            <select
+              aria-label={`${label} transition`}
+              value={t ? t.type : ""}
+              onChange={(e) => onChange(key, e.target.value ? { ...(t || createTransition()), type: e.target.value } : null)}
+              className="border rounded px-1"
+            >
+              <option value="">None</option>
+              {types.map((type) => <option key={type.id} value={type.id}>{type.label}</option>)}
+            </select>
+            {t && (
+              <>
+                <label className="flex items-center gap-1">
+                  {Math.min(t.duration, max).toFixed(2)}s
+                  <input aria-label={`${label} transition duration`} type="range" min="0.1" max={Math.max(0.1, max)} step="0.05" value={Math.min(t.duration, max)} onChange={(e) => onChange(key, { ...t, duration: parseFloat(e.target.value) }, "duration")} onPointerUp={onEditEnd} onKeyUp={onEditEnd} />
+                </label>
+                <select aria-label={`${label} transition easing`} value={t.easing} onChange={(e) => onChange(key, { ...t, easing: e.target.value })} className="border rounded px-1">
+                  {TRANSITION_EASINGS.map((easing) => <option key={easing} value={easing}>{easing}</option>)}
+                </select>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
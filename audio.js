@@ -0,0 +1,237 @@
+import { segmentLength } from "./sequence";
+
+// Audio for exports.
+// Real-time export taps the preview <video> (or a live input's stream) through Web Audio; offline export decodes each clip,
+// mixes the sequence in an OfflineAudioContext and encodes it with WebCodecs AudioEncoder.
+
+export const AUDIO_SAMPLE_RATE = 48000;
+export const AUDIO_CHANNELS = 2;
+
+export const DEFAULT_AUDIO_SETTINGS = { volume: 1, muted: false, fadeIn: 0, fadeOut: 0, preservePitch: true };
+
+export function supportsAudioEncoding() {
+  return typeof AudioEncoder !== "undefined" && typeof AudioData !== "undefined" && typeof OfflineAudioContext !== "undefined";
+}
+
+// Real-time route: video -> speakers (monitoring, unaffected by export settings)
+//                  video -> gain -> MediaStream (added to the MediaRecorder stream)
+// A media element can only be connected to one MediaElementAudioSourceNode, so create this once per element.
+export function createAudioRoute(video) {
+  const ctx = new AudioContext();
+  const source = ctx.createMediaElementSource(video);
+  source.connect(ctx.destination);
+  const gain = ctx.createGain();
+  const dest = ctx.createMediaStreamDestination();
+  source.connect(gain);
+  gain.connect(dest);
+  return { ctx, gain, stream: dest.stream };
+}
+
+// Route for a live input's audio (microphone, tab audio): stream -> gain -> MediaStream.
+// Not monitored, so a microphone doesn't feed back into itself.
+export function createStreamAudioRoute(stream) {
+  const ctx = new AudioContext();
+  const source = ctx.createMediaStreamSource(stream);
+  const gain = ctx.createGain();
+  const dest = ctx.createMediaStreamDestination();
+  source.connect(gain);
+  gain.connect(dest);
+  return { ctx, gain, stream: dest.stream };
+}
+
+// Schedule export gain for the start of a recording (fade in from silence)
+export function startRouteGain(route, settings) {
+  const now = route.ctx.currentTime;
+  const level = settings.muted ? 0 : settings.volume;
+  route.gain.gain.cancelScheduledValues(now);
+  if (settings.fadeIn > 0) {
+    route.gain.gain.setValueAtTime(0, now);
+    route.gain.gain.linearRampToValueAtTime(level, now + settings.fadeIn);
+  } else {
+    route.gain.gain.setValueAtTime(level, now);
+  }
+}
+
+// Ramp export gain to silence over `seconds`
+export function fadeOutRoute(route, seconds) {
+  const now = route.ctx.currentTime;
+  route.gain.gain.cancelScheduledValues(now);
+  route.gain.gain.setValueAtTime(route.gain.gain.value, now);
+  route.gain.gain.linearRampToValueAtTime(0, now + seconds);
+}
+
+// A clip's whole audio track, decoded (Web Audio can't decode part of a file); null for clips without
+// a decodable one
+function decodeClipAudio(clip) {
+  const ctx = new OfflineAudioContext(AUDIO_CHANNELS, 1, AUDIO_SAMPLE_RATE);
+  return clip.file.arrayBuffer().then((buf) => ctx.decodeAudioData(buf)).catch(() => null);
+}
+
+// Copy of `duration` seconds of `buffer` from `offset`
+function sliceBuffer(ctx, buffer, offset, duration) {
+  const from = Math.min(buffer.length, Math.round(offset * buffer.sampleRate));
+  const length = Math.max(1, Math.min(buffer.length - from, Math.round(duration * buffer.sampleRate)));
+  const out = ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+  for (let c = 0; c < buffer.numberOfChannels; c++) out.copyToChannel(buffer.getChannelData(c).subarray(from, from + length), c);
+  return out;
+}
+
+// Mix program time [start, end) of the sequence at 1x speed; returns one Float32Array per channel.
+// Clips are decoded one at a time and only the ranges the mix plays are kept: a whole decoded track
+// takes about 1.4 GB per hour of stereo.
+export async function mixSequenceAudio(clips, segments, start, end) {
+  const length = Math.max(1, Math.ceil((end - start) * AUDIO_SAMPLE_RATE));
+  const ctx = new OfflineAudioContext(AUDIO_CHANNELS, length, AUDIO_SAMPLE_RATE);
+  // { clip, at, offset, duration }: where in the mix each overlapping segment plays, from where in its clip
+  const spans = [];
+  let segStart = 0;
+  for (const seg of segments) {
+    const segEnd = segStart + segmentLength(seg);
+    const clip = clips.find((c) => c.id === seg.clipId);
+    if (clip && segEnd > start && segStart < end) {
+      const from = Math.max(segStart, start);
+      spans.push({ clip, at: from - start, offset: seg.in + (from - segStart), duration: Math.min(segEnd, end) - from });
+    }
+    segStart = segEnd;
+  }
+  for (const clip of new Set(spans.map((s) => s.clip))) {
+    const buffer = await decodeClipAudio(clip);
+    if (!buffer) continue;
+    for (const span of spans.filter((s) => s.clip === clip)) {
+      const node = ctx.createBufferSource();
+      node.buffer = sliceBuffer(ctx, buffer, span.offset, span.duration);
+      node.connect(ctx.destination);
+      node.start(span.at);
+    }
+  }
+  const rendered = await ctx.startRendering();
+  const channels = [];
+  for (let c = 0; c < AUDIO_CHANNELS; c++) channels.push(rendered.getChannelData(c));
+  return channels;
+}
+
+// Speed change without pitch preservation (linear-interpolated resampling).
+// `position(i)` is the input sample under output sample i.
+export function resample(channels, outLen, position) {
+  return channels.map((input) => {
+    const out = new Float32Array(outLen);
+    for (let i = 0; i < outLen; i++) {
+      const pos = Math.min(position(i), input.length - 1);
+      const j = Math.floor(pos);
+      const f = pos - j;
+      out[i] = input[j] * (1 - f) + (input[j + 1] ?? input[j]) * f;
+    }
+    return out;
+  });
+}
+
+// Speed change with pitch preserved: WSOLA (waveform-similarity overlap-add) using 40ms Hann
+// frames at 50% overlap. The similarity search runs on a decimated mono mix to stay cheap.
+// `position(i)` is the input sample under output sample i, as for resample().
+export function timeStretch(channels, sampleRate, outLen, position) {
+  const input = channels[0];
+  const inLen = input.length;
+  const frame = Math.round(sampleRate * 0.04) & ~1;
+  const hop = frame / 2;
+  const search = Math.round(sampleRate * 0.01);
+  const win = new Float32Array(frame);
+  for (let k = 0; k < frame; k++) win[k] = 0.5 - 0.5 * Math.cos((2 * Math.PI * k) / frame);
+  const mono = new Float32Array(inLen);
+  for (const ch of channels) for (let i = 0; i < inLen; i++) mono[i] += ch[i] / channels.length;
+
+  const out = channels.map(() => new Float32Array(outLen + frame));
+  let prev = 0;
+  for (let outPos = 0; outPos < outLen; outPos += hop) {
+    const nominal = Math.min(Math.round(position(outPos)), Math.max(0, inLen - frame));
+    let best = nominal;
+    if (outPos > 0) {
+      // Pick the candidate that best continues the previously copied frame
+      const natural = prev + hop;
+      let bestCorr = -Infinity;
+      for (let d = -search; d <= search; d += 2) {
+        const cand = nominal + d;
+        if (cand < 0 || cand + frame > inLen || natural + hop > inLen) continue;
+        let corr = 0;
+        for (let k = 0; k < hop; k += 4) corr += mono[natural + k] * mono[cand + k];
+        if (corr > bestCorr) { bestCorr = corr; best = cand; }
+      }
+    }
+    for (let c = 0; c < channels.length; c++) {
+      const src = channels[c];
+      const dst = out[c];
+      for (let k = 0; k < frame && best + k < inLen; k++) dst[outPos + k] += src[best + k] * win[k];
+    }
+    prev = best;
+  }
+  return out.map((ch) => ch.subarray(0, outLen));
+}
+
+// Apply volume, mute and linear fades (in output seconds) in place
+export function applyGain(channels, sampleRate, settings) {
+  const level = settings.muted ? 0 : settings.volume;
+  const len = channels[0].length;
+  const fadeIn = Math.round(settings.fadeIn * sampleRate);
+  const fadeOut = Math.round(settings.fadeOut * sampleRate);
+  for (const ch of channels) {
+    for (let i = 0; i < len; i++) {
+      let g = level;
+      if (i < fadeIn) g *= i / fadeIn;
+      if (len - i <= fadeOut) g *= (len - i) / fadeOut;
+      ch[i] *= g;
+    }
+  }
+  return channels;
+}
+
+// Build the finished export soundtrack for a time map (see speed.js): its program range played at
+// its constant rate or through its speed ramps
+export async function renderSequenceAudio(clips, segments, timeMap, settings) {
+  const { start, end, rate } = timeMap;
+  let channels = await mixSequenceAudio(clips, segments, start, end);
+  if (rate !== 1) {
+    const outLen = Math.floor(rate ? channels[0].length / rate : timeMap.duration * AUDIO_SAMPLE_RATE);
+    const position = rate ? (i) => i * rate : (i) => (timeMap.programTime(i / AUDIO_SAMPLE_RATE) - start) * AUDIO_SAMPLE_RATE;
+    channels = settings.preservePitch ? timeStretch(channels, AUDIO_SAMPLE_RATE, outLen, position) : resample(channels, outLen, position);
+  }
+  return applyGain(channels, AUDIO_SAMPLE_RATE, settings);
+}
+
+// OpusHead identification header, the Matroska CodecPrivate for A_OPUS
+export function opusHead(channels, sampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+  head[8] = 1; // version
+  head[9] = channels;
+  view.setUint16(10, 312, true); // pre-skip: libopus lookahead at 48kHz
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true); // output gain
+  head[18] = 0; // channel mapping family
+  return head;
+}
+
+// Encode planar float audio to Opus, calling onChunk(chunk, metadata) for each packet
+export async function encodeAudio(channels, sampleRate, onChunk) {
+  const config = { codec: "opus", sampleRate, numberOfChannels: channels.length, bitrate: 128000 };
+  const { supported } = await AudioEncoder.isConfigSupported(config);
+  if (!supported) throw new Error("Opus audio encoding is not supported in this browser.");
+  let encodeError = null;
+  const encoder = new AudioEncoder({ output: onChunk, error: (e) => { encodeError = e; } });
+  encoder.configure(config);
+  try {
+    const len = channels[0].length;
+    for (let off = 0; off < len; off += sampleRate) {
+      const n = Math.min(sampleRate, len - off);
+      const data = new Float32Array(n * channels.length);
+      channels.forEach((ch, c) => data.set(ch.subarray(off, off + n), c * n));
+      const audioData = new AudioData({ format: "f32-planar", sampleRate, numberOfFrames: n, numberOfChannels: channels.length, timestamp: Math.round((off / sampleRate) * 1e6), data });
+      encoder.encode(audioData);
+      audioData.close();
+      if (encodeError) throw encodeError;
+    }
+    await encoder.flush();
+    if (encodeError) throw encodeError;
+  } finally {
+    if (encoder.state !== "closed") encoder.close();
+  }
+}
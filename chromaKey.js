@@ -0,0 +1,188 @@
+import { contentRect } from "./utils";
+
+// Chroma key helpers. A chroma key layer's data is { key, backdrop }: `key` is the picked key color
+// ("#rrggbb", null until one is picked) and `backdrop` what shows through the keyed areas:
+// { kind: "color" | "image" | "video", color: "#rrggbb", name, media } where `media` is the loaded
+// <img> or <video> (null for a color, or when a preset names a file that isn't loaded).
+// A video backdrop loops on program time.
+
+export const BACKDROP_KINDS = [
+  { id: "color", label: "Solid color" },
+  { id: "image", label: "Image" },
+  { id: "video", label: "Video" },
+];
+
+export function defaultBackdrop() {
+  return { kind: "color", color: "#000000", name: "", media: null };
+}
+
+// Backdrop media loaded this session by kind and file name, so presets that reference one keep
+// working until it is released (like LUTs, preset files only store the name)
+const loaded = new Map();
+// Every loaded backdrop element still holding its file's object URL
+const live = new Set();
+
+export function findBackdrop(kind, name) {
+  return loaded.get(`${kind}:${name}`) || null;
+}
+
+export const isHexColor = (value) => typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+
+export function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+function rgbToHex(r, g, b) {
+  return `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Load an image or video file as a backdrop
+export async function loadBackdrop(file) {
+  let backdrop;
+  if (file.type.startsWith("video/")) {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error("The file could not be decoded as video."));
+      video.src = URL.createObjectURL(file);
+    });
+    backdrop = { kind: "video", color: "#000000", name: file.name, media: video };
+  } else {
+    // An <img> rather than an ImageBitmap: WebGL ignores UNPACK_FLIP_Y for bitmaps
+    const image = new Image();
+    image.src = URL.createObjectURL(file);
+    await image.decode().catch(() => {
+      URL.revokeObjectURL(image.src);
+      throw new Error("The file could not be decoded as an image.");
+    });
+    backdrop = { kind: "image", color: "#000000", name: file.name, media: image };
+  }
+  loaded.set(`${backdrop.kind}:${file.name}`, backdrop.media);
+  live.add(backdrop.media);
+  return backdrop;
+}
+
+// Free the backdrops none of `layerLists` (the editor's layers and its undo history) refers to any
+// more, e.g. after another file replaced one or its layer was removed for good: their object URLs are
+// revoked, and presets naming them need the file loaded again.
+export function releaseBackdrops(layerLists) {
+  const used = new Set();
+  for (const layers of layerLists) {
+    for (const layer of layers) {
+      const backdrop = layer.data && layer.data.backdrop;
+      if (backdrop && backdrop.media) used.add(backdrop.media);
+    }
+  }
+  for (const media of live) {
+    if (used.has(media)) continue;
+    live.delete(media);
+    for (const [key, value] of loaded) if (value === media) loaded.delete(key);
+    URL.revokeObjectURL(media.src);
+    if (media instanceof HTMLVideoElement) {
+      media.pause();
+      media.removeAttribute("src");
+      media.load();
+    }
+  }
+}
+
+export const backdropReady = (backdrop) => !!backdrop && !!backdrop.media && (backdrop.kind !== "video" || backdrop.media.readyState >= 2);
+
+function mediaSize(media) {
+  return { width: media.videoWidth || media.width, height: media.videoHeight || media.height };
+}
+
+// Sampler table for the WebGL pass: the backdrop element (size = its aspect ratio, for cover
+// fitting), or a 1x1 texel of its color
+const colorTables = new Map();
+const imageTables = new WeakMap();
+export function backdropTable(backdrop) {
+  if (backdropReady(backdrop) && backdrop.kind !== "color") {
+    const { width, height } = mediaSize(backdrop.media);
+    if (backdrop.kind === "video") return { image: backdrop.media, size: width / height, live: true };
+    if (!imageTables.has(backdrop.media)) imageTables.set(backdrop.media, { image: backdrop.media, size: width / height });
+    return imageTables.get(backdrop.media);
+  }
+  const color = backdrop ? backdrop.color : "#000000";
+  if (!colorTables.has(color)) {
+    const [r, g, b] = hexToRgb(color);
+    colorTables.set(color, { pixels: new Uint8Array([r * 255, g * 255, b * 255, 255]), width: 1, height: 1, size: 1 });
+  }
+  return colorTables.get(color);
+}
+
+// The backdrop drawn at w x h (scaled to cover), for the 2D fallback
+let scratch = null;
+export function backdropPixels(backdrop, w, h) {
+  if (!scratch) scratch = document.createElement("canvas");
+  if (scratch.width !== w || scratch.height !== h) {
+    scratch.width = w;
+    scratch.height = h;
+  }
+  const ctx = scratch.getContext("2d", { willReadFrequently: true });
+  ctx.fillStyle = backdrop ? backdrop.color : "#000000";
+  ctx.fillRect(0, 0, w, h);
+  if (backdrop && backdrop.kind !== "color" && backdropReady(backdrop)) {
+    const size = mediaSize(backdrop.media);
+    const s = Math.max(w / size.width, h / size.height);
+    ctx.drawImage(backdrop.media, (w - size.width * s) / 2, (h - size.height * s) / 2, size.width * s, size.height * s);
+  }
+  return ctx.getImageData(0, 0, w, h).data;
+}
+
+// Where a looping video backdrop is at program time `t`
+export function backdropTime(video, t) {
+  const d = video.duration;
+  return isFinite(d) && d > 0 ? t % d : 0;
+}
+
+// The video backdrops of the enabled chroma key layers
+export function backdropVideos(layers) {
+  const videos = [];
+  for (const layer of layers) {
+    const backdrop = layer.enabled && layer.effectId === "chromaKey" && layer.data && layer.data.backdrop;
+    if (backdrop && backdrop.kind === "video" && backdrop.media && !videos.includes(backdrop.media)) videos.push(backdrop.media);
+  }
+  return videos;
+}
+
+// Keep a preview's video backdrop in step with the program: playing along at `rate` while the
+// player plays, parked on the matching frame while it is paused
+export function syncBackdrop(video, t, playing, rate) {
+  const target = backdropTime(video, t);
+  if (!playing) {
+    if (!video.paused) video.pause();
+    if (!video.seeking && Math.abs(video.currentTime - target) > 0.02) video.currentTime = target;
+    return;
+  }
+  video.playbackRate = rate;
+  if (video.paused) video.play().catch(() => {});
+  if (!video.seeking && Math.abs(video.currentTime - target) > 0.25) video.currentTime = target;
+}
+
+// Eyedropper: the color under a click on a playing or paused <video>, averaged over a few pixels to
+// ride out noise. Null outside the picture.
+export function pickVideoColor(video, clientX, clientY) {
+  const rect = contentRect(video);
+  const u = (clientX - rect.left) / rect.width;
+  const v = (clientY - rect.top) / rect.height;
+  if (!video.videoWidth || u < 0 || u > 1 || v < 0 || v > 1) return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = 5;
+  canvas.height = 5;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(video, Math.round(u * video.videoWidth) - 2, Math.round(v * video.videoHeight) - 2, 5, 5, 0, 0, 5, 5);
+  const data = ctx.getImageData(0, 0, 5, 5).data;
+  const sum = [0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) {
+    sum[0] += data[i];
+    sum[1] += data[i + 1];
+    sum[2] += data[i + 2];
+  }
+  return rgbToHex(sum[0] / 25, sum[1] / 25, sum[2] / 25);
+}
@@ -0,0 +1,33 @@
+// Compare views drawn inside the processed canvas. They are a preview aid only: exports always
+// render the plain stack.
+// compare = { mode, horizontal, position, passesB } where `position` (0..1) is the split measured
+// from the left (or top when horizontal) and `passesB` is the second stack for "ab".
+
+export const COMPARE_MODES = [
+  { id: "off", label: "Off" },
+  { id: "wipe", label: "Wipe: original | processed" },
+  { id: "difference", label: "Difference heat map" },
+  { id: "ab", label: "A | B presets" },
+];
+
+// Shader mode indices; "original" is the hold-to-show-original view
+const MODE_INDEX = { off: 0, wipe: 1, original: 2, difference: 3, ab: 4 };
+
+export function compareIndex(mode) {
+  return MODE_INDEX[mode] || 0;
+}
+
+// Per-pixel differences are small, so they are amplified before mapping to the heat ramp
+export const DIFFERENCE_GAIN = 4;
+
+// 0..1 -> black, red, yellow, white (same ramp as the shader)
+export function heat(x) {
+  const c = (v) => Math.min(255, Math.max(0, Math.round(v * 255)));
+  return [c(3 * x), c(3 * x - 1), c(3 * x - 2)];
+}
+
+// Difference magnitude of two RGB triples, normalized to 0..1 and amplified
+export function differenceLevel(r1, g1, b1, r2, g2, b2) {
+  const d = Math.sqrt((r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2) / (255 * Math.sqrt(3));
+  return Math.min(1, d * DIFFERENCE_GAIN);
+}
@@ -0,0 +1,137 @@
+import { BLEND_MODES, blendIndex } from "./stack";
+import { clamp } from "./utils";
+
+// CPU effect stacks: the Canvas 2D fallback's, shared by the 2D renderer and its CPU worker
+// (cpuWorker.js), and a canvas-free copy for the headless "cpu" backend (see processor.js).
+
+// `ctx` holds the w x h frame; each pass filters a copy of it in `sctx` (CSS filter and/or the
+// effect's cpu() pass) and composites that back with the layer's opacity and blend mode. Effects
+// without a 2D implementation are skipped.
+export function runStack2D(ctx, sctx, passes, w, h) {
+  for (const { effect, params, data, opacity, blend } of passes) {
+    if (!effect.cssFilter && !effect.cpu) continue;
+    sctx.clearRect(0, 0, w, h);
+    sctx.filter = effect.cssFilter ? effect.cssFilter(params) : "none";
+    sctx.drawImage(ctx.canvas, 0, 0);
+    sctx.filter = "none";
+    if (effect.cpu) {
+      const img = sctx.getImageData(0, 0, w, h);
+      effect.cpu(img.data, w, h, params, data);
+      sctx.putImageData(img, 0, 0);
+    }
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.globalCompositeOperation = BLEND_MODES[blendIndex(blend)].composite;
+    ctx.drawImage(sctx.canvas, 0, 0);
+    ctx.restore();
+  }
+}
+
+// Stacks worth sending to the worker: some pass has a CPU loop, and every one that does allows it
+export function workerStack(passes) {
+  return passes.some((p) => p.effect.cpu) && passes.every((p) => !p.effect.cpu || p.effect.worker);
+}
+
+// Color matrices of the CSS filter functions the effects use, from the Filter Effects spec:
+// [r.r, r.g, r.b, r.offset, g..., b...] on 0..1 channels
+const CSS_FILTERS = {
+  brightness: (a) => [a, 0, 0, 0, 0, a, 0, 0, 0, 0, a, 0],
+  contrast: (a) => [a, 0, 0, 0.5 - a / 2, 0, a, 0, 0.5 - a / 2, 0, 0, a, 0.5 - a / 2],
+  saturate: (s) => [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s, 0,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s, 0,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s, 0,
+  ],
+  "hue-rotate": (deg) => {
+    const c = Math.cos((deg * Math.PI) / 180);
+    const s = Math.sin((deg * Math.PI) / 180);
+    return [
+      0.213 + c * 0.787 - s * 0.213, 0.715 - c * 0.715 - s * 0.715, 0.072 - c * 0.072 + s * 0.928, 0,
+      0.213 - c * 0.213 + s * 0.143, 0.715 + c * 0.285 + s * 0.14, 0.072 - c * 0.072 - s * 0.283, 0,
+      0.213 - c * 0.213 - s * 0.787, 0.715 - c * 0.715 + s * 0.715, 0.072 + c * 0.928 + s * 0.072, 0,
+    ];
+  },
+  sepia: (a) => {
+    const k = 1 - clamp(a, 0, 1);
+    return [
+      0.393 + 0.607 * k, 0.769 - 0.769 * k, 0.189 - 0.189 * k, 0,
+      0.349 - 0.349 * k, 0.686 + 0.314 * k, 0.168 - 0.168 * k, 0,
+      0.272 - 0.272 * k, 0.534 - 0.534 * k, 0.131 + 0.869 * k, 0,
+    ];
+  },
+  grayscale: (a) => {
+    const k = 1 - clamp(a, 0, 1);
+    return [
+      0.2126 + 0.7874 * k, 0.7152 - 0.7152 * k, 0.0722 - 0.0722 * k, 0,
+      0.2126 - 0.2126 * k, 0.7152 + 0.2848 * k, 0.0722 - 0.0722 * k, 0,
+      0.2126 - 0.2126 * k, 0.7152 - 0.7152 * k, 0.0722 + 0.9278 * k, 0,
+    ];
+  },
+  invert: (a) => {
+    const k = clamp(a, 0, 1);
+    return [1 - 2 * k, 0, 0, k, 0, 1 - 2 * k, 0, k, 0, 0, 1 - 2 * k, k];
+  },
+};
+
+// "brightness(1.1) hue-rotate(-8deg)" -> color matrices; functions not in CSS_FILTERS are ignored
+function filterMatrices(filter) {
+  const matrices = [];
+  for (const [, name, arg, unit] of filter.matchAll(/([a-z-]+)\(\s*(-?[\d.]+)(deg|%)?\s*\)/g)) {
+    if (!CSS_FILTERS[name]) continue;
+    const value = unit === "%" ? Number(arg) / 100 : Number(arg);
+    if (Number.isFinite(value)) matrices.push(CSS_FILTERS[name](value));
+  }
+  return matrices;
+}
+
+// Apply a CSS filter string to RGBA pixels in place, clamping after each function like a browser
+export function applyCssFilter(data, filter) {
+  const matrices = filterMatrices(filter);
+  if (!matrices.length) return;
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i] / 255;
+    let g = data[i + 1] / 255;
+    let b = data[i + 2] / 255;
+    for (const m of matrices) {
+      const nr = m[0] * r + m[1] * g + m[2] * b + m[3];
+      const ng = m[4] * r + m[5] * g + m[6] * b + m[7];
+      const nb = m[8] * r + m[9] * g + m[10] * b + m[11];
+      r = clamp(nr, 0, 1);
+      g = clamp(ng, 0, 1);
+      b = clamp(nb, 0, 1);
+    }
+    data[i] = r * 255;
+    data[i + 1] = g * 255;
+    data[i + 2] = b * 255;
+  }
+}
+
+// Per-channel blend functions (0..1), in BLEND_MODES order, the same as blendMode() in shaders.js
+const BLENDS = [
+  (b, s) => s,
+  (b, s) => b * s,
+  (b, s) => 1 - (1 - b) * (1 - s),
+  (b, s) => (b < 0.5 ? 2 * b * s : 1 - 2 * (1 - b) * (1 - s)),
+  (b, s) => Math.min(b + s, 1),
+  (b, s) => Math.abs(b - s),
+];
+
+// runStack2D() in plain JS, for where there is no canvas (Node, tests): `image` is an ImageData-like
+// { data, width, height } processed in place. CSS filters go through applyCssFilter().
+export function runStackPixels(image, passes) {
+  const { data, width: w, height: h } = image;
+  for (const { effect, params, data: layerData, opacity, blend } of passes) {
+    if (!effect.cssFilter && !effect.cpu) continue;
+    const layer = new Uint8ClampedArray(data);
+    if (effect.cssFilter) applyCssFilter(layer, effect.cssFilter(params));
+    if (effect.cpu) effect.cpu(layer, w, h, params, layerData);
+    const fn = BLENDS[blendIndex(blend)];
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = i; c < i + 3; c++) {
+        const base = data[c] / 255;
+        data[c] = (base + (fn(base, layer[c] / 255) - base) * opacity) * 255;
+      }
+    }
+  }
+  return image;
+}
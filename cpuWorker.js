@@ -0,0 +1,32 @@
+import { getEffect } from "./effects";
+import { runStack2D } from "./cpuStack";
+
+// Worker running the 2D fallback's effect stack on an OffscreenCanvas, see createCpuWorker() in
+// renderer.js. A job is { width, height, pixels, passes: [{ effectId, params, data, opacity, blend }] }
+// with `pixels` the frame's RGBA buffer (transferred); the reply is { bitmap } or { error }, also for
+// effects missing from the worker's registry.
+let canvas = null;
+let ctx = null;
+let sctx = null;
+
+self.onmessage = ({ data: job }) => {
+  try {
+    const { width: w, height: h } = job;
+    if (!canvas || canvas.width !== w || canvas.height !== h) {
+      canvas = new OffscreenCanvas(w, h);
+      ctx = canvas.getContext("2d");
+      sctx = new OffscreenCanvas(w, h).getContext("2d", { willReadFrequently: true });
+    }
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(job.pixels), w, h), 0, 0);
+    const passes = job.passes.map((p) => ({ ...p, effect: getEffect(p.effectId) }));
+    // An effect this worker doesn't know would silently drop out of the frame; failing the job sends
+    // the renderer back to the main thread, which has the whole stack
+    const unknown = job.passes.filter((p, i) => !passes[i].effect).map((p) => p.effectId);
+    if (unknown.length) throw new Error(`Unknown effects: ${unknown.join(", ")}`);
+    runStack2D(ctx, sctx, passes, w, h);
+    const bitmap = canvas.transferToImageBitmap();
+    self.postMessage({ bitmap }, [bitmap]);
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
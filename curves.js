@@ -0,0 +1,105 @@
+// Tone curves. Each channel is a list of [x, y] control points in 0..1, sorted by x, with points at
+// x = 0 and x = 1. Curves are interpolated with monotone cubic splines so they never overshoot.
+// "rgb" applies to all three channels before the per-channel curves; "luma" reshapes luminance only.
+
+export const CURVE_CHANNELS = [
+  { id: "rgb", label: "RGB", color: "#374151" },
+  { id: "luma", label: "Luma", color: "#9ca3af" },
+  { id: "r", label: "Red", color: "#dc2626" },
+  { id: "g", label: "Green", color: "#16a34a" },
+  { id: "b", label: "Blue", color: "#2563eb" },
+];
+
+const IDENTITY = [[0, 0], [1, 1]];
+
+export function defaultCurves() {
+  return { rgb: IDENTITY, luma: IDENTITY, r: IDENTITY, g: IDENTITY, b: IDENTITY };
+}
+
+export function isIdentityCurve(points) {
+  return points.every(([x, y]) => x === y);
+}
+
+export function isIdentityCurves(curves) {
+  return CURVE_CHANNELS.every(({ id }) => isIdentityCurve(curves[id]));
+}
+
+// Fritsch–Carlson tangents for a monotone cubic through `points`
+function tangents(points) {
+  const n = points.length;
+  const d = [];
+  for (let i = 0; i < n - 1; i++) d.push((points[i + 1][1] - points[i][1]) / Math.max(1e-6, points[i + 1][0] - points[i][0]));
+  const m = points.map((_, i) => (i === 0 ? d[0] : i === n - 1 ? d[n - 2] : d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2));
+  for (let i = 0; i < n - 1; i++) {
+    if (d[i] === 0) { m[i] = 0; m[i + 1] = 0; continue; }
+    const a = m[i] / d[i];
+    const b = m[i + 1] / d[i];
+    const s = a * a + b * b;
+    if (s > 9) {
+      const t = 3 / Math.sqrt(s);
+      m[i] = t * a * d[i];
+      m[i + 1] = t * b * d[i];
+    }
+  }
+  return m;
+}
+
+// Sample a curve at `count` evenly spaced inputs
+export function sampleCurve(points, count) {
+  const m = tangents(points);
+  const out = new Float32Array(count);
+  let seg = 0;
+  for (let i = 0; i < count; i++) {
+    const x = i / (count - 1);
+    while (seg < points.length - 2 && x > points[seg + 1][0]) seg++;
+    const [x0, y0] = points[seg];
+    const [x1, y1] = points[seg + 1];
+    const h = Math.max(1e-6, x1 - x0);
+    const t = Math.min(1, Math.max(0, (x - x0) / h));
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const y = (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * m[seg] + (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * m[seg + 1];
+    out[i] = Math.min(1, Math.max(0, y));
+  }
+  return out;
+}
+
+// 256x1 RGBA lookup texture: RGB = channel curve after the RGB curve, A = luma curve.
+// Cached per curves object, so unchanged curves reuse their texture.
+const tables = new WeakMap();
+
+export function curveTable(curves) {
+  if (!tables.has(curves)) {
+    const master = sampleCurve(curves.rgb, 256);
+    const channels = ["r", "g", "b"].map((id) => sampleCurve(curves[id], 256));
+    const luma = sampleCurve(curves.luma, 256);
+    const pixels = new Uint8Array(256 * 4);
+    for (let i = 0; i < 256; i++) {
+      const x = master[i] * 255;
+      const j = Math.floor(x);
+      const f = x - j;
+      for (let c = 0; c < 3; c++) {
+        const v = channels[c][j] * (1 - f) + channels[c][Math.min(255, j + 1)] * f;
+        pixels[i * 4 + c] = Math.round(v * 255);
+      }
+      pixels[i * 4 + 3] = Math.round(luma[i] * 255);
+    }
+    tables.set(curves, { pixels, width: 256, height: 1, size: 256 });
+  }
+  return tables.get(curves);
+}
+
+// Validate curves read from a preset file; invalid channels fall back to identity
+export function normalizeCurves(raw) {
+  const curves = defaultCurves();
+  if (!raw || typeof raw !== "object") return curves;
+  for (const { id } of CURVE_CHANNELS) {
+    const points = Array.isArray(raw[id]) ? raw[id].filter((p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)) : [];
+    if (points.length < 2) continue;
+    const clean = points.map(([x, y]) => [Math.min(1, Math.max(0, x)), Math.min(1, Math.max(0, y))]).sort((a, b) => a[0] - b[0]);
+    clean[0][0] = 0;
+    clean[clean.length - 1][0] = 1;
+    curves[id] = clean;
+  }
+  return curves;
+}
@@ -0,0 +1,11 @@
+export default {
+  id: "brightness",
+  label: "Brightness",
+  group: "basic",
+  params: {
+    amount: { label: "Brightness", min: 0, max: 2, step: 0.01, default: 1 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){return c*${u.amount};}`,
+  isIdentity: (p) => p.amount === 1,
+  cssFilter: (p) => `brightness(${p.amount})`,
+};
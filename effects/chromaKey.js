@@ -0,0 +1,69 @@
+import { defaultBackdrop, findBackdrop, isHexColor, hexToRgb, backdropTable, backdropPixels } from "../chromaKey";
+
+// Green/blue screen key (see chromaKey.js for the layer data). Pixels whose chroma (CbCr) lies within
+// `tolerance` of the key color's are replaced by the backdrop, with a `softness` ramp at the edge.
+// Spill suppression removes the key's hue from what is kept; the matte view shows the alpha in gray.
+const cbcr = (r, g, b) => [-0.168736 * r - 0.331264 * g + 0.5 * b, 0.5 * r - 0.418688 * g - 0.081312 * b];
+
+export default {
+  id: "chromaKey",
+  label: "Chroma Key",
+  group: "keying",
+  editor: "chromaKey",
+  params: {
+    tolerance: { label: "Tolerance", min: 0, max: 0.5, step: 0.005, default: 0.15 },
+    softness: { label: "Softness", min: 0, max: 0.5, step: 0.005, default: 0.1 },
+    spill: { label: "Spill Suppression", min: 0, max: 1, step: 0.01, default: 0.5 },
+    matte: { label: "Matte View", min: 0, max: 1, step: 1, default: 0, toggle: true },
+  },
+  data: {
+    default: () => ({ key: null, backdrop: defaultBackdrop() }),
+    save: (d) => ({ key: d.key, backdrop: { kind: d.backdrop.kind, color: d.backdrop.color, name: d.backdrop.name } }),
+    load: (raw) => {
+      const b = (raw && raw.backdrop) || {};
+      const kind = ["color", "image", "video"].includes(b.kind) ? b.kind : "color";
+      const name = typeof b.name === "string" ? b.name : "";
+      return {
+        key: raw && isHexColor(raw.key) ? raw.key.toLowerCase() : null,
+        backdrop: { kind, color: isHexColor(b.color) ? b.color : "#000000", name, media: kind === "color" ? null : findBackdrop(kind, name) },
+      };
+    },
+  },
+  samplers: {
+    backdrop: (d) => backdropTable(d.backdrop),
+  },
+  colors: {
+    key: (d) => hexToRgb(d.key || "#00ff00"),
+  },
+  // The backdrop is scaled to cover the frame: backdropSize is its aspect ratio, u_texel gives the frame's
+  glsl: (fn, u) => `vec2 ${fn}_cc(vec3 c){return vec2(dot(c,vec3(-0.168736,-0.331264,0.5)),dot(c,vec3(0.5,-0.418688,-0.081312)));}vec3 ${fn}(vec3 c,vec2 uv){vec2 k=${fn}_cc(${u.key});vec2 p=${fn}_cc(c);float a=smoothstep(${u.tolerance},${u.tolerance}+${u.softness}+0.0001,distance(p,k));vec2 dir=k/max(length(k),0.0001);vec2 q=p-dir*max(0.0,dot(p,dir))*${u.spill};float y=dot(c,vec3(0.299,0.587,0.114));vec3 f=vec3(y+1.402*q.y,y-0.344136*q.x-0.714136*q.y,y+1.772*q.x);float fa=u_texel.y/u_texel.x;vec2 b=uv-0.5;b*=${u.backdropSize}>fa?vec2(fa/${u.backdropSize},1.0):vec2(1.0,${u.backdropSize}/fa);vec3 bg=texture2D(${u.backdrop},b+0.5).rgb;return ${u.matte}>0.5?vec3(a):mix(bg,f,a);}`,
+  isIdentity: (p, d) => !d || !d.key,
+  cpu(data, w, h, p, d) {
+    const bg = backdropPixels(d.backdrop, w, h);
+    const key = hexToRgb(d.key);
+    const [kb, kr] = cbcr(key[0] * 255, key[1] * 255, key[2] * 255);
+    const klen = Math.max(Math.hypot(kb, kr), 0.01);
+    const [db, dr] = [kb / klen, kr / klen];
+    const lo = p.tolerance * 255;
+    const hi = (p.tolerance + p.softness) * 255 + 0.01;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const [cb, cr] = cbcr(r, g, b);
+      const t = Math.min(1, Math.max(0, (Math.hypot(cb - kb, cr - kr) - lo) / (hi - lo)));
+      const a = t * t * (3 - 2 * t);
+      if (p.matte > 0.5) {
+        data[i] = data[i + 1] = data[i + 2] = a * 255;
+        continue;
+      }
+      const s = Math.max(0, cb * db + cr * dr) * p.spill;
+      const qb = cb - db * s;
+      const qr = cr - dr * s;
+      const y = 0.299 * r + 0.587 * g + 0.114 * b;
+      data[i] = bg[i] + (y + 1.402 * qr - bg[i]) * a;
+      data[i + 1] = bg[i + 1] + (y - 0.344136 * qb - 0.714136 * qr - bg[i + 1]) * a;
+      data[i + 2] = bg[i + 2] + (y + 1.772 * qb - bg[i + 2]) * a;
+    }
+  },
+};
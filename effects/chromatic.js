@@ -0,0 +1,25 @@
+export default {
+  id: "chromatic",
+  label: "Chromatic Aberration",
+  group: "advanced",
+  params: {
+    amount: { label: "Chromatic Aberration", min: 0, max: 1, step: 0.01, default: 0 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){if(${u.amount}>0.0){float off=0.003*${u.amount};float r=texture2D(u_texture,uv+vec2(off,0)).r;float g=texture2D(u_texture,uv).g;float b=texture2D(u_texture,uv-vec2(off,0)).b;c=vec3(r,g,b);}return c;}`,
+  isIdentity: (p) => p.amount <= 0,
+  worker: true,
+  // Shift red right and blue left by the same fraction of the width as the shader
+  cpu(data, w, h, p) {
+    const off = Math.round(0.003 * p.amount * w);
+    if (!off) return;
+    const src = new Uint8ClampedArray(data);
+    for (let y = 0; y < h; y++) {
+      const row = y * w;
+      for (let x = 0; x < w; x++) {
+        const idx = (row + x) * 4;
+        data[idx] = src[(row + Math.min(w - 1, x + off)) * 4];
+        data[idx+2] = src[(row + Math.max(0, x - off)) * 4 + 2];
+      }
+    }
+  },
+};
@@ -0,0 +1,45 @@
+// Lift / gamma / gain (shadows / midtones / highlights). Each range has a level slider and a color
+// wheel (hue + amount) that pushes it towards a hue:
+//   out = pow((c + lift * (1 - c)) * gain, 1 / gamma)
+
+const WHEELS = [
+  { id: "lift", label: "Lift", hue: "liftHue", amount: "liftAmount", scale: 0.25 },
+  { id: "gamma", label: "Gamma", hue: "gammaHue", amount: "gammaAmount", scale: 0.5 },
+  { id: "gain", label: "Gain", hue: "gainHue", amount: "gainAmount", scale: 0.5 },
+];
+
+// Zero-mean color offset for a hue (0..1) and amount; matches hsv2rgb() in shaders.js
+function tint(hue, amount) {
+  const rgb = [0, 2 / 3, 1 / 3].map((o) => Math.min(1, Math.max(0, Math.abs(((hue + o) % 1) * 6 - 3) - 1)));
+  const mean = (rgb[0] + rgb[1] + rgb[2]) / 3;
+  return rgb.map((v) => (v - mean) * amount);
+}
+
+const wheelParams = {};
+for (const w of WHEELS) {
+  wheelParams[w.id] = { label: w.label, min: -1, max: 1, step: 0.01, default: 0 };
+  wheelParams[w.hue] = { label: `${w.label} Hue`, min: 0, max: 1, step: 0.01, default: 0, format: (v) => `${Math.round(v * 360)}°` };
+  wheelParams[w.amount] = { label: `${w.label} Color`, min: 0, max: 1, step: 0.01, default: 0 };
+}
+
+export default {
+  id: "colorWheels",
+  label: "Color Wheels",
+  group: "grading",
+  params: wheelParams,
+  wheels: WHEELS,
+  glsl: (fn, u) => `vec3 ${fn}_tint(float h,float a){vec3 t=hsv2rgb(vec3(h,1.0,1.0));return (t-(t.r+t.g+t.b)/3.0)*a;}vec3 ${fn}(vec3 c,vec2 uv){vec3 lift=vec3(${u.lift}*0.5)+${fn}_tint(${u.liftHue},${u.liftAmount})*0.25;vec3 gamma=max(vec3(1.0+${u.gamma})+${fn}_tint(${u.gammaHue},${u.gammaAmount})*0.5,vec3(0.05));vec3 gain=vec3(1.0+${u.gain})+${fn}_tint(${u.gainHue},${u.gainAmount})*0.5;vec3 x=(c+lift*(1.0-c))*gain;return pow(max(x,0.0),1.0/gamma);}`,
+  isIdentity: (p) => WHEELS.every((w) => p[w.id] === 0 && p[w.amount] === 0),
+  cpu(data, w, h, p) {
+    const [lt, mt, gt] = WHEELS.map((wh) => tint(p[wh.hue], p[wh.amount]).map((v) => v * wh.scale));
+    const lift = lt.map((v) => p.lift * 0.5 + v);
+    const invGamma = mt.map((v) => 1 / Math.max(0.05, 1 + p.gamma + v));
+    const gain = gt.map((v) => 1 + p.gain + v);
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const x = data[i + c] / 255;
+        data[i + c] = Math.pow(Math.max(0, (x + lift[c] * (1 - x)) * gain[c]), invGamma[c]) * 255;
+      }
+    }
+  },
+};
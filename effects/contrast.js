@@ -0,0 +1,11 @@
+export default {
+  id: "contrast",
+  label: "Contrast",
+  group: "basic",
+  params: {
+    amount: { label: "Contrast", min: 0, max: 3, step: 0.01, default: 1 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){return ((c-0.5)*max(${u.amount},0.0))+0.5;}`,
+  isIdentity: (p) => p.amount === 1,
+  cssFilter: (p) => `contrast(${p.amount})`,
+};
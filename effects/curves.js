@@ -0,0 +1,32 @@
+import { defaultCurves, normalizeCurves, isIdentityCurves, curveTable } from "../curves";
+
+// RGB, per-channel and luma curves, baked into one 256x1 lookup texture (see curveTable())
+export default {
+  id: "curves",
+  label: "Curves",
+  group: "grading",
+  editor: "curves",
+  params: {},
+  data: {
+    default: defaultCurves,
+    load: normalizeCurves,
+  },
+  samplers: {
+    table: curveTable,
+  },
+  glsl: (fn, u) => `float ${fn}_at(float x){return clamp(x,0.0,1.0)*(255.0/256.0)+0.5/256.0;}vec3 ${fn}(vec3 c,vec2 uv){c=vec3(texture2D(${u.table},vec2(${fn}_at(c.r),0.5)).r,texture2D(${u.table},vec2(${fn}_at(c.g),0.5)).g,texture2D(${u.table},vec2(${fn}_at(c.b),0.5)).b);float l=dot(c,vec3(0.2126,0.7152,0.0722));return c+(texture2D(${u.table},vec2(${fn}_at(l),0.5)).a-l);}`,
+  isIdentity: (p, d) => !d || isIdentityCurves(d),
+  cpu(data, w, h, p, d) {
+    const table = curveTable(d).pixels;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = table[data[i] * 4];
+      const g = table[data[i + 1] * 4 + 1];
+      const b = table[data[i + 2] * 4 + 2];
+      const l = Math.min(255, Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b));
+      const shift = table[l * 4 + 3] - l;
+      data[i] = r + shift;
+      data[i + 1] = g + shift;
+      data[i + 2] = b + shift;
+    }
+  },
+};
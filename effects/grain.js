@@ -0,0 +1,19 @@
+export default {
+  id: "grain",
+  label: "Film Grain",
+  group: "advanced",
+  params: {
+    amount: { label: "Film Grain", min: 0, max: 1, step: 0.01, default: 0 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){if(${u.amount}>0.0){float n=fract(sin(dot(uv*u_time,vec2(12.9898,78.233)))*43758.5453);c+=(n-0.5)*0.25*${u.amount};}return c;}`,
+  isIdentity: (p) => p.amount <= 0,
+  worker: true,
+  cpu(data, w, h, p) {
+    for (let i = 0; i < data.length; i += 4) {
+      const n = (Math.random() - 0.5) * 255 * 0.12 * p.amount;
+      data[i] = Math.min(255, Math.max(0, data[i] + n));
+      data[i+1] = Math.min(255, Math.max(0, data[i+1] + n));
+      data[i+2] = Math.min(255, Math.max(0, data[i+2] + n));
+    }
+  },
+};
@@ -0,0 +1,11 @@
+export default {
+  id: "hue",
+  label: "Hue",
+  group: "basic",
+  params: {
+    angle: { label: "Hue", min: -180, max: 180, step: 1, default: 0, format: (v) => `${Math.round(v)}°` },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){vec3 hsv=rgb2hsv(c);hsv.x+=${u.angle}/360.0;return hsv2rgb(hsv);}`,
+  isIdentity: (p) => p.angle === 0,
+  cssFilter: (p) => `hue-rotate(${p.angle}deg)`,
+};
@@ -0,0 +1,62 @@
+// Effect registry.
+// An effect module declares:
+//   id, label, group ("basic" | "advanced" | "grading" | "keying")
+//   params: { key: { label, min, max, step, default, format?, toggle? } } — each becomes a float uniform and
+//           a slider, or an on/off checkbox (0 / 1) with `toggle`
+//   glsl(fn, u): GLSL source defining `vec3 fn(vec3 c, vec2 uv)`; `u.key` is the uniform name of each param.
+//                u_texture, u_texel (1/size) and u_time are available to every snippet.
+//   data?: { default(), load(raw), save?(data) } — non-numeric per-layer state kept in `layer.data`
+//          (curves, a loaded LUT); load() validates what a preset file holds, save() trims what it stores
+//   samplers?: { key: (data) => { pixels, width, height, size } | null } — RGBA lookup textures built
+//              from `layer.data`; `u.key` is a sampler2D and `u.keySize` a float holding `size`.
+//              Return the same object while data is unchanged so the texture isn't re-uploaded.
+//              A sampler may hand back { image, size, live? } instead, an image or video element
+//              uploaded like the source frame; `live` re-uploads it on every frame.
+//   colors?: { key: (data) => [r, g, b] } — vec3 uniforms (0..1) taken from `layer.data`, `u.key` in glsl()
+//   wheels?: [{ label, hue, amount }] — pairs of params edited with a color wheel instead of sliders
+//   editor?: "curves" | "lut" | "chromaKey" — extra editor shown under the layer's sliders
+//   isIdentity(p, data)?: true when the params leave the image unchanged (skipped in the 2D fallback)
+//   cssFilter(p)?: canvas filter string used by the 2D fallback
+//   cpu(data, w, h, p, layerData)?: in-place ImageData pass used by the 2D fallback
+//   worker?: true when cpu() may run in the 2D fallback's worker (cpuWorker.js): it must not touch the
+//            DOM, and layerData has to survive postMessage
+// Each effect is compiled into its own pass, see buildLayerShader() in shaders.js; the default
+// stack lists effects in registration order. Register extra effects before the editor mounts.
+import brightness from "./brightness";
+import contrast from "./contrast";
+import saturation from "./saturation";
+import hue from "./hue";
+import sepia from "./sepia";
+import vignette from "./vignette";
+import grain from "./grain";
+import chromatic from "./chromatic";
+import sharpen from "./sharpen";
+import posterize from "./posterize";
+import whiteBalance from "./whiteBalance";
+import colorWheels from "./colorWheels";
+import curves from "./curves";
+import lut from "./lut";
+import chromaKey from "./chromaKey";
+
+const registry = new Map();
+
+export function registerEffect(effect) {
+  if (!effect || !effect.id || typeof effect.glsl !== "function") throw new Error("Effect needs an id and a glsl(fn, uniforms) function");
+  if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(effect.id)) throw new Error(`Effect id "${effect.id}" must be alphanumeric`);
+  if (registry.has(effect.id)) throw new Error(`Effect "${effect.id}" is already registered`);
+  registry.set(effect.id, { params: {}, group: "advanced", label: effect.id, ...effect });
+}
+
+export function getEffect(id) {
+  return registry.get(id);
+}
+
+export function listEffects() {
+  return [...registry.values()];
+}
+
+export function uniformName(effectId, key) {
+  return `u_${effectId}_${key}`;
+}
+
+[brightness, contrast, saturation, hue, sepia, vignette, grain, chromatic, sharpen, posterize, whiteBalance, colorWheels, curves, lut, chromaKey].forEach(registerEffect);
@@ -0,0 +1,44 @@
+import { lutAtlas, sampleLut } from "../lut";
+
+// LUTs loaded this session by file name, so presets that reference one keep working until reload.
+// Preset files only store the name; the .cube has to be loaded again in a new session.
+const loaded = new Map();
+
+export function lutLayerData(name, lut) {
+  loaded.set(name, lut);
+  return { name, lut };
+}
+
+export default {
+  id: "lut",
+  label: "3D LUT",
+  group: "grading",
+  editor: "lut",
+  params: {
+    intensity: { label: "LUT Intensity", min: 0, max: 1, step: 0.01, default: 1 },
+  },
+  data: {
+    default: () => ({ name: "", lut: null }),
+    save: (d) => ({ name: d.name }),
+    load: (raw) => {
+      const name = raw && typeof raw.name === "string" ? raw.name : "";
+      return { name, lut: loaded.get(name) || null };
+    },
+  },
+  samplers: {
+    table: (d) => (d.lut ? lutAtlas(d.lut) : null),
+  },
+  // Blue slices sit side by side in the atlas: bilinear filtering covers red/green, blue is mixed by hand
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){float n=${u.tableSize};vec3 x=clamp(c,0.0,1.0)*(n-1.0);float b0=floor(x.b);float b1=min(b0+1.0,n-1.0);float y=(x.g+0.5)/n;vec3 s0=texture2D(${u.table},vec2((b0*n+x.r+0.5)/(n*n),y)).rgb;vec3 s1=texture2D(${u.table},vec2((b1*n+x.r+0.5)/(n*n),y)).rgb;return mix(c,mix(s0,s1,x.b-b0),${u.intensity});}`,
+  isIdentity: (p, d) => !d || !d.lut || p.intensity <= 0,
+  cpu(data, w, h, p, d) {
+    const out = [0, 0, 0];
+    const k = p.intensity;
+    for (let i = 0; i < data.length; i += 4) {
+      sampleLut(d.lut, data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, out);
+      data[i] = data[i] + (out[0] * 255 - data[i]) * k;
+      data[i + 1] = data[i + 1] + (out[1] * 255 - data[i + 1]) * k;
+      data[i + 2] = data[i + 2] + (out[2] * 255 - data[i + 2]) * k;
+    }
+  },
+};
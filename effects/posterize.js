@@ -0,0 +1,18 @@
+export default {
+  id: "posterize",
+  label: "Posterize",
+  group: "advanced",
+  params: {
+    levels: { label: "Posterize Levels", min: 0, max: 16, step: 1, default: 0, format: (v) => (v < 2 ? "off" : `${v}`) },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){if(${u.levels}>=2.0){float l=${u.levels}-1.0;c=floor(clamp(c,0.0,1.0)*l+0.5)/l;}return c;}`,
+  isIdentity: (p) => p.levels < 2,
+  cpu(data, w, h, p) {
+    const l = p.levels - 1;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = Math.round((data[i] / 255) * l) / l * 255;
+      data[i+1] = Math.round((data[i+1] / 255) * l) / l * 255;
+      data[i+2] = Math.round((data[i+2] / 255) * l) / l * 255;
+    }
+  },
+};
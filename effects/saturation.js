@@ -0,0 +1,11 @@
+export default {
+  id: "saturation",
+  label: "Saturation",
+  group: "basic",
+  params: {
+    amount: { label: "Saturation", min: 0, max: 3, step: 0.01, default: 1 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){vec3 hsv=rgb2hsv(c);hsv.y*=${u.amount};return hsv2rgb(hsv);}`,
+  isIdentity: (p) => p.amount === 1,
+  cssFilter: (p) => `saturate(${p.amount})`,
+};
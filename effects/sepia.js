@@ -0,0 +1,11 @@
+export default {
+  id: "sepia",
+  label: "Sepia",
+  group: "basic",
+  params: {
+    amount: { label: "Sepia", min: 0, max: 1, step: 0.01, default: 0 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){vec3 s=vec3(dot(c,vec3(0.393,0.769,0.189)),dot(c,vec3(0.349,0.686,0.168)),dot(c,vec3(0.272,0.534,0.131)));return mix(c,s,${u.amount});}`,
+  isIdentity: (p) => p.amount === 0,
+  cssFilter: (p) => `sepia(${p.amount})`,
+};
@@ -0,0 +1,11 @@
+export default {
+  id: "sharpen",
+  label: "Sharpen",
+  group: "advanced",
+  params: {
+    amount: { label: "Sharpen", min: 0, max: 2, step: 0.01, default: 0 },
+  },
+  // Unsharp mask: add back the difference between the source pixel and its 4-neighbour blur
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){if(${u.amount}>0.0){vec3 o=texture2D(u_texture,uv).rgb;vec3 b=(texture2D(u_texture,uv+vec2(u_texel.x,0.0)).rgb+texture2D(u_texture,uv-vec2(u_texel.x,0.0)).rgb+texture2D(u_texture,uv+vec2(0.0,u_texel.y)).rgb+texture2D(u_texture,uv-vec2(0.0,u_texel.y)).rgb)*0.25;c+=(o-b)*${u.amount};}return c;}`,
+  isIdentity: (p) => p.amount <= 0,
+};
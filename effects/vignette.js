@@ -0,0 +1,27 @@
+import { smoothstep } from "../utils";
+
+export default {
+  id: "vignette",
+  label: "Vignette",
+  group: "advanced",
+  params: {
+    amount: { label: "Vignette", min: 0, max: 1, step: 0.01, default: 0 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){if(${u.amount}>0.0){float dist=distance(uv,vec2(0.5));float vig=smoothstep(0.8,0.2,dist);c*=mix(1.0,vig,${u.amount});}return c;}`,
+  isIdentity: (p) => p.amount <= 0,
+  worker: true,
+  cpu(data, w, h, p) {
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const idx = (y * w + x) * 4;
+        const dx = (x / w - 0.5);
+        const dy = (y / h - 0.5);
+        const dist = Math.sqrt(dx*dx + dy*dy);
+        const vig = 1 - smoothstep(0.4, 0.9, dist) * p.amount;
+        data[idx] = data[idx] * vig;
+        data[idx+1] = data[idx+1] * vig;
+        data[idx+2] = data[idx+2] * vig;
+      }
+    }
+  },
+};
@@ -0,0 +1,22 @@
+// Warm/cool along the blue–amber axis, tint along green–magenta (positive = magenta)
+const gains = (p) => [1 + 0.3 * p.temperature + 0.1 * p.tint, 1 - 0.25 * p.tint, 1 - 0.3 * p.temperature + 0.1 * p.tint];
+
+export default {
+  id: "whiteBalance",
+  label: "White Balance",
+  group: "grading",
+  params: {
+    temperature: { label: "Temperature", min: -1, max: 1, step: 0.01, default: 0 },
+    tint: { label: "Tint", min: -1, max: 1, step: 0.01, default: 0 },
+  },
+  glsl: (fn, u) => `vec3 ${fn}(vec3 c,vec2 uv){return c*vec3(1.0+0.3*${u.temperature}+0.1*${u.tint},1.0-0.25*${u.tint},1.0-0.3*${u.temperature}+0.1*${u.tint});}`,
+  isIdentity: (p) => p.temperature === 0 && p.tint === 0,
+  cpu(data, w, h, p) {
+    const [r, g, b] = gains(p);
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] *= r;
+      data[i + 1] *= g;
+      data[i + 2] *= b;
+    }
+  },
+};
@@ -0,0 +1,79 @@
+// Export output formats and sizes.
+// Video formats list their WebCodecs codec strings (offline) and MediaRecorder type/codec (real-time),
+// each tried in order; when a format isn't supported the next video format is used instead.
+
+export const EXPORT_FORMATS = [
+  { id: "webm-vp9", label: "WebM · VP9", ext: "webm", mime: "video/webm", container: "webm", codecs: ["vp09.00.10.08"], recorder: { type: "video/webm", video: "vp9", audio: ["opus"] } },
+  { id: "webm-vp8", label: "WebM · VP8", ext: "webm", mime: "video/webm", container: "webm", codecs: ["vp8"], recorder: { type: "video/webm", video: "vp8", audio: ["opus"] } },
+  { id: "webm-av1", label: "WebM · AV1", ext: "webm", mime: "video/webm", container: "webm", codecs: ["av01.0.08M.08", "av01.0.04M.08"], recorder: { type: "video/webm", video: "av01", audio: ["opus"] } },
+  { id: "mp4-h264", label: "MP4 · H.264", ext: "mp4", mime: "video/mp4", container: "mp4", codecs: ["avc1.420028", "avc1.4d0028", "avc1.640028"], recorder: { type: "video/mp4", video: "avc1", audio: ["opus", "mp4a.40.2"] } },
+  { id: "gif", label: "Animated GIF", ext: "gif", mime: "image/gif", container: "gif", image: true },
+  { id: "png", label: "PNG sequence (.zip)", ext: "zip", mime: "application/zip", container: "zip", image: true },
+];
+
+export const RESOLUTIONS = [
+  { id: "source", label: "Source size" },
+  { id: "75", label: "75%", scale: 0.75 },
+  { id: "50", label: "50%", scale: 0.5 },
+  { id: "25", label: "25%", scale: 0.25 },
+  { id: "1080p", label: "1080p", height: 1080 },
+  { id: "720p", label: "720p", height: 720 },
+  { id: "480p", label: "480p", height: 480 },
+  { id: "360p", label: "360p", height: 360 },
+];
+
+export const FRAME_RATES = [12, 15, 24, 25, 30, 50, 60];
+
+export const DEFAULT_EXPORT_SETTINGS = { mode: "offline", format: "webm-vp9", resolution: "source", fps: 30, bitrate: 0, frameBlend: false, fileName: "processed-video" };
+
+export function getFormat(id) {
+  return EXPORT_FORMATS.find((f) => f.id === id) || EXPORT_FORMATS[0];
+}
+
+// Output frame size for a source of srcWidth x srcHeight; even dimensions keep every codec happy
+export function outputSize(srcWidth, srcHeight, resolutionId) {
+  const res = RESOLUTIONS.find((r) => r.id === resolutionId) || RESOLUTIONS[0];
+  const scale = res.height ? res.height / srcHeight : res.scale || 1;
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  return [even(srcWidth * scale), even(srcHeight * scale)];
+}
+
+// The chosen format first, then the other video formats in table order
+function fallbackOrder(id) {
+  const chosen = getFormat(id);
+  return [chosen, ...EXPORT_FORMATS.filter((f) => f !== chosen && !f.image)];
+}
+
+// Real-time capture: first MediaRecorder type the browser accepts -> { format, mimeType }
+export function pickRecorderFormat(id, withAudio) {
+  for (const format of fallbackOrder(id)) {
+    if (!format.recorder) continue;
+    const { type, video, audio } = format.recorder;
+    const candidates = withAudio ? audio.map((a) => `${type};codecs=${video},${a}`) : [`${type};codecs=${video}`];
+    const mimeType = candidates.find((m) => MediaRecorder.isTypeSupported(m));
+    if (mimeType) return { format, mimeType };
+  }
+  throw new Error("No supported recording format is available in this browser.");
+}
+
+// Offline encode: first WebCodecs config the browser supports -> { format, config }
+export async function pickVideoConfig(id, width, height, fps, bitrate) {
+  for (const format of fallbackOrder(id)) {
+    if (format.image) continue;
+    for (const codec of format.codecs) {
+      const config = { codec, width, height, framerate: fps, bitrate };
+      if (format.container === "mp4") config.avc = { format: "avc" };
+      try {
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (supported) return { format, config };
+      } catch (e) {}
+    }
+  }
+  throw new Error("No supported video encoder is available in this browser.");
+}
+
+// "clip" + format -> "clip.webm"; strips characters that are invalid in file names
+export function exportFileName(name, format) {
+  const base = (name || "").replace(/[\\/:*?"<>|]+/g, "").trim().replace(/\.[a-z0-9]+$/i, "") || "processed-video";
+  return `${base}.${format.ext}`;
+}
@@ -0,0 +1,135 @@
+// Animated GIF (GIF89a) encoder.
+// Frames are quantized to a fixed 6x7x6 colour cube with 4x4 ordered dithering, so every frame shares
+// the global colour table and encoding is a single pass per frame.
+
+const LEVELS = [6, 7, 6]; // r, g, b steps; 252 colours
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+function palette() {
+  const table = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < LEVELS[0]; r++) {
+    for (let g = 0; g < LEVELS[1]; g++) {
+      for (let b = 0; b < LEVELS[2]; b++) {
+        table[i++] = Math.round((r * 255) / (LEVELS[0] - 1));
+        table[i++] = Math.round((g * 255) / (LEVELS[1] - 1));
+        table[i++] = Math.round((b * 255) / (LEVELS[2] - 1));
+      }
+    }
+  }
+  return table;
+}
+
+// RGBA pixels -> palette indices
+function quantize(rgba, width, height) {
+  const out = new Uint8Array(width * height);
+  const [lr, lg, lb] = LEVELS.map((n) => n - 1);
+  for (let y = 0, p = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, p++) {
+      const d = BAYER[(y & 3) * 4 + (x & 3)] / 16 - 0.5;
+      const r = Math.min(lr, Math.max(0, Math.round((rgba[p * 4] / 255) * lr + d)));
+      const g = Math.min(lg, Math.max(0, Math.round((rgba[p * 4 + 1] / 255) * lg + d)));
+      const b = Math.min(lb, Math.max(0, Math.round((rgba[p * 4 + 2] / 255) * lb + d)));
+      out[p] = (r * LEVELS[1] + g) * LEVELS[2] + b;
+    }
+  }
+  return out;
+}
+
+// Variable-length-code LZW as used by GIF, packed into 255-byte sub-blocks
+function lzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  function emit(code) {
+    acc |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(acc & 0xff);
+      acc >>>= 8;
+      bits -= 8;
+    }
+  }
+
+  emit(clearCode);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (current << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      current = code;
+      continue;
+    }
+    emit(current);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    current = k;
+  }
+  emit(current);
+  emit(eoiCode);
+  if (bits > 0) bytes.push(acc & 0xff);
+
+  const out = new Uint8Array(bytes.length + Math.ceil(bytes.length / 255) + 2);
+  let o = 0;
+  out[o++] = minCodeSize;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const n = Math.min(255, bytes.length - i);
+    out[o++] = n;
+    for (let j = 0; j < n; j++) out[o++] = bytes[i + j];
+  }
+  out[o++] = 0; // block terminator
+  return out.subarray(0, o);
+}
+
+const le16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+const ascii = (s) => Array.from(s, (c) => c.charCodeAt(0));
+
+export function createGifEncoder(width, height, fps) {
+  const parts = [
+    new Uint8Array([
+      ...ascii("GIF89a"),
+      ...le16(width), ...le16(height),
+      0xf7, 0, 0, // global colour table of 256 entries, 8-bit colour resolution
+    ]),
+    palette(),
+    new Uint8Array([0x21, 0xff, 0x0b, ...ascii("NETSCAPE2.0"), 0x03, 0x01, 0, 0, 0]), // loop forever
+  ];
+  let frames = 0;
+
+  // Delays are whole centiseconds; spread the rounding so long animations keep their length.
+  // Browsers treat delays under 2cs as 10cs, so never go below 2.
+  function delayFor(i) {
+    return Math.max(2, Math.round(((i + 1) * 100) / fps) - Math.round((i * 100) / fps));
+  }
+
+  function addFrame(rgba) {
+    const indices = quantize(rgba, width, height);
+    parts.push(
+      new Uint8Array([0x21, 0xf9, 0x04, 0x04, ...le16(delayFor(frames)), 0, 0]), // graphic control: do not dispose
+      new Uint8Array([0x2c, 0, 0, 0, 0, ...le16(width), ...le16(height), 0]),
+      lzw(indices, 8),
+    );
+    frames++;
+  }
+
+  function finish() {
+    parts.push(new Uint8Array([0x3b]));
+    return new Blob(parts, { type: "image/gif" });
+  }
+
+  return { addFrame, finish };
+}
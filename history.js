@@ -0,0 +1,50 @@
+// Undo/redo history of editor snapshots.
+// history = { entries: [{ id, label, key, sealed, state }], index } where `index` is the current entry.
+// Edits recorded with the same `key` (e.g. one slider) collapse into a single entry until that
+// entry is sealed, which the UI does when a drag ends.
+
+const LIMIT = 100;
+let nextEntryId = 1;
+
+export function createHistory(state, label = "Initial state") {
+  return { entries: [{ id: nextEntryId++, label, key: null, sealed: true, state }], index: 0 };
+}
+
+// Snapshots are objects of immutable values, so a shallow reference check is enough
+function sameState(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+}
+
+export function record(history, label, state, key = null) {
+  const current = history.entries[history.index];
+  if (sameState(current.state, state)) return history;
+  const atEnd = history.index === history.entries.length - 1;
+  if (key && atEnd && current.key === key && !current.sealed) {
+    const entries = [...history.entries];
+    entries[history.index] = { ...current, state };
+    return { entries, index: history.index };
+  }
+  const entries = [...history.entries.slice(0, history.index + 1), { id: nextEntryId++, label, key, sealed: !key, state }];
+  const overflow = Math.max(0, entries.length - LIMIT);
+  return { entries: entries.slice(overflow), index: entries.length - 1 - overflow };
+}
+
+export function seal(history) {
+  const current = history.entries[history.index];
+  if (current.sealed) return history;
+  const entries = [...history.entries];
+  entries[history.index] = { ...current, sealed: true };
+  return { entries, index: history.index };
+}
+
+export function jumpTo(history, index) {
+  const i = Math.max(0, Math.min(history.entries.length - 1, index));
+  if (i === history.index) return history;
+  // Seal so a later edit with the same key starts a new entry instead of rewriting this one
+  return seal({ ...history, index: i });
+}
+
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
+export const currentState = (history) => history.entries[history.index].state;
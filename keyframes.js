@@ -0,0 +1,68 @@
+// Keyframe helpers for parameter automation.
+// A track is an array of { id, time, value, easing } sorted by time (seconds).
+// The easing of a keyframe controls the curve used towards the next keyframe.
+
+export const EASINGS = ["linear", "hold", "ease-in", "ease-out", "ease-in-out"];
+
+let nextKeyframeId = 1;
+
+export function ease(easing, t) {
+  switch (easing) {
+    case "hold": return 0;
+    case "ease-in": return t * t;
+    case "ease-out": return t * (2 - t);
+    case "ease-in-out": return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    default: return t;
+  }
+}
+
+// Value of a track at `time`; before the first / after the last keyframe the value is held.
+export function sampleTrack(track, time, fallback) {
+  if (!track || track.length === 0) return fallback;
+  if (time <= track[0].time) return track[0].value;
+  const last = track[track.length - 1];
+  if (time >= last.time) return last.value;
+  for (let i = 0; i < track.length - 1; i++) {
+    const a = track[i];
+    const b = track[i + 1];
+    if (time >= a.time && time < b.time) {
+      const span = b.time - a.time;
+      const t = span > 0 ? (time - a.time) / span : 1;
+      return a.value + (b.value - a.value) * ease(a.easing, t);
+    }
+  }
+  return last.value;
+}
+
+// Resolve every parameter in `base` against its keyframe track (if any) at `time`.
+export function resolveParams(base, tracks, time) {
+  const out = { ...base };
+  for (const name of Object.keys(tracks || {})) {
+    if (name in out) out[name] = sampleTrack(tracks[name], time, out[name]);
+  }
+  return out;
+}
+
+function sortTrack(track) {
+  return [...track].sort((a, b) => a.time - b.time);
+}
+
+// Add a keyframe, or update the value of an existing one sitting within `epsilon` of `time`.
+export function upsertKeyframe(track, time, value, easing = "linear", epsilon = 1 / 60) {
+  const list = track || [];
+  const existing = list.find((k) => Math.abs(k.time - time) <= epsilon);
+  if (existing) return list.map((k) => (k === existing ? { ...k, value } : k));
+  return sortTrack([...list, { id: nextKeyframeId++, time: Math.max(0, time), value, easing }]);
+}
+
+export function moveKeyframe(track, id, time) {
+  return sortTrack(track.map((k) => (k.id === id ? { ...k, time: Math.max(0, time) } : k)));
+}
+
+export function updateKeyframe(track, id, patch) {
+  return track.map((k) => (k.id === id ? { ...k, ...patch } : k));
+}
+
+export function removeKeyframe(track, id) {
+  return track.filter((k) => k.id !== id);
+}
@@ -0,0 +1,60 @@
+// Live inputs for the preview player: a camera (getUserMedia) or a screen, window or tab
+// (getDisplayMedia). Both resolve a MediaStream that is played through the normal render pipeline.
+
+export const CAMERA_RESOLUTIONS = [
+  { id: "default", label: "Camera default" },
+  { id: "480p", label: "640 × 480", width: 640, height: 480 },
+  { id: "720p", label: "1280 × 720", width: 1280, height: 720 },
+  { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+  { id: "2160p", label: "3840 × 2160", width: 3840, height: 2160 },
+];
+
+export function supportsCamera() {
+  return typeof navigator !== "undefined" && !!navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === "function";
+}
+
+export function supportsScreenCapture() {
+  return typeof navigator !== "undefined" && !!navigator.mediaDevices && typeof navigator.mediaDevices.getDisplayMedia === "function";
+}
+
+// Video input devices. Labels are empty until the user has granted camera access once.
+export async function listCameras() {
+  if (!supportsCamera() || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((d) => d.kind === "videoinput").map((d, i) => ({ id: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+// Sizes are "ideal" so a camera that can't do them still opens at its nearest mode
+export function openCamera({ deviceId = "", resolution = "default", audio = false } = {}) {
+  const res = CAMERA_RESOLUTIONS.find((r) => r.id === resolution);
+  const video = {};
+  if (deviceId) video.deviceId = { exact: deviceId };
+  if (res && res.width) {
+    video.width = { ideal: res.width };
+    video.height = { ideal: res.height };
+  }
+  return navigator.mediaDevices.getUserMedia({ video: Object.keys(video).length ? video : true, audio });
+}
+
+// The browser shows its own picker; `audio` asks for tab/system audio where the browser offers it
+export function openScreen({ audio = false } = {}) {
+  return navigator.mediaDevices.getDisplayMedia({ video: { frameRate: { ideal: 30 } }, audio });
+}
+
+export function stopStream(stream) {
+  if (stream) stream.getTracks().forEach((track) => track.stop());
+}
+
+export function streamLabel(stream) {
+  const [track] = stream.getVideoTracks();
+  return (track && track.label) || "Live input";
+}
+
+// Readable message for a failed getUserMedia / getDisplayMedia call
+export function liveErrorMessage(err) {
+  if (err.name === "NotAllowedError") return "Permission to capture was denied.";
+  if (err.name === "NotFoundError") return "No matching capture device was found.";
+  if (err.name === "NotReadableError") return "The device is already in use by another application.";
+  if (err.name === "OverconstrainedError") return "The device doesn't support the requested resolution.";
+  return err.message || String(err);
+}
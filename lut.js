@@ -0,0 +1,81 @@
+// 3D LUTs in the Adobe/Resolve .cube format.
+// A parsed LUT is { title, size, table } where `table` holds size³ RGB triples (0..1) with red
+// varying fastest, then green, then blue — the order the file lists them in.
+
+export const MAX_LUT_SIZE = 64; // the texture atlas is size² texels wide
+
+export function parseCube(text) {
+  let title = "";
+  let size = 0;
+  const values = [];
+  const lines = text.split(/\r?\n/);
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n].trim();
+    if (!line || line.startsWith("#")) continue;
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === "TITLE") {
+      title = line.slice(5).trim().replace(/^"|"$/g, "");
+    } else if (keyword === "LUT_3D_SIZE") {
+      size = parseInt(rest[0], 10);
+      if (!(size >= 2 && size <= MAX_LUT_SIZE)) throw new Error(`LUT size ${rest[0]} is not supported (2–${MAX_LUT_SIZE})`);
+    } else if (keyword === "LUT_1D_SIZE") {
+      throw new Error("1D LUTs are not supported — export a 3D .cube instead");
+    } else if (keyword === "DOMAIN_MIN" || keyword === "DOMAIN_MAX") {
+      const expected = keyword === "DOMAIN_MIN" ? 0 : 1;
+      if (rest.some((v) => Number(v) !== expected)) throw new Error("Only LUTs with a 0–1 input domain are supported");
+    } else if (/^[-+.\d]/.test(keyword)) {
+      const rgb = [keyword, ...rest].map(Number);
+      if (rgb.length !== 3 || rgb.some((v) => !Number.isFinite(v))) throw new Error(`Invalid LUT entry on line ${n + 1}`);
+      values.push(...rgb);
+    }
+    // Other keywords (LUT_IN_VIDEO_RANGE, ...) don't change how the table is applied here
+  }
+  if (!size) throw new Error("Not a 3D .cube LUT (missing LUT_3D_SIZE)");
+  if (values.length !== size * size * size * 3) throw new Error(`LUT has ${values.length / 3} entries, expected ${size * size * size}`);
+  return { title, size, table: Float32Array.from(values) };
+}
+
+// Texture atlas for WebGL 1 (no 3D textures): blue slices side by side, so texel (r + b * size, g)
+const atlases = new WeakMap();
+
+export function lutAtlas(lut) {
+  if (!atlases.has(lut)) {
+    const { size, table } = lut;
+    const pixels = new Uint8Array(size * size * size * 4);
+    for (let b = 0; b < size; b++) {
+      for (let g = 0; g < size; g++) {
+        for (let r = 0; r < size; r++) {
+          const src = ((b * size + g) * size + r) * 3;
+          const dst = (g * size * size + b * size + r) * 4;
+          pixels[dst] = Math.round(Math.min(1, Math.max(0, table[src])) * 255);
+          pixels[dst + 1] = Math.round(Math.min(1, Math.max(0, table[src + 1])) * 255);
+          pixels[dst + 2] = Math.round(Math.min(1, Math.max(0, table[src + 2])) * 255);
+          pixels[dst + 3] = 255;
+        }
+      }
+    }
+    atlases.set(lut, { pixels, width: size * size, height: size, size });
+  }
+  return atlases.get(lut);
+}
+
+// Trilinear lookup of an RGB triple (0..1) for the CPU path
+export function sampleLut(lut, r, g, b, out) {
+  const { size, table } = lut;
+  const n = size - 1;
+  const fr = Math.min(1, Math.max(0, r)) * n;
+  const fg = Math.min(1, Math.max(0, g)) * n;
+  const fb = Math.min(1, Math.max(0, b)) * n;
+  const r0 = Math.floor(fr), g0 = Math.floor(fg), b0 = Math.floor(fb);
+  const r1 = Math.min(n, r0 + 1), g1 = Math.min(n, g0 + 1), b1 = Math.min(n, b0 + 1);
+  const dr = fr - r0, dg = fg - g0, db = fb - b0;
+  const at = (ri, gi, bi, c) => table[((bi * size + gi) * size + ri) * 3 + c];
+  for (let c = 0; c < 3; c++) {
+    const c00 = at(r0, g0, b0, c) * (1 - dr) + at(r1, g0, b0, c) * dr;
+    const c10 = at(r0, g1, b0, c) * (1 - dr) + at(r1, g1, b0, c) * dr;
+    const c01 = at(r0, g0, b1, c) * (1 - dr) + at(r1, g0, b1, c) * dr;
+    const c11 = at(r0, g1, b1, c) * (1 - dr) + at(r1, g1, b1, c) * dr;
+    out[c] = (c00 * (1 - dg) + c10 * dg) * (1 - db) + (c01 * (1 - dg) + c11 * dg) * db;
+  }
+  return out;
+}
@@ -1,545 +1,1659 @@
-import React, { useRef, useState, useEffect } from "react";
-
-export default function VideoEffectsEditor() {
-  const inputRef = useRef(null);
-  const originalVideoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const recordedChunksRef = useRef([]);
-  const animationFrameRef = useRef(null);
-  const prevSrcRef = useRef(null);
-
-  const [src, setSrc] = useState(null);
-  const [playing, setPlaying] = useState(false);
-  const [useWebGL, setUseWebGL] = useState(true);
-
-  // Basic effect state
-  const [brightness, setBrightness] = useState(1);
-  const [contrast, setContrast] = useState(1);
-  const [saturation, setSaturation] = useState(1);
-  const [hue, setHue] = useState(0);
-  const [sepia, setSepia] = useState(0);
-
-  // Advanced
-  const [vignette, setVignette] = useState(0);
-  const [grain, setGrain] = useState(0);
-  const [chromatic, setChromatic] = useState(0);
-
-  // Controls
-  const [playbackRate, setPlaybackRate] = useState(1);
-  const [recording, setRecording] = useState(false);
-  const [exporting, setExporting] = useState(false);
-  const [exportPreviewUrl, setExportPreviewUrl] = useState(null);
-  const [error, setError] = useState(null);
-  const [message, setMessage] = useState(null);
-
-  // Performance controls
-  const isVisibleRef = useRef(true);
-  const lastFrameTimeRef = useRef(0);
-  const targetFPS = 30; // throttle to 30 FPS for heavy videos/effects
-
-  // Keep track of object URL for cleanup
-  useEffect(() => {
-    return () => {
-      // cleanup on unmount
-      if (prevSrcRef.current) {
-        URL.revokeObjectURL(prevSrcRef.current);
-      }
-      if (exportPreviewUrl) {
-        URL.revokeObjectURL(exportPreviewUrl);
-      }
-    };
-  }, []); // eslint-disable-line
-
-  // Handle uploaded file
-  function handleFile(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    try {
-      const url = URL.createObjectURL(file);
-      // revoke previous if any
-      if (prevSrcRef.current) URL.revokeObjectURL(prevSrcRef.current);
-      prevSrcRef.current = url;
-      setSrc(url);
-      setMessage(null);
-      setError(null);
-    } catch (err) {
-      console.error(err);
-      setError("Failed to load file. Try a different file or refresh the page.");
-    }
-  }
-
-  // Play/pause
-  function togglePlay() {
-    const v = originalVideoRef.current;
-    if (!v) return;
-    if (v.paused) {
-      v.play().catch((e) => console.warn("Playback prevented:", e));
-      setPlaying(true);
-    } else {
-      v.pause();
-      setPlaying(false);
-    }
-  }
-
-  // Recording & export
-  async function startRecording() {
-    const canvas = canvasRef.current;
-    if (!canvas) return setError("No canvas available for recording.");
-
-    try {
-      recordedChunksRef.current = [];
-      const stream = canvas.captureStream(targetFPS);
-      const options = { mimeType: "video/webm;codecs=vp9" };
-      const recorder = new MediaRecorder(stream, options);
-      mediaRecorderRef.current = recorder;
-
-      recorder.ondataavailable = (e) => {
-        if (e.data && e.data.size) recordedChunksRef.current.push(e.data);
-      };
-
-      recorder.onerror = (ev) => {
-        console.error("MediaRecorder error", ev);
-        setError("Recording error occurred.");
-      };
-
-      recorder.onstart = () => {
-        setRecording(true);
-        setExporting(true);
-        setMessage("Recording started...");
-      };
-
-      recorder.onstop = () => {
-        setRecording(false);
-        setExporting(false);
-        setMessage("Export complete — preparing preview...");
-        const blob = new Blob(recordedChunksRef.current, { type: "video/webm" });
-        const url = URL.createObjectURL(blob);
-        // cleanup previous export url
-        if (exportPreviewUrl) URL.revokeObjectURL(exportPreviewUrl);
-        setExportPreviewUrl(url);
-        setTimeout(() => setMessage("Export ready — play preview or download."), 400);
-      };
-
-      recorder.start();
-    } catch (err) {
-      console.error(err);
-      setError("Failed to start recording. Your browser may not support MediaRecorder with the chosen settings.");
-      setExporting(false);
-    }
-  }
-
-  function stopRecording() {
-    const r = mediaRecorderRef.current;
-    if (r && r.state !== "inactive") r.stop();
-  }
-
-  function downloadExport() {
-    if (!exportPreviewUrl) return setError("No exported file available to download.");
-    const a = document.createElement("a");
-    a.href = exportPreviewUrl;
-    a.download = "processed-video.webm";
-    a.click();
-    setMessage("Download started.");
-  }
-
-  // Visibility handling for performance
-  useEffect(() => {
-    function handleVisibility() {
-      isVisibleRef.current = !document.hidden;
-      // pause video to save CPU when not visible
-      const v = originalVideoRef.current;
-      if (!isVisibleRef.current && v && !v.paused) {
-        v.pause();
-        setPlaying(false);
-      }
-    }
-    document.addEventListener("visibilitychange", handleVisibility);
-    return () => document.removeEventListener("visibilitychange", handleVisibility);
-  }, []);
-
-  // Main rendering loop: WebGL or 2D with throttling and error handling
-  useEffect(() => {
-    let gl = null;
-    let program = null;
-    let positionBuffer = null;
-    let tex = null;
-
-    const video = originalVideoRef.current;
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx2d = canvas.getContext("2d");
-
-    function initWebGLSafe() {
-      try {
-        gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
-        if (!gl) throw new Error("WebGL not supported");
-        return true;
-      } catch (err) {
-        console.warn("WebGL init failed:", err);
-        setError("WebGL not supported by your browser — falling back to 2D rendering.");
-        setUseWebGL(false);
-        return false;
-      }
-    }
-
-    // Small helper: compile & link shaders (kept inline for single-file convenience)
-    function createProgram(gl, vsSource, fsSource) {
-      function compile(type, src) {
-        const s = gl.createShader(type);
-        gl.shaderSource(s, src);
-        gl.compileShader(s);
-        if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) {
-          const msg = gl.getShaderInfoLog(s);
-          gl.deleteShader(s);
-          throw new Error(msg);
-        }
-        return s;
-      }
-
-      const vs = compile(gl.VERTEX_SHADER, vsSource);
-      const fs = compile(gl.FRAGMENT_SHADER, fsSource);
-      const prog = gl.createProgram();
-      gl.attachShader(prog, vs);
-      gl.attachShader(prog, fs);
-      gl.linkProgram(prog);
-      if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
-        throw new Error(gl.getProgramInfoLog(prog));
-      }
-      return prog;
-    }
-
-    // Simple vertex shader
-    const vsSource = `attribute vec2 a_position;attribute vec2 a_texcoord;varying vec2 v_texcoord;void main(){v_texcoord=a_texcoord;gl_Position=vec4(a_position,0.0,1.0);}`;
-
-    // Fragment shader (same as before but compact)
-    const fsSource = `precision mediump float;varying vec2 v_texcoord;uniform sampler2D u_texture;uniform float u_brightness;uniform float u_contrast;uniform float u_saturation;uniform float u_hue;uniform float u_sepia;uniform float u_vignette;uniform float u_grain;uniform float u_chromatic;uniform float u_time;vec3 rgb2hsv(vec3 c){vec4 K=vec4(0.0,-1.0/3.0,2.0/3.0,-1.0);vec4 p=mix(vec4(c.bg,K.wz),vec4(c.gb,K.xy),step(c.b,c.g));vec4 q=mix(vec4(p.xyw,c.r),vec4(c.r,p.yzx),step(p.x,c.r));float d=q.x-min(q.w,q.y);float e=1e-10;return vec3(abs(q.z+(q.w-q.y)/(6.0*d+e)),d/(q.x+e),q.x);}vec3 hsv2rgb(vec3 c){vec3 p=abs(fract(c.x+vec3(0.0,1.0/3.0,2.0/3.0))*6.0-3.0);return c.z*mix(vec3(1.0),clamp(p-1.0,0.0,1.0),c.y);}void main(){vec2 uv=v_texcoord;vec4 color=texture2D(u_texture,uv);vec3 c=color.rgb;c*=u_brightness;c=((c-0.5)*max(u_contrast,0.0))+0.5;vec3 hsv=rgb2hsv(c);hsv.y*=u_saturation;c=hsv2rgb(hsv);hsv=rgb2hsv(c);hsv.x+=u_hue/360.0;c=hsv2rgb(hsv);vec3 sepiaColor=vec3(dot(c,vec3(0.393,0.769,0.189)),dot(c,vec3(0.349,0.686,0.168)),dot(c,vec3(0.272,0.534,0.131)));c=mix(c,sepiaColor,u_sepia);if(u_vignette>0.0){float dist=distance(uv,vec2(0.5));float vig=smoothstep(0.8,0.2,dist);c*=mix(1.0,vig,u_vignette);}if(u_grain>0.0){float n=fract(sin(dot(uv*u_time,vec2(12.9898,78.233)))*43758.5453);c+=(n-0.5)*0.25*u_grain;}if(u_chromatic>0.0){float off=0.003*u_chromatic;float r=texture2D(u_texture,uv+vec2(off,0)).r;float g=texture2D(u_texture,uv).g;float b=texture2D(u_texture,uv-vec2(off,0)).b;c=vec3(r,g,b);}gl_FragColor=vec4(clamp(c,0.0,1.0),color.a);}`;
-
-    function setupGL() {
-      if (!initWebGLSafe()) return null;
-      try {
-        program = createProgram(gl, vsSource, fsSource);
-      } catch (err) {
-        console.error("Shader compile/link error:", err);
-        setError("Failed to initialize WebGL shaders. Falling back to 2D.");
-        setUseWebGL(false);
-        return null;
-      }
-
-      positionBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-      const data = new Float32Array([-1,-1,0,0,1,-1,1,0,-1,1,0,1,-1,1,0,1,1,1,1,1]);
-      gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
-
-      tex = gl.createTexture();
-      gl.bindTexture(gl.TEXTURE_2D, tex);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-      return true;
-    }
-
-    function drawWebGL(time) {
-      if (!gl || !program) return;
-      if (video && video.videoWidth) {
-        const w = video.videoWidth;
-        const h = video.videoHeight;
-        if (canvas.width !== w || canvas.height !== h) {
-          canvas.width = w;
-          canvas.height = h;
-          gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
-        }
-      }
-
-      gl.bindTexture(gl.TEXTURE_2D, tex);
-      try { gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video); } catch (e) {}
-
-      gl.useProgram(program);
-      gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-      const aPos = gl.getAttribLocation(program, "a_position");
-      const aTex = gl.getAttribLocation(program, "a_texcoord");
-      gl.enableVertexAttribArray(aPos);
-      gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-      gl.enableVertexAttribArray(aTex);
-      gl.vertexAttribPointer(aTex, 2, gl.FLOAT, false, 16, 8);
-
-      const setFloat = (name, val) => { const loc = gl.getUniformLocation(program, name); if (loc) gl.uniform1f(loc, val); };
-      setFloat("u_brightness", brightness);
-      setFloat("u_contrast", contrast);
-      setFloat("u_saturation", saturation);
-      setFloat("u_hue", hue);
-      setFloat("u_sepia", sepia);
-      setFloat("u_vignette", vignette);
-      setFloat("u_grain", grain);
-      setFloat("u_chromatic", chromatic);
-      setFloat("u_time", time * 0.001);
-      const texLoc = gl.getUniformLocation(program, "u_texture");
-      gl.uniform1i(texLoc, 0);
-
-      gl.drawArrays(gl.TRIANGLES, 0, 6);
-    }
-
-    function draw2D() {
-      if (!video || video.readyState < 2) return;
-      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-      }
-      // Apply CSS filter string for fast basic effects
-      const filterStr = `brightness(${brightness}) contrast(${contrast}) saturate(${saturation}) hue-rotate(${hue}deg) sepia(${sepia})`;
-      canvas.style.filter = filterStr;
-      ctx2d.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-      // Pixel-level advanced effects (grain/vignette/chromatic) only when requested and when not cross-origin
-      if (grain > 0 || vignette > 0 || chromatic > 0) {
-        try {
-          const img = ctx2d.getImageData(0, 0, canvas.width, canvas.height);
-          const data = img.data;
-          const w = canvas.width;
-          const h = canvas.height;
-          if (grain > 0) {
-            for (let i = 0; i < data.length; i += 4) {
-              const n = (Math.random() - 0.5) * 255 * 0.12 * grain;
-              data[i] = Math.min(255, Math.max(0, data[i] + n));
-              data[i+1] = Math.min(255, Math.max(0, data[i+1] + n));
-              data[i+2] = Math.min(255, Math.max(0, data[i+2] + n));
-            }
-          }
-          if (vignette > 0) {
-            for (let y = 0; y < h; y++) {
-              for (let x = 0; x < w; x++) {
-                const idx = (y * w + x) * 4;
-                const dx = (x / w - 0.5);
-                const dy = (y / h - 0.5);
-                const dist = Math.sqrt(dx*dx + dy*dy);
-                const vig = 1 - smoothstep(0.4, 0.9, dist) * vignette;
-                data[idx] = data[idx] * vig;
-                data[idx+1] = data[idx+1] * vig;
-                data[idx+2] = data[idx+2] * vig;
-              }
-            }
-          }
-          ctx2d.putImageData(img, 0, 0);
-        } catch (e) {
-          // getImageData may fail if canvas is tainted (cross-origin). Show non-fatal warning once.
-          if (!error) setError("Pixel-level effects disabled due to cross-origin tainting of the video.");
-        }
-      }
-    }
-
-    function smoothstep(a, b, x) {
-      const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
-      return t * t * (3 - 2 * t);
-    }
-
-    // Initialize GL if requested
-    if (useWebGL) {
-      try {
-        const ok = setupGL();
-        if (!ok) {
-          // setupGL already handled fallback
-        }
-      } catch (err) {
-        console.error(err);
-      }
-    }
-
-    function frame(time) {
-      // throttle by targetFPS
-      const last = lastFrameTimeRef.current || 0;
-      const minDelta = 1000 / targetFPS;
-      if (!isVisibleRef.current) {
-        // skip rendering when not visible; leave requestAnimationFrame to keep loop alive but cheap
-        lastFrameTimeRef.current = time;
-        animationFrameRef.current = requestAnimationFrame(frame);
-        return;
-      }
-      if (time - last < minDelta) {
-        animationFrameRef.current = requestAnimationFrame(frame);
-        return;
-      }
-      lastFrameTimeRef.current = time;
-
-      if (useWebGL && program && gl) {
-        drawWebGL(time);
-      } else {
-        draw2D();
-      }
-      animationFrameRef.current = requestAnimationFrame(frame);
-    }
-
-    animationFrameRef.current = requestAnimationFrame(frame);
-
-    return () => {
-      if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
-      // free GL resources if present
-      try {
-        if (gl) {
-          if (tex) gl.deleteTexture(tex);
-          if (positionBuffer) gl.deleteBuffer(positionBuffer);
-          if (program) gl.deleteProgram(program);
-        }
-      } catch (e) {}
-    };
-  }, [useWebGL, brightness, contrast, saturation, hue, sepia, vignette, grain, chromatic]);
-
-  // When video source changes, set playbackRate and attach play/pause listeners
-  useEffect(() => {
-    const v = originalVideoRef.current;
-    if (!v) return;
-    v.playbackRate = playbackRate;
-    const onPlay = () => setPlaying(true);
-    const onPause = () => setPlaying(false);
-    v.addEventListener("play", onPlay);
-    v.addEventListener("pause", onPause);
-    return () => {
-      v.removeEventListener("play", onPlay);
-      v.removeEventListener("pause", onPause);
-    };
-  }, [src, playbackRate]);
-
-  return (
-    <div className="p-6 max-w-6xl mx-auto">
-      <h1 className="text-2xl font-semibold mb-3">🎞️ Video Effects — Optimized Editor</h1>
-
-      {/* Error / Message banners */}
-      {error && (
-        <div role="alert" aria-live="assertive" className="mb-4 p-3 rounded bg-red-100 text-red-800">
-          <strong>Error:</strong> {error}
-        </div>
-      )}
-      {message && (
-        <div role="status" aria-live="polite" className="mb-4 p-3 rounded bg-blue-50 text-blue-800">
-          {message}
-        </div>
-      )}
-
-      <div className="mb-4 flex gap-3 items-center">
-        <label className="flex items-center gap-2" htmlFor="fileInput">
-          <input
-            id="fileInput"
-            ref={inputRef}
-            type="file"
-            accept="video/*"
-            onChange={handleFile}
-            aria-label="Upload a video file"
-            className=""
-          />
-        </label>
-
-        <button onClick={() => setUseWebGL((s) => !s)} aria-pressed={useWebGL} aria-label="Toggle WebGL shaders" className="px-3 py-1 border rounded">
-          {useWebGL ? "WebGL Shaders: ON" : "WebGL Shaders: OFF"}
-        </button>
-
-        <button onClick={() => { const v = originalVideoRef.current; if (v) { v.currentTime = 0; } }} aria-label="Restart video" className="px-3 py-1 border rounded">Restart</button>
-
-        <div className="ml-auto flex gap-2">
-          {!recording && <button onClick={startRecording} aria-label="Start export" className="px-3 py-1 bg-green-600 text-white rounded">Start Export</button>}
-          {recording && <button onClick={stopRecording} aria-label="Stop export" className="px-3 py-1 bg-red-600 text-white rounded">Stop Export</button>}
-        </div>
-      </div>
-
-      {/* Side-by-side preview */}
-      <div className="grid grid-cols-2 gap-4">
-        <div className="border p-2 rounded">
-          <div className="mb-2 font-medium">Original</div>
-          <video
-            ref={originalVideoRef}
-            src={src}
-            controls
-            className="w-full max-h-[480px] bg-black"
-            crossOrigin="anonymous"
-            aria-label="Original video preview"
-          />
-        </div>
-
-        <div className="border p-2 rounded relative">
-          <div className="mb-2 font-medium">Processed</div>
-          <div className="w-full bg-black flex items-center justify-center">
-            <canvas ref={canvasRef} className="w-full max-h-[480px]" role="img" aria-label="Processed video preview canvas" />
-          </div>
-
-          {/* Export spinner / progress overlay */}
-          {exporting && (
-            <div className="absolute inset-0 flex items-center justify-center bg-black/40">
-              <div role="status" aria-live="polite" className="p-3 rounded bg-white/90 text-black flex items-center gap-3">
-                <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-                  <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" strokeLinecap="round" />
-                </svg>
-                <span>Exporting — please wait...</span>
-              </div>
-            </div>
-          )}
-        </div>
-      </div>
-
-      {/* Controls */}
-      <div className="mt-6 grid grid-cols-2 gap-6">
-        <div className="border p-4 rounded">
-          <h3 className="font-semibold mb-2">Basic Controls</h3>
-
-          <label className="block mb-2">Brightness: {brightness.toFixed(2)}</label>
-          <input aria-label="Adjust brightness" type="range" min="0" max="2" step="0.01" value={brightness} onChange={(e) => setBrightness(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Contrast: {contrast.toFixed(2)}</label>
-          <input aria-label="Adjust contrast" type="range" min="0" max="3" step="0.01" value={contrast} onChange={(e) => setContrast(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Saturation: {saturation.toFixed(2)}</label>
-          <input aria-label="Adjust saturation" type="range" min="0" max="3" step="0.01" value={saturation} onChange={(e) => setSaturation(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Hue: {Math.round(hue)}°</label>
-          <input aria-label="Adjust hue" type="range" min="-180" max="180" step="1" value={hue} onChange={(e) => setHue(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Sepia: {sepia.toFixed(2)}</label>
-          <input aria-label="Adjust sepia" type="range" min="0" max="1" step="0.01" value={sepia} onChange={(e) => setSepia(parseFloat(e.target.value))} />
-        </div>
-
-        <div className="border p-4 rounded">
-          <h3 className="font-semibold mb-2">Advanced Controls</h3>
-
-          <label className="block mb-2">Vignette: {vignette.toFixed(2)}</label>
-          <input aria-label="Adjust vignette" type="range" min="0" max="1" step="0.01" value={vignette} onChange={(e) => setVignette(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Film Grain: {grain.toFixed(2)}</label>
-          <input aria-label="Adjust grain" type="range" min="0" max="1" step="0.01" value={grain} onChange={(e) => setGrain(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Chromatic Aberration: {chromatic.toFixed(2)}</label>
-          <input aria-label="Adjust chromatic aberration" type="range" min="0" max="1" step="0.01" value={chromatic} onChange={(e) => setChromatic(parseFloat(e.target.value))} />
-
-          <label className="block mt-3 mb-2">Playback Rate: {playbackRate}x</label>
-          <input aria-label="Adjust playback rate" type="range" min="0.25" max="2" step="0.05" value={playbackRate} onChange={(e) => { setPlaybackRate(parseFloat(e.target.value)); if (originalVideoRef.current) originalVideoRef.current.playbackRate = parseFloat(e.target.value); }} />
-        </div>
-      </div>
-
-      {/* Export preview / actions */}
-      <div className="mt-6 flex gap-3 items-center">
-        {exportPreviewUrl && (
-          <div className="flex items-center gap-3">
-            <div className="text-sm">Export Preview:</div>
-            <video key={exportPreviewUrl} src={exportPreviewUrl} controls className="h-28" aria-label="Exported video preview" />
-            <button onClick={downloadExport} className="px-3 py-1 border rounded" aria-label="Download exported video">Download</button>
-          </div>
-        )}
-
-        <div className="ml-auto text-sm text-gray-600">Tip: Large videos may use more memory — revoke object URLs when no longer needed.</div>
-      </div>
-
-      {/* Footer notes */}
-      <div className="mt-6 text-sm text-gray-600">
-        <p><strong>Notes:</strong></p>
-        <ul className="list-disc ml-6">
-          <li>Accessibility: controls include ARIA attributes for better screen-reader support.</li>
-          <li>Performance: rendering pauses when the tab is hidden and rendering is throttled to {targetFPS} FPS.</li>
-          <li>UI: export shows a spinner and playback preview when complete.</li>
-          <li>Error handling surfaces messages to the user; check console for more details.</li>
-          <li>Code Splitting: see the commented section below for how to split shaders and helpers into <code>shaders.js</code> and <code>utils.js</code>.</li>
-        </ul>
-      </div>
-
-      {/* Short accessibility helper: keyboard hint */}
-      <div className="mt-3 text-xs text-gray-500">Keyboard: use Tab to navigate controls. All important controls have ARIA labels.</div>
-    </div>
-  );
-}
+import React, { useRef, useState, useEffect, useMemo } from "react";
+import { resolveParams, upsertKeyframe, moveKeyframe, updateKeyframe, removeKeyframe } from "./keyframes";
+import KeyframeTimeline from "./KeyframeTimeline";
+import { renderOffline, supportsOfflineExport } from "./offlineExport";
+import { getEffect } from "./effects";
+import { createLayer, defaultStack, moveLayer, layerLabels, flattenLayerParams, renderPasses } from "./stack";
+import { createWebGLRenderer, createCanvas2DRenderer } from "./renderer";
+import EffectStack from "./EffectStack";
+import { BUILTIN_PRESETS, loadStoredPresets, saveStoredPresets, presetFromState, layersFromPreset, parsePresetFile, serializePresets } from "./presets";
+import PresetPanel from "./PresetPanel";
+import { createHistory, record, seal, jumpTo, canUndo, canRedo, currentState } from "./history";
+import HistoryPanel from "./HistoryPanel";
+import { createClip, createSegment, sequenceDuration, fitExportRange, locate, toProgramTime, splitSegment, trimSegment, moveSegment, probeDuration, createSequenceReader } from "./sequence";
+import SequenceTimeline from "./SequenceTimeline";
+import ExportDialog from "./ExportDialog";
+import CompareBar from "./CompareBar";
+import ScopesPanel from "./ScopesPanel";
+import LiveInput from "./LiveInput";
+import ProjectBar from "./ProjectBar";
+import BatchPanel from "./BatchPanel";
+import StatsOverlay from "./StatsOverlay";
+import NumberField from "./NumberField";
+import OverlayPanel from "./OverlayPanel";
+import TransformPanel from "./TransformPanel";
+import SpeedPanel from "./SpeedPanel";
+import TransitionPanel from "./TransitionPanel";
+import CropEditor from "./CropEditor";
+import { createTextOverlay, createImageOverlay, createSubtitleOverlay, parseSubtitles, renderOverlays } from "./overlays";
+import { DEFAULT_TRANSFORM, frameSize } from "./transform";
+import { createRamp, editRamp, createTimeMap, speedAt } from "./speed";
+import { transitionAt, sideSource, hiddenSide } from "./transitions";
+import { openCamera, openScreen, stopStream, streamLabel, liveErrorMessage } from "./liveSources";
+import { clamp, contentRect, seekVideo, downloadBlob } from "./utils";
+import { parseCube } from "./lut";
+import { lutLayerData } from "./effects/lut";
+import { buildProject, serializeProject, bundleProject, readProjectFiles, restoreProject, mediaKey } from "./project";
+import { saveAutosave, loadAutosave, loadStoredMedia, saveLastExport, clearAutosave, pickFilesWithHandles } from "./projectStore";
+import { PREVIEW_QUALITIES, createFrameMonitor } from "./quality";
+import { loadBackdrop, releaseBackdrops, backdropVideos, backdropTime, syncBackdrop, pickVideoColor } from "./chromaKey";
+import { DEFAULT_EXPORT_SETTINGS, getFormat, outputSize, pickRecorderFormat, exportFileName } from "./exportFormats";
+import { DEFAULT_AUDIO_SETTINGS, AUDIO_SAMPLE_RATE, supportsAudioEncoding, createAudioRoute, createStreamAudioRoute, startRouteGain, fadeOutRoute, renderSequenceAudio } from "./audio";
+
+const AUTOSAVE_DELAY = 1000; // ms after the last change
+
+// Key handlers skip fields that need the keys themselves
+function isTextInput(t) {
+  return !!t && (t.isContentEditable || (t.tagName === "INPUT" && t.type !== "range" && t.type !== "checkbox") || t.tagName === "TEXTAREA");
+}
+
+export default function VideoEffectsEditor() {
+  const inputRef = useRef(null);
+  const originalVideoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const mediaRecorderRef = useRef(null);
+  const recordedChunksRef = useRef([]);
+  const animationFrameRef = useRef(null);
+  const clipsRef = useRef([]); // for revoking clip object URLs on unmount
+  const pendingSeekRef = useRef(null); // { time, play } applied once the next clip has loaded
+  const renderFrameRef = useRef(null); // draws one frame at a given program time; set by the render loop
+  const offlineRenderingRef = useRef(false); // pauses the rAF loop while an offline export drives rendering
+  const exportAbortRef = useRef(null);
+  const audioRouteRef = useRef(null); // Web Audio tap on the preview player, created on the first real-time export
+  const captureCleanupRef = useRef(null); // stops the scaled copy loop used by real-time capture
+  const recordingRouteRef = useRef(null); // audio route feeding the current real-time recording
+  const liveRef = useRef(null); // for stopping the live input on unmount
+  const scopesRef = useRef(null); // set by the scopes panel while open; fed every preview frame
+  const reverseRef = useRef(null); // program time a reverse shuttle has reached (seeks lag behind it)
+  const transitionVideoRef = useRef(null); // hidden player showing the other side of a cut transition
+
+  // Loaded media and the edit list played back to back (see sequence.js)
+  const [clips, setClips] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [activeSegment, setActiveSegment] = useState(0); // segment shown by the preview player
+  // Transitions into segments (keyed by segment id) and the sequence's "start" / "end" fades (transitions.js)
+  const [transitions, setTransitions] = useState({});
+  const [playing, setPlaying] = useState(false);
+  const [useWebGL, setUseWebGL] = useState(true);
+  const [previewQuality, setPreviewQuality] = useState("auto");
+  const [showStats, setShowStats] = useState(false);
+  // Live input { kind: "camera" | "screen", label, stream, audio } (liveSources.js). While set, the
+  // preview player shows the stream instead of the sequence; `audio` routes its sound into recordings.
+  const [liveInput, setLiveInput] = useState(null);
+
+  // Effect stack: one layer per effect instance, rendered in order
+  const [layers, setLayers] = useState(defaultStack);
+
+  // Keyframe automation: { ["layerId.key"]: [{ id, time, value, easing }] }, times in program time
+  const [keyframes, setKeyframes] = useState({});
+  const [currentTime, setCurrentTime] = useState(0); // playhead, in program time
+
+  // Saved presets (built-ins live in presets.js)
+  const [presets, setPresets] = useState(loadStoredPresets);
+
+  // Compare view inside the processed canvas (compare.js). A/B sides are "current" or a preset key
+  // ("builtin:<name>" / "user:<name>"); aLayers/bLayers hold that preset's stack (null = current).
+  const [compare, setCompare] = useState(() => ({ mode: "off", horizontal: false, position: 0.5, a: "current", b: "builtin:Noir", aLayers: null, bLayers: compareLayers("builtin:Noir", []) }));
+  const [holdOriginal, setHoldOriginal] = useState(false);
+
+  // Controls
+  const [playbackRate, setPlaybackRate] = useState(1);
+  // Speed ramps over ranges of program time, multiplying the playback rate (speed.js)
+  const [ramps, setRamps] = useState([]);
+  // J/K/L shuttle: 0 for normal playback, otherwise a signed speed multiplier (negative plays in reverse)
+  const [shuttle, setShuttle] = useState(0);
+  const [audioSettings, setAudioSettings] = useState(DEFAULT_AUDIO_SETTINGS); // export soundtrack: volume, mute, fades, pitch
+
+  // Text, watermark and subtitle overlays drawn over the processed frame, in list order (overlays.js)
+  const [overlays, setOverlays] = useState([]);
+
+  // Crop, rotation, flips, zoom/pan and output aspect applied before the stack (transform.js).
+  // While the crop is being edited the preview shows the whole untransformed frame.
+  const [transform, setTransform] = useState(DEFAULT_TRANSFORM);
+  const [cropEditing, setCropEditing] = useState(false);
+
+  // Chroma key layer whose eyedropper is armed: the next click on the Original video sets its key color
+  const [pickingKey, setPickingKey] = useState(null);
+
+  // Undo/redo over { layers, keyframes, playbackRate, ramps, transitions, overlays, transform } snapshots.
+  // Actions describe themselves through historyActionRef right before changing state; the snapshot is
+  // recorded after render.
+  const [history, setHistory] = useState(() => createHistory({ layers, keyframes, playbackRate, ramps, transitions, overlays, transform }));
+  const historyActionRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportResult, setExportResult] = useState(null); // { url, fileName, mime } of the last export
+  const [exportSettings, setExportSettings] = useState(() => ({ ...DEFAULT_EXPORT_SETTINGS, mode: supportsOfflineExport() ? "offline" : "realtime" }));
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [batchRunning, setBatchRunning] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [exportRange, setExportRange] = useState({ start: null, end: null }); // in/out points in seconds
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Autosave (projectStore.js). `recovery` is the previous session's autosave while the restore prompt is
+  // up: undefined until it has been looked for, null once answered. Nothing is autosaved before then.
+  const [recovery, setRecovery] = useState(undefined);
+  const [autosavedAt, setAutosavedAt] = useState(null);
+
+  // Performance controls
+  const isVisibleRef = useRef(true);
+  const lastFrameTimeRef = useRef(0);
+  // Throttle to 30 FPS for heavy videos/effects; a real-time export renders at its own frame rate
+  const targetFPS = recording ? exportSettings.fps : 30;
+  // Frame times of the preview, which "auto" quality scales the render by
+  const frameMonitor = useMemo(createFrameMonitor, []);
+
+  // Latest stack and automation for the render loop, so edits don't tear down the renderer
+  const renderStateRef = useRef(null);
+  // Compare views and the crop editor are preview-only, so a recording or export never captures them
+  const compareView = recording ? null : holdOriginal ? { mode: "original" } : compare;
+  const frameTransform = cropEditing && !recording && !exporting ? null : transform;
+  renderStateRef.current = { layers, keyframes, clips, segments, activeSegment, transitions, targetFPS, compare: compareView, live: !!liveInput, overlays, transform: frameTransform, quality: recording ? "full" : previewQuality };
+
+  clipsRef.current = clips;
+  liveRef.current = liveInput;
+  const activeClip = segments[activeSegment] && clips.find((c) => c.id === segments[activeSegment].clipId);
+  const src = activeClip ? activeClip.url : null;
+  const duration = sequenceDuration(segments);
+
+  // Program time of the preview player's current frame
+  function playheadTime() {
+    const v = originalVideoRef.current;
+    if (!v) return currentTime;
+    return segments.length && !liveInput ? toProgramTime(segments, activeSegment, v.currentTime) : v.currentTime;
+  }
+
+  // Values at the playhead, used for slider display
+  const live = resolveParams(flattenLayerParams(layers), keyframes, currentTime);
+
+  // How long the sequence plays with the playback rate and speed ramps applied
+  const outputDuration = useMemo(() => (duration > 0 ? createTimeMap(ramps, 0, duration, playbackRate).duration : null), [ramps, duration, playbackRate]);
+
+  function noteHistory(label, key = null) {
+    historyActionRef.current = { label, key };
+  }
+
+  // Ends a continuous edit (slider drag) so the next edit starts a new history entry
+  function sealHistory() {
+    setHistory(seal);
+  }
+
+  function restore(next) {
+    const state = currentState(next);
+    setHistory(next);
+    setLayers(state.layers);
+    setKeyframes(state.keyframes);
+    setOverlays(state.overlays);
+    setTransform(state.transform);
+    setRamps(state.ramps);
+    setTransitions(state.transitions);
+    applyPlaybackRate(state.playbackRate);
+  }
+
+  function undo() {
+    if (canUndo(history)) restore(jumpTo(history, history.index - 1));
+  }
+
+  function redo() {
+    if (canRedo(history)) restore(jumpTo(history, history.index + 1));
+  }
+
+  function paramLabel(path) {
+    const lane = keyframeLanes.find((l) => l.name === path);
+    return lane ? lane.label : path;
+  }
+
+  // Slider edits: when a parameter is keyframed, the edit keys the value at the playhead
+  function setParam(name, value) {
+    const [layerId, key] = name.split(".");
+    noteHistory(`Adjust ${paramLabel(name)}`, `param:${name}`);
+    setLayers((ls) => ls.map((l) => (l.id === layerId ? { ...l, params: { ...l.params, [key]: value } } : l)));
+    if (keyframes[name] && keyframes[name].length) {
+      const t = playheadTime();
+      setKeyframes((k) => ({ ...k, [name]: upsertKeyframe(k[name], t, value) }));
+    }
+  }
+
+  function addKeyframe(name) {
+    noteHistory(`Add ${paramLabel(name)} keyframe`);
+    const t = playheadTime();
+    setKeyframes((k) => ({ ...k, [name]: upsertKeyframe(k[name], t, live[name]) }));
+  }
+
+  function editTrack(name, fn) {
+    setKeyframes((k) => {
+      const track = fn(k[name] || []);
+      const next = { ...k };
+      if (track.length) next[name] = track;
+      else delete next[name];
+      return next;
+    });
+  }
+
+  function updateLayer(id, patch) {
+    const label = labels[id];
+    if ("enabled" in patch) noteHistory(`${patch.enabled ? "Enable" : "Bypass"} ${label}`);
+    else if ("solo" in patch) noteHistory(`${patch.solo ? "Solo" : "Unsolo"} ${label}`);
+    else if ("blend" in patch) noteHistory(`${label} blend: ${patch.blend}`);
+    else if ("opacity" in patch) noteHistory(`${label} opacity`, `opacity:${id}`);
+    else if ("data" in patch) noteHistory(`Edit ${label}`, `data:${id}`);
+    setLayers((ls) => ls.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+  }
+
+  function setLayerData(id, data) {
+    updateLayer(id, { data });
+  }
+
+  async function loadLut(id, file) {
+    try {
+      const lut = parseCube(await file.text());
+      noteHistory(`Load LUT ${file.name}`);
+      setLayers((ls) => ls.map((l) => (l.id === id ? { ...l, data: lutLayerData(file.name, lut) } : l)));
+      setError(null);
+    } catch (err) {
+      setError(`Failed to load LUT ${file.name}: ${err.message}`);
+    }
+  }
+
+  async function loadBackdropFile(id, file) {
+    try {
+      const backdrop = await loadBackdrop(file);
+      noteHistory(`Load background ${file.name}`);
+      setLayers((ls) => ls.map((l) => (l.id === id ? { ...l, data: { ...l.data, backdrop: { ...backdrop, color: l.data.backdrop.color } } } : l)));
+      setError(null);
+    } catch (err) {
+      setError(`Failed to load background ${file.name}: ${err.message}`);
+    }
+  }
+
+  function pickKeyColor(e) {
+    const layer = layers.find((l) => l.id === pickingKey);
+    if (!layer) return;
+    e.preventDefault();
+    try {
+      const key = pickVideoColor(e.currentTarget, e.clientX, e.clientY);
+      if (!key) return;
+      noteHistory(`${labels[layer.id]} key color`);
+      setLayers((ls) => ls.map((l) => (l.id === layer.id ? { ...l, data: { ...l.data, key } } : l)));
+      setPickingKey(null);
+    } catch (err) {
+      setPickingKey(null);
+      setError("Can't read colors from this video (cross-origin source).");
+    }
+  }
+
+  function duplicateLayer(id) {
+    const source = layers.find((l) => l.id === id);
+    if (!source) return;
+    noteHistory(`Duplicate ${labels[id]}`);
+    const copy = { ...createLayer(source.effectId, source.params), enabled: source.enabled, opacity: source.opacity, blend: source.blend };
+    if (source.data !== undefined) copy.data = source.data;
+    setLayers((ls) => {
+      const i = ls.findIndex((l) => l.id === id);
+      return [...ls.slice(0, i + 1), copy, ...ls.slice(i + 1)];
+    });
+    // Copy automation too, so the duplicate starts identical
+    setKeyframes((k) => {
+      const next = { ...k };
+      for (const key of Object.keys(source.params)) {
+        if (k[`${id}.${key}`]) next[`${copy.id}.${key}`] = k[`${id}.${key}`].map((kf) => ({ ...kf }));
+      }
+      return next;
+    });
+  }
+
+  function addLayer(effectId) {
+    noteHistory(`Add ${getEffect(effectId).label}`);
+    setLayers((ls) => [...ls, createLayer(effectId)]);
+  }
+
+  function reorderLayer(from, to) {
+    noteHistory(`Move ${labels[layers[from].id]}`);
+    setLayers((ls) => moveLayer(ls, from, to));
+  }
+
+  function removeLayer(id) {
+    noteHistory(`Remove ${labels[id]}`);
+    setLayers((ls) => ls.filter((l) => l.id !== id));
+    setKeyframes((k) => {
+      const next = {};
+      for (const path of Object.keys(k)) if (!path.startsWith(`${id}.`)) next[path] = k[path];
+      return next;
+    });
+  }
+
+  // One keyframe lane per parameter of every layer
+  const labels = layerLabels(layers);
+  const keyframeLanes = layers.flatMap((layer) => {
+    const effect = getEffect(layer.effectId);
+    if (!effect) return [];
+    const entries = Object.entries(effect.params);
+    return entries.map(([key, def]) => ({ name: `${layer.id}.${key}`, label: entries.length > 1 ? `${labels[layer.id]} · ${def.label}` : labels[layer.id] }));
+  });
+
+  // Layers for a compare side; null means the live stack
+  function compareLayers(value, saved) {
+    if (value === "current") return null;
+    const [kind, ...rest] = value.split(":");
+    const name = rest.join(":");
+    const preset = (kind === "builtin" ? BUILTIN_PRESETS : saved).find((p) => p.name === name);
+    return preset ? layersFromPreset(preset) : [];
+  }
+
+  function setCompareSide(side, value) {
+    setCompare((c) => ({ ...c, [side]: value, [`${side}Layers`]: compareLayers(value, presets) }));
+  }
+
+  // Drag the wipe / A|B split across the processed canvas
+  function dragSplit(e) {
+    if (compare.mode !== "wipe" && compare.mode !== "ab") return;
+    if (e.type === "pointerdown") e.currentTarget.setPointerCapture(e.pointerId);
+    else if (!(e.buttons & 1)) return;
+    const rect = contentRect(e.currentTarget);
+    const position = compare.horizontal ? (e.clientY - rect.top) / rect.height : (e.clientX - rect.left) / rect.width;
+    setCompare((c) => ({ ...c, position: clamp(position, 0, 1) }));
+  }
+
+  function applyPlaybackRate(rate) {
+    setPlaybackRate(rate);
+    if (originalVideoRef.current) originalVideoRef.current.playbackRate = rate;
+  }
+
+  // Presets replace the whole stack; automation belongs to the old layers so it is cleared
+  function loadPreset(preset) {
+    noteHistory(`Load preset "${preset.name}"`);
+    setLayers(layersFromPreset(preset));
+    setKeyframes({});
+    applyPlaybackRate(preset.playbackRate);
+    setMessage(`Preset "${preset.name}" loaded.`);
+  }
+
+  // Change the saved presets and store them; when storing fails they change for this session only
+  // and the error replaces `done`
+  function storePresets(next, done) {
+    setPresets(next);
+    try {
+      saveStoredPresets(next);
+      setMessage(done);
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setMessage(null);
+      setError(`${err.message}. The change lasts until the page is reloaded.`);
+    }
+  }
+
+  function savePreset(name) {
+    const preset = presetFromState(name, layers, playbackRate);
+    storePresets([...presets.filter((p) => p.name !== name), preset], `Preset "${name}" saved.`);
+  }
+
+  function deletePreset(name) {
+    storePresets(presets.filter((p) => p.name !== name), `Preset "${name}" deleted.`);
+  }
+
+  async function importPresets(file) {
+    let parsed;
+    try {
+      parsed = parsePresetFile(await file.text());
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to import presets: ${err.message}`);
+      return;
+    }
+    const { presets: imported, warnings } = parsed;
+    const note = `Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}.${warnings.length ? ` ${warnings.join("; ")}` : ""}`;
+    storePresets([...presets.filter((p) => !imported.some((i) => i.name === p.name)), ...imported], note);
+  }
+
+  function exportPresets() {
+    downloadBlob(new Blob([serializePresets(presets)], { type: "application/json" }), "video-effects-presets.json");
+  }
+
+  function resetEffects() {
+    noteHistory("Reset effects");
+    setLayers(defaultStack());
+    setKeyframes({});
+    applyPlaybackRate(1);
+    setMessage("Effects reset to defaults.");
+  }
+
+  // Show segment `index` in the preview player at `sourceTime`, switching clips if needed
+  function cueSegment(index, sourceTime, play, list = segments) {
+    const v = originalVideoRef.current;
+    const seg = list[index];
+    if (!v || !seg) return;
+    const clip = clips.find((c) => c.id === seg.clipId);
+    setActiveSegment(index);
+    if (clip && clip.url === src) {
+      v.currentTime = sourceTime;
+      if (play && v.paused) v.play().catch((e) => console.warn("Playback prevented:", e));
+    } else {
+      pendingSeekRef.current = { time: sourceTime, play };
+    }
+  }
+
+  function seekTo(t) {
+    const v = originalVideoRef.current;
+    if (!v) return;
+    const loc = locate(segments, t);
+    if (loc) cueSegment(loc.index, loc.sourceTime, !v.paused);
+    else v.currentTime = t;
+    setCurrentTime(t);
+  }
+
+  // Step one frame at the project frame rate (the export fps); stops playback and the shuttle
+  function stepFrame(direction) {
+    const v = originalVideoRef.current;
+    if (!v || !segments.length || liveInput) return;
+    v.pause();
+    setShuttle(0);
+    seekTo(clamp(playheadTime() + direction / exportSettings.fps, 0, duration));
+  }
+
+  // J/K/L shuttle: L plays forward and J in reverse, each further press doubling the speed up to 8x; K stops
+  function shuttleTo(direction) {
+    const v = originalVideoRef.current;
+    if (!v || !segments.length || liveInput) return;
+    if (direction === 0) {
+      v.pause();
+      setShuttle(0);
+      return;
+    }
+    const running = direction > 0 ? shuttle > 0 && !v.paused : shuttle < 0;
+    setShuttle(running ? clamp(shuttle * 2, -8, 8) : direction);
+    if (direction > 0) v.play().catch((e) => console.warn("Playback prevented:", e));
+    else v.pause();
+  }
+
+  // Speed ramps: a new one covers two seconds from the playhead
+  function addRamp() {
+    if (!segments.length) return;
+    const start = Math.min(playheadTime(), Math.max(0, duration - 2));
+    noteHistory("Add speed ramp");
+    setRamps((rs) => [...rs, createRamp(start, Math.min(duration, start + 2))]);
+  }
+
+  // `key` names a continuous edit (slider) so it collapses into one history entry
+  function updateRamp(id, patch, key = null) {
+    noteHistory("Edit speed ramp", key && `ramp:${id}.${key}`);
+    setRamps((rs) => editRamp(rs, id, patch));
+  }
+
+  function removeRamp(id) {
+    noteHistory("Remove speed ramp");
+    setRamps((rs) => rs.filter((r) => r.id !== id));
+  }
+
+  // Set or clear (null) the transition at `key`; `historyKey` names a continuous edit (slider)
+  function setTransition(key, transition, historyKey = null) {
+    noteHistory(transition ? "Edit transition" : "Remove transition", historyKey && `transition:${key}.${historyKey}`);
+    setTransitions((ts) => {
+      const next = { ...ts };
+      if (transition) next[key] = transition;
+      else delete next[key];
+      return next;
+    });
+  }
+
+  // Sequence editing
+  function editSegments(next) {
+    setSegments(next);
+    // Keep the preview on the same program position when segments before it change
+    const loc = locate(next, Math.min(currentTime, sequenceDuration(next)));
+    if (loc) cueSegment(loc.index, loc.sourceTime, false, next);
+  }
+
+  function splitAtPlayhead() {
+    editSegments(splitSegment(segments, playheadTime()));
+  }
+
+  function trimAtPlayhead(which) {
+    const loc = locate(segments, playheadTime());
+    if (loc) editSegments(trimSegment(segments, clips, loc.segment.id, { [which]: loc.sourceTime }));
+  }
+
+  function appendClip(clipId) {
+    const clip = clips.find((c) => c.id === clipId);
+    if (clip) setSegments((ss) => [...ss, createSegment(clip)]);
+  }
+
+  function removeClip(clipId) {
+    const clip = clips.find((c) => c.id === clipId);
+    if (!clip) return;
+    const next = segments.filter((s) => s.clipId !== clipId);
+    setClips((cs) => cs.filter((c) => c.id !== clipId));
+    editSegments(next);
+    if (!next.length) setActiveSegment(0);
+    URL.revokeObjectURL(clip.url);
+  }
+
+  // Keep track of object URL for cleanup
+  useEffect(() => {
+    return () => {
+      // cleanup on unmount
+      for (const clip of clipsRef.current) URL.revokeObjectURL(clip.url);
+      if (liveRef.current) endLive(liveRef.current);
+      if (audioRouteRef.current) audioRouteRef.current.ctx.close();
+      if (exportResult) {
+        URL.revokeObjectURL(exportResult.url);
+      }
+    };
+  }, []); // eslint-disable-line
+
+  // Overlays
+  function addTextOverlay() {
+    noteHistory("Add text overlay");
+    setOverlays((os) => [...os, createTextOverlay(playheadTime())]);
+  }
+
+  async function loadImageOverlay(file) {
+    try {
+      const image = await createImageBitmap(file);
+      noteHistory(`Add watermark ${file.name}`);
+      setOverlays((os) => [...os, createImageOverlay(file.name, image)]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to load ${file.name} as an image.`);
+    }
+  }
+
+  async function loadSubtitles(file) {
+    try {
+      const cues = parseSubtitles(await file.text());
+      noteHistory(`Add subtitles ${file.name}`);
+      setOverlays((os) => [...os, createSubtitleOverlay(file.name, cues)]);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to import subtitles ${file.name}: ${err.message}`);
+    }
+  }
+
+  // `key` names a continuous edit (slider, text) so it collapses into one history entry
+  function updateOverlay(id, patch, key = null) {
+    noteHistory("Edit overlay", key && `overlay:${id}.${key}`);
+    setOverlays((os) => os.map((o) => (o.id === id ? { ...o, ...patch } : o)));
+  }
+
+  function removeOverlay(id) {
+    noteHistory("Remove overlay");
+    setOverlays((os) => os.filter((o) => o.id !== id));
+  }
+
+  // `key` names a continuous edit (slider, crop drag) so it collapses into one history entry
+  function updateTransform(label, patch, key = null) {
+    noteHistory(label, key && `transform.${key}`);
+    setTransform((t) => ({ ...t, ...patch }));
+  }
+
+  function resetTransform() {
+    noteHistory("Reset transform");
+    setTransform(DEFAULT_TRANSFORM);
+    setCropEditing(false);
+  }
+
+  // Live inputs: the stream replaces the clip player until stopped (or ended from the browser's UI)
+  async function startLive(kind, options) {
+    let stream;
+    try {
+      stream = kind === "camera" ? await openCamera(options) : await openScreen(options);
+    } catch (err) {
+      console.error(err);
+      return setError(`Failed to start ${kind === "camera" ? "the camera" : "screen capture"}: ${liveErrorMessage(err)}`);
+    }
+    if (liveInput) endLive(liveInput);
+    const audio = stream.getAudioTracks().length ? createStreamAudioRoute(stream) : null;
+    setLiveInput({ kind, label: streamLabel(stream), stream, audio });
+    setError(null);
+    setMessage(kind === "camera" ? "Camera is live — effects apply in real time." : "Screen capture is live — effects apply in real time.");
+  }
+
+  function endLive(source) {
+    stopStream(source.stream);
+    if (source.audio) source.audio.ctx.close();
+  }
+
+  function stopLive() {
+    if (!liveInput) return;
+    stopRecording();
+    endLive(liveInput);
+    setLiveInput(null);
+    setMessage(null);
+    // Back to the sequence, where the player left off
+    if (segments.length) pendingSeekRef.current = { time: segments[activeSegment] ? segments[activeSegment].in : 0, play: false };
+  }
+
+  // Handle uploaded files: each becomes a clip appended to the sequence
+  function handleFile(e) {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    addFiles(files.map((file) => ({ file })));
+  }
+
+  // Where the browser has a File System Access picker, open files through it so autosave can keep
+  // handles instead of copies of the videos
+  async function pickFiles(e) {
+    if (typeof window.showOpenFilePicker !== "function") return;
+    e.preventDefault();
+    try {
+      addFiles(await pickFilesWithHandles({ "video/*": [".mp4", ".webm", ".mov", ".mkv", ".ogv", ".m4v"] }));
+    } catch (err) {
+      if (err.name !== "AbortError") setError(`Failed to open files: ${err.message}`);
+    }
+  }
+
+  // picked = [{ file, handle? }]
+  async function addFiles(picked) {
+    if (!picked.length) return;
+    stopLive();
+    const added = [];
+    for (const { file, handle } of picked) {
+      const url = URL.createObjectURL(file);
+      try {
+        added.push(createClip(file, url, await probeDuration(url), handle));
+      } catch (err) {
+        console.error(err);
+        URL.revokeObjectURL(url);
+        setError(`Failed to load ${file.name}. Try a different file or refresh the page.`);
+      }
+    }
+    if (!added.length) return;
+    const first = segments.length === 0;
+    setClips((cs) => [...cs, ...added]);
+    setSegments((ss) => [...ss, ...added.map((clip) => createSegment(clip))]);
+    if (first) {
+      // A fresh sequence starts with a clean timeline
+      noteHistory("Load video");
+      setKeyframes({});
+      setExportRange({ start: null, end: null });
+      setActiveSegment(0);
+      setCurrentTime(0);
+    }
+    setMessage(added.length > 1 ? `Added ${added.length} clips to the sequence.` : null);
+    if (added.length === picked.length) setError(null);
+  }
+
+  // Project files and autosave (project.js, projectStore.js)
+  function projectSnapshot() {
+    return buildProject({ clips, segments, activeSegment, currentTime: playheadTime(), layers, keyframes, transitions, playbackRate, ramps, overlays, transform, audioSettings, exportSettings, exportRange });
+  }
+
+  // Replace the session with `project`; `findMedia` resolves its media entries (see restoreProject)
+  async function openProject(project, findMedia) {
+    const state = await restoreProject(project, findMedia);
+    stopLive();
+    for (const clip of clips) URL.revokeObjectURL(clip.url);
+    setClips(state.clips);
+    setSegments(state.segments);
+    setActiveSegment(state.activeSegment);
+    setTransitions(state.transitions);
+    setLayers(state.layers);
+    setKeyframes(state.keyframes);
+    applyPlaybackRate(state.playbackRate);
+    setRamps(state.ramps);
+    setOverlays(state.overlays);
+    setTransform(state.transform);
+    setAudioSettings(state.audioSettings);
+    setExportSettings(supportsOfflineExport() ? state.exportSettings : { ...state.exportSettings, mode: "realtime" });
+    setExportRange(state.exportRange);
+    setShuttle(0);
+    setCropEditing(false);
+    setPickingKey(null);
+    const loc = locate(state.segments, state.currentTime);
+    setCurrentTime(loc ? state.currentTime : 0);
+    pendingSeekRef.current = loc ? { time: loc.sourceTime, play: false } : null;
+    // The opened project starts a fresh undo history
+    setHistory(createHistory({ layers: state.layers, keyframes: state.keyframes, playbackRate: state.playbackRate, ramps: state.ramps, transitions: state.transitions, overlays: state.overlays, transform: state.transform }, "Open project"));
+    if (state.missing.length) setError(`Missing media: ${state.missing.join(", ")}. Open the project again with these files picked alongside it.`);
+    else setError(null);
+    setMessage(`Project opened.${state.warnings.length ? ` ${state.warnings.join("; ")}` : ""}`);
+  }
+
+  async function restoreAutosave() {
+    const saved = recovery;
+    setRecovery(null);
+    try {
+      await openProject(saved.project, (m) => loadStoredMedia(m.key));
+      if (saved.lastExport) {
+        const { blob, fileName, mime } = saved.lastExport;
+        setExportResult((prev) => {
+          if (prev) URL.revokeObjectURL(prev.url);
+          return { url: URL.createObjectURL(blob), fileName, mime };
+        });
+      }
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to restore the autosaved project: ${err.message}`);
+    }
+  }
+
+  function discardAutosave() {
+    setRecovery(null);
+    clearAutosave();
+  }
+
+  // A .zip bundle, or a .json project with media files picked alongside it; media not picked are
+  // looked up in the autosave's store
+  async function openProjectFiles(files) {
+    try {
+      const { project, files: media } = await readProjectFiles(files);
+      await openProject(project, (m) => {
+        const file = media.find((f) => mediaKey(f) === m.key) || media.find((f) => f.name === m.name && f.size === m.size);
+        return file ? { file } : loadStoredMedia(m.key);
+      });
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to open the project: ${err.message}`);
+    }
+  }
+
+  function downloadProjectJson() {
+    downloadBlob(new Blob([serializeProject(projectSnapshot())], { type: "application/json" }), "video-effects-project.json");
+  }
+
+  async function downloadProjectZip() {
+    setMessage("Bundling project...");
+    try {
+      downloadBlob(await bundleProject(projectSnapshot(), clips), "video-effects-project.zip");
+      setMessage("Project bundle downloaded.");
+    } catch (err) {
+      console.error(err);
+      setMessage(null);
+      setError(`Failed to bundle the project: ${err.message}`);
+    }
+  }
+
+  // Look for the previous session's autosave once
+  useEffect(() => {
+    let cancelled = false;
+    loadAutosave().then((saved) => { if (!cancelled) setRecovery(saved); });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Autosave a moment after the project changes, once the restore prompt is answered. An untouched
+  // editor isn't saved, so it can't replace a session that may still be wanted.
+  const pristine = !clips.length && history.entries.length === 1;
+  useEffect(() => {
+    if (recovery !== null || pristine || liveInput) return;
+    const timer = setTimeout(async () => {
+      if (await saveAutosave(projectSnapshot(), clips)) setAutosavedAt(Date.now());
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [recovery, pristine, liveInput, clips, segments, activeSegment, layers, keyframes, transitions, playbackRate, ramps, overlays, transform, audioSettings, exportSettings, exportRange]); // eslint-disable-line
+
+  // Play/pause
+  function togglePlay() {
+    const v = originalVideoRef.current;
+    if (!v) return;
+    if (v.paused) {
+      v.play().catch((e) => console.warn("Playback prevented:", e));
+      setPlaying(true);
+    } else {
+      v.pause();
+      setPlaying(false);
+    }
+  }
+
+  // Recording & export
+  function showExport(blob, format) {
+    const next = { url: URL.createObjectURL(blob), fileName: exportFileName(exportSettings.fileName, format), mime: format.mime };
+    setExportResult((prev) => {
+      if (prev) URL.revokeObjectURL(prev.url);
+      return next;
+    });
+    saveLastExport(blob, next.fileName, next.mime);
+  }
+
+  // Capture the processed canvas, or a copy scaled to the export resolution
+  function captureCanvas(canvas) {
+    const [width, height] = outputSize(canvas.width, canvas.height, exportSettings.resolution);
+    if (width === canvas.width && height === canvas.height) return canvas.captureStream(exportSettings.fps);
+    const scaled = document.createElement("canvas");
+    scaled.width = width;
+    scaled.height = height;
+    const ctx = scaled.getContext("2d");
+    let raf = null;
+    const copy = () => {
+      ctx.drawImage(canvas, 0, 0, width, height);
+      raf = requestAnimationFrame(copy);
+    };
+    copy();
+    captureCleanupRef.current = () => cancelAnimationFrame(raf);
+    return scaled.captureStream(exportSettings.fps);
+  }
+
+  async function startRecording() {
+    const canvas = canvasRef.current;
+    if (!canvas) return setError("No canvas available for recording.");
+
+    try {
+      recordedChunksRef.current = [];
+      const stream = captureCanvas(canvas);
+      // Mix the player's audio (or the live input's) into the recording; it plays at the same rate as
+      // the video, so A/V stay in sync
+      const video = originalVideoRef.current;
+      recordingRouteRef.current = null;
+      if (!audioSettings.muted && (liveInput ? liveInput.audio : video)) {
+        if (!liveInput && !audioRouteRef.current) audioRouteRef.current = createAudioRoute(video);
+        const route = liveInput ? liveInput.audio : audioRouteRef.current;
+        recordingRouteRef.current = route;
+        await route.ctx.resume();
+        startRouteGain(route, audioSettings);
+        route.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+      }
+      const { format, mimeType } = pickRecorderFormat(exportSettings.format, stream.getAudioTracks().length > 0);
+      const options = { mimeType };
+      if (exportSettings.bitrate > 0) options.videoBitsPerSecond = Math.round(exportSettings.bitrate * 1e6);
+      const recorder = new MediaRecorder(stream, options);
+      mediaRecorderRef.current = recorder;
+
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size) recordedChunksRef.current.push(e.data);
+      };
+
+      recorder.onerror = (ev) => {
+        console.error("MediaRecorder error", ev);
+        setError("Recording error occurred.");
+      };
+
+      recorder.onstart = () => {
+        setRecording(true);
+        setExporting(true);
+        setMessage("Recording started...");
+      };
+
+      recorder.onstop = () => {
+        if (captureCleanupRef.current) captureCleanupRef.current();
+        captureCleanupRef.current = null;
+        setRecording(false);
+        setExporting(false);
+        setMessage("Export complete — preparing preview...");
+        showExport(new Blob(recordedChunksRef.current, { type: mimeType }), format);
+        const note = format.id !== exportSettings.format ? ` (${getFormat(exportSettings.format).label} isn't supported here, used ${format.label})` : "";
+        setTimeout(() => setMessage(`Export ready — play preview or download.${note}`), 400);
+      };
+
+      recorder.start();
+    } catch (err) {
+      console.error(err);
+      if (captureCleanupRef.current) captureCleanupRef.current();
+      captureCleanupRef.current = null;
+      setError(`Failed to start recording: ${err.message}`);
+      setExporting(false);
+    }
+  }
+
+  function startExport() {
+    setExportDialogOpen(false);
+    // A live input can't be seeked, so it always records in real time
+    if (exportSettings.mode === "offline" && !liveInput) startOfflineExport();
+    else startRecording();
+  }
+
+  // Offline export: frame-accurate render of the whole clip (or the in/out range) via WebCodecs
+  async function startOfflineExport() {
+    const video = originalVideoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !segments.length || !canvas || !renderFrameRef.current) return setError("Load a video before exporting.");
+    const range = fitExportRange(exportRange, duration);
+    const start = range.start ?? 0;
+    const end = range.end ?? duration;
+    if (!(end > start)) return setError("The export range is empty: set the in point before the out point, or clear the range.");
+
+    const controller = new AbortController();
+    exportAbortRef.current = controller;
+    const resumeTime = currentTime;
+    const reader = createSequenceReader(clips, segments);
+    // The other side of a cut transition may be the same clip, so it gets its own video elements
+    const transitionReader = createSequenceReader(clips, segments);
+    video.pause();
+    offlineRenderingRef.current = true;
+    setError(null);
+    setExporting(true);
+    setExportProgress(0);
+    setMessage("Rendering export...");
+    try {
+      const timeMap = createTimeMap(ramps, start, end, playbackRate);
+      const wantsAudio = !audioSettings.muted && !getFormat(exportSettings.format).image;
+      let audio = null;
+      if (wantsAudio && supportsAudioEncoding()) {
+        setMessage("Mixing audio...");
+        audio = { channels: await renderSequenceAudio(clips, segments, timeMap, audioSettings), sampleRate: AUDIO_SAMPLE_RATE };
+        setMessage("Rendering export...");
+      }
+      const { blob, format } = await renderOffline({
+        canvas,
+        seek: async (t) => {
+          const source = await reader.seek(t);
+          await Promise.all(backdropVideos(layers).map((v) => seekVideo(v, backdropTime(v, t))));
+          const transition = transitionAt(segments, transitions, t);
+          if (!transition || transition.fade) return { source, transition };
+          const { side, swap } = hiddenSide(segments, transition, t);
+          const { clip, time } = sideSource(clips, segments, side);
+          return { source, transition: { ...transition, second: await transitionReader.seekSource(clip, time), swap } };
+        },
+        renderFrame: (t, frame) => renderFrameRef.current(t, frame.source, frame.transition),
+        timeMap,
+        fps: exportSettings.fps,
+        blend: exportSettings.frameBlend,
+        formatId: exportSettings.format,
+        resolution: exportSettings.resolution,
+        bitrate: Math.round(exportSettings.bitrate * 1e6),
+        audio,
+        onProgress: setExportProgress,
+        signal: controller.signal,
+      });
+      showExport(blob, format);
+      const notes = [];
+      if (format.id !== exportSettings.format) notes.push(`${getFormat(exportSettings.format).label} isn't supported here, used ${format.label}`);
+      if (wantsAudio && !audio) notes.push("without audio — this browser can't encode audio offline");
+      setMessage(`Export ready — play preview or download.${notes.length ? ` (${notes.join("; ")})` : ""}`);
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setMessage("Export cancelled.");
+      } else {
+        console.error(err);
+        setError(`Offline export failed: ${err.message}`);
+      }
+    } finally {
+      reader.dispose();
+      transitionReader.dispose();
+      offlineRenderingRef.current = false;
+      exportAbortRef.current = null;
+      setExporting(false);
+      setExportProgress(null);
+      seekTo(resumeTime);
+    }
+  }
+
+  function cancelOfflineExport() {
+    if (exportAbortRef.current) exportAbortRef.current.abort();
+  }
+
+  // Editing the sequence can leave the in/out points past its end
+  useEffect(() => {
+    if (duration > 0) setExportRange((r) => fitExportRange(r, duration));
+  }, [duration]);
+
+  function setRangePoint(point) {
+    if (!segments.length) return;
+    const t = playheadTime();
+    setExportRange((r) => {
+      const next = { ...r, [point]: t };
+      if (next.start != null && next.end != null && next.start >= next.end) return { ...next, [point === "start" ? "end" : "start"]: null };
+      return next;
+    });
+  }
+
+  function stopRecording() {
+    const r = mediaRecorderRef.current;
+    if (!r || r.state === "inactive") return;
+    // Fade the soundtrack out before the recorder stops
+    const route = recordingRouteRef.current;
+    if (route && !audioSettings.muted && audioSettings.fadeOut > 0) {
+      fadeOutRoute(route, audioSettings.fadeOut);
+      setMessage("Fading out...");
+      setTimeout(() => { if (r.state !== "inactive") r.stop(); }, audioSettings.fadeOut * 1000);
+    } else {
+      r.stop();
+    }
+  }
+
+  function updateAudio(patch) {
+    setAudioSettings((a) => ({ ...a, ...patch }));
+  }
+
+  function downloadExport() {
+    if (!exportResult) return setError("No exported file available to download.");
+    const a = document.createElement("a");
+    a.href = exportResult.url;
+    a.download = exportResult.fileName;
+    a.click();
+    setMessage("Download started.");
+  }
+
+  // Record an undo entry whenever the editable state changes (restores match the current entry and are skipped)
+  useEffect(() => {
+    const action = historyActionRef.current || { label: "Edit" };
+    historyActionRef.current = null;
+    setHistory((h) => record(h, action.label, { layers, keyframes, playbackRate, ramps, transitions, overlays, transform }, action.key));
+  }, [layers, keyframes, playbackRate, ramps, transitions, overlays, transform]);
+
+  // Chroma key backdrop files are freed once neither the layers nor an undo step can show them again
+  useEffect(() => {
+    releaseBackdrops([layers, ...history.entries.map((e) => e.state.layers)]);
+  }, [layers, history]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text fields keep their native undo
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (isTextInput(e.target)) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redo(); }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Hold "\" to show the original frame in the processed canvas
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key !== "\\" || e.ctrlKey || e.metaKey || isTextInput(e.target)) return;
+      e.preventDefault();
+      setHoldOriginal(e.type === "keydown");
+    }
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("keyup", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("keyup", onKey);
+    };
+  }, []);
+
+  // Transport keys: "," / "." step one frame, J / K / L shuttle
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTextInput(e.target) || recording || exporting) return;
+      const k = e.key.toLowerCase();
+      if (k === ",") stepFrame(-1);
+      else if (k === ".") stepFrame(1);
+      else if (k === "j") shuttleTo(-1);
+      else if (k === "k") shuttleTo(0);
+      else if (k === "l") shuttleTo(1);
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // Visibility handling for performance
+  useEffect(() => {
+    function handleVisibility() {
+      isVisibleRef.current = !document.hidden;
+      // pause video to save CPU when not visible
+      const v = originalVideoRef.current;
+      if (!isVisibleRef.current && v && !v.paused) {
+        v.pause();
+        setPlaying(false);
+      }
+    }
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
+  // Main rendering loop: WebGL or 2D with throttling and error handling
+  useEffect(() => {
+    let renderer = null;
+
+    const video = originalVideoRef.current;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    // The canvas is remounted when the backend changes (see its key), since a canvas can only
+    // ever hold one kind of context
+    if (useWebGL) {
+      try {
+        renderer = createWebGLRenderer(canvas);
+      } catch (err) {
+        console.warn("WebGL init failed:", err);
+        setError("WebGL not supported by your browser — falling back to 2D rendering.");
+        setUseWebGL(false);
+        return;
+      }
+    } else {
+      renderer = createCanvas2DRenderer(canvas);
+    }
+
+    const overlayCanvas = document.createElement("canvas");
+    frameMonitor.reset();
+
+    // Draw `source` (mixed with the other side of a `transition`) with the stack resolved at `programTime`,
+    // then the overlays active at that time; `time` (ms) drives time-based effects. Only the live
+    // `preview` shows the compare view and renders at the preview quality.
+    function draw(source, programTime, time, preview, transition = null) {
+      if (!source || source.readyState < 2) return;
+      const { layers, keyframes, compare, overlays, transform, quality } = renderStateRef.current;
+      const current = renderPasses(layers, resolveParams(flattenLayerParams(layers), keyframes, programTime));
+      const sidePasses = (sideLayers) => (sideLayers ? renderPasses(sideLayers, flattenLayerParams(sideLayers)) : current);
+      const view = preview && compare && compare.mode !== "off" ? compare : null;
+      const ab = view && view.mode === "ab";
+      try {
+        const [w, h] = frameSize(source.videoWidth || source.width, source.videoHeight || source.height, transform);
+        const overlay = renderOverlays(overlayCanvas, overlays, programTime, w, h);
+        renderer.render(source, ab ? sidePasses(view.aLayers) : current, time * 0.001, {
+          transition,
+          transform,
+          compare: view && { ...view, passesB: ab ? sidePasses(view.bLayers) : null },
+          overlay,
+          scale: preview ? frameMonitor.scale(quality) : 1,
+          defer: preview,
+        });
+      } catch (err) {
+        if (renderer.backend === "webgl") {
+          console.error("Shader compile/link error:", err);
+          setError("Failed to initialize WebGL shaders. Falling back to 2D.");
+          setUseWebGL(false);
+        } else if (!error) {
+          // getImageData may fail if canvas is tainted (cross-origin). Show non-fatal warning once.
+          setError("Pixel-level effects disabled due to cross-origin tainting of the video.");
+        }
+      }
+    }
+
+    // Exposed for offline export, which seeks the video itself and renders one frame per step
+    renderFrameRef.current = (programTime, source, transition) => draw(source, programTime, programTime * 1000, false, transition);
+
+    // The preview's transition: the other side of a cut plays in a hidden player kept in step with
+    // the main one (paused while that side holds a frame). Until it has the frame the cut shows plain.
+    let secondClipId = null;
+    function previewTransition(programTime) {
+      const { clips, segments, transitions, live } = renderStateRef.current;
+      const second = transitionVideoRef.current;
+      const transition = live ? null : transitionAt(segments, transitions, programTime);
+      if (!transition || transition.fade || !second) {
+        if (second && !second.paused) second.pause();
+        return transition && transition.fade ? transition : null;
+      }
+      const { side, swap } = hiddenSide(segments, transition, programTime);
+      const target = sideSource(clips, segments, side);
+      if (!target) return null;
+      if (secondClipId !== target.clip.id) {
+        secondClipId = target.clip.id;
+        second.src = target.clip.url;
+        second.currentTime = target.time;
+        return null;
+      }
+      const holding = video.paused || target.time !== side.sourceTime;
+      if (holding && !second.paused) second.pause();
+      if (!second.seeking && Math.abs(second.currentTime - target.time) > (holding ? 0.02 : 0.25)) second.currentTime = target.time;
+      if (!holding) {
+        second.playbackRate = video.playbackRate;
+        if (second.paused) second.play().catch(() => {});
+      }
+      return second.readyState >= 2 ? { ...transition, second, swap } : null;
+    }
+
+    // Video backdrops of chroma key layers play along with the preview; dropped ones are paused
+    let syncedBackdrops = [];
+
+    function frame(time) {
+      if (offlineRenderingRef.current) {
+        animationFrameRef.current = requestAnimationFrame(frame);
+        return;
+      }
+      // throttle by targetFPS
+      const last = lastFrameTimeRef.current || 0;
+      const minDelta = 1000 / renderStateRef.current.targetFPS;
+      if (!isVisibleRef.current) {
+        // skip rendering when not visible; leave requestAnimationFrame to keep loop alive but cheap
+        lastFrameTimeRef.current = time;
+        animationFrameRef.current = requestAnimationFrame(frame);
+        return;
+      }
+      if (time - last < minDelta) {
+        animationFrameRef.current = requestAnimationFrame(frame);
+        return;
+      }
+      lastFrameTimeRef.current = time;
+
+      if (video) {
+        const { segments, activeSegment } = renderStateRef.current;
+        const programTime = segments.length && !renderStateRef.current.live ? toProgramTime(segments, activeSegment, video.currentTime) : video.currentTime;
+        const backdrops = backdropVideos(renderStateRef.current.layers);
+        for (const backdrop of syncedBackdrops) if (!backdrops.includes(backdrop)) backdrop.pause();
+        for (const backdrop of backdrops) syncBackdrop(backdrop, programTime, !video.paused, video.playbackRate);
+        syncedBackdrops = backdrops;
+        const started = performance.now();
+        draw(video, programTime, time, true, previewTransition(programTime));
+        frameMonitor.frame(time, performance.now() - started, minDelta, !video.paused);
+        frameMonitor.setBackend(renderer.usingWorker() ? `${renderer.backend} + worker` : renderer.backend);
+        if (scopesRef.current) scopesRef.current({ original: video, processed: canvas });
+      }
+      animationFrameRef.current = requestAnimationFrame(frame);
+    }
+
+    animationFrameRef.current = requestAnimationFrame(frame);
+
+    return () => {
+      if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+      // free GL resources if present
+      renderer.dispose();
+    };
+  }, [useWebGL, frameMonitor]);
+
+  // When video source changes, set playbackRate and attach play/pause listeners
+  useEffect(() => {
+    const v = originalVideoRef.current;
+    if (!v) return;
+    v.playbackRate = playbackRate;
+    const onPlay = () => setPlaying(true);
+    const onPause = () => setPlaying(false);
+    const onTime = () => setCurrentTime(playheadTime());
+    // A newly cued clip has loaded: jump to the segment's in point
+    const onMeta = () => {
+      const pending = pendingSeekRef.current;
+      if (!pending) return;
+      pendingSeekRef.current = null;
+      v.currentTime = pending.time;
+      if (pending.play) v.play().catch((e) => console.warn("Playback prevented:", e));
+    };
+    v.addEventListener("play", onPlay);
+    v.addEventListener("pause", onPause);
+    v.addEventListener("timeupdate", onTime);
+    v.addEventListener("seeked", onTime);
+    v.addEventListener("loadedmetadata", onMeta);
+    return () => {
+      v.removeEventListener("play", onPlay);
+      v.removeEventListener("pause", onPause);
+      v.removeEventListener("timeupdate", onTime);
+      v.removeEventListener("seeked", onTime);
+      v.removeEventListener("loadedmetadata", onMeta);
+    };
+  }, [src, playbackRate, segments, activeSegment]);
+
+  // Transport: playing forward, the player's rate follows the playback rate, the shuttle speed and any
+  // speed ramp under the playhead. Browsers can't play backwards, so a reverse shuttle keeps the player
+  // paused and seeks back a little every frame.
+  useEffect(() => {
+    const v = originalVideoRef.current;
+    if (shuttle >= 0) reverseRef.current = null;
+    if (!v || !segments.length || liveInput) return;
+    let raf = null;
+    let last = null;
+    function tick(now) {
+      if (offlineRenderingRef.current) {
+        last = null;
+      } else if (shuttle < 0) {
+        // Played from the player's own controls, or reached the start
+        if (!v.paused || reverseRef.current === 0) return setShuttle(0);
+        const from = reverseRef.current ?? playheadTime();
+        const dt = last == null ? 0 : (now - last) / 1000;
+        const t = Math.max(0, from - dt * playbackRate * -shuttle * speedAt(ramps, from));
+        reverseRef.current = t;
+        if (!v.seeking) seekTo(t);
+      } else if (!v.paused) {
+        const rate = clamp(playbackRate * Math.max(1, shuttle) * speedAt(ramps, playheadTime()), 0.0625, 16);
+        if (Math.abs(v.playbackRate - rate) > 0.001) v.playbackRate = rate;
+      }
+      last = now;
+      raf = requestAnimationFrame(tick);
+    }
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [shuttle, ramps, playbackRate, segments, activeSegment, liveInput]); // eslint-disable-line
+
+  // Attach a live input to the preview player. It plays muted: its sound only goes to recordings.
+  useEffect(() => {
+    const v = originalVideoRef.current;
+    if (!v || !liveInput) return;
+    v.srcObject = liveInput.stream;
+    v.muted = true;
+    v.play().catch((e) => console.warn("Playback prevented:", e));
+    // Sharing stopped from the browser's own UI, or the camera was unplugged
+    const [track] = liveInput.stream.getVideoTracks();
+    const onEnded = () => stopLive();
+    if (track) track.addEventListener("ended", onEnded);
+    return () => {
+      if (track) track.removeEventListener("ended", onEnded);
+      v.srcObject = null;
+      v.muted = false;
+    };
+  }, [liveInput]); // eslint-disable-line
+
+  // Pitch correction when playing faster or slower (also what a real-time export records)
+  useEffect(() => {
+    const v = originalVideoRef.current;
+    if (v) v.preservesPitch = audioSettings.preservePitch;
+  }, [src, audioSettings.preservePitch]);
+
+  // Sequence playback: when the player reaches the out point of a segment, continue with the next one
+  useEffect(() => {
+    const v = originalVideoRef.current;
+    if (!v || !segments.length || liveInput) return;
+    let raf = null;
+    function advance() {
+      if (offlineRenderingRef.current) return;
+      const next = activeSegment + 1;
+      if (next < segments.length) cueSegment(next, segments[next].in, true);
+      else v.pause();
+    }
+    function tick() {
+      const seg = segments[activeSegment];
+      if (seg && !v.paused && v.currentTime >= seg.out - 0.01) advance();
+      raf = requestAnimationFrame(tick);
+    }
+    raf = requestAnimationFrame(tick);
+    v.addEventListener("ended", advance);
+    return () => {
+      cancelAnimationFrame(raf);
+      v.removeEventListener("ended", advance);
+    };
+  }, [segments, activeSegment, clips, liveInput]); // eslint-disable-line
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      <h1 className="text-2xl font-semibold mb-3">🎞️ Video Effects — Optimized Editor</h1>
+
+      {/* Error / Message banners */}
+      {error && (
+        <div role="alert" aria-live="assertive" className="mb-4 p-3 rounded bg-red-100 text-red-800">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+      {message && (
+        <div role="status" aria-live="polite" className="mb-4 p-3 rounded bg-blue-50 text-blue-800">
+          {message}
+        </div>
+      )}
+
+      <ProjectBar
+        recovery={recovery}
+        savedAt={autosavedAt}
+        disabled={recording || exporting}
+        onRestore={restoreAutosave}
+        onDiscard={discardAutosave}
+        onOpen={openProjectFiles}
+        onDownloadJson={downloadProjectJson}
+        onDownloadZip={downloadProjectZip}
+      />
+
+      <div className="mb-4 flex gap-3 items-center">
+        <label className="flex items-center gap-2" htmlFor="fileInput">
+          <input
+            id="fileInput"
+            ref={inputRef}
+            type="file"
+            accept="video/*"
+            multiple
+            onChange={handleFile}
+            onClick={pickFiles}
+            aria-label="Upload video files"
+            className=""
+          />
+        </label>
+
+        <LiveInput live={liveInput} disabled={recording || exporting} onStartCamera={(opts) => startLive("camera", opts)} onStartScreen={(opts) => startLive("screen", opts)} onStop={stopLive} />
+
+        <button onClick={() => setUseWebGL((s) => !s)} aria-pressed={useWebGL} aria-label="Toggle WebGL shaders" className="px-3 py-1 border rounded">
+          {useWebGL ? "WebGL Shaders: ON" : "WebGL Shaders: OFF"}
+        </button>
+
+        <button onClick={() => seekTo(0)} aria-label="Restart video" className="px-3 py-1 border rounded">Restart</button>
+
+        <button onClick={undo} disabled={!canUndo(history)} aria-label="Undo (Ctrl+Z)" title="Undo (Ctrl+Z)" className="px-3 py-1 border rounded">Undo</button>
+        <button onClick={redo} disabled={!canRedo(history)} aria-label="Redo (Ctrl+Shift+Z)" title="Redo (Ctrl+Shift+Z)" className="px-3 py-1 border rounded">Redo</button>
+
+        <div className="ml-auto flex gap-2">
+          {!recording && <button onClick={() => setExportDialogOpen(true)} disabled={exporting || batchRunning} aria-label="Open export settings" className="px-3 py-1 bg-green-600 text-white rounded">Export…</button>}
+          {recording && <button onClick={stopRecording} aria-label="Stop export" className="px-3 py-1 bg-red-600 text-white rounded">Stop Export</button>}
+        </div>
+      </div>
+
+      {/* Side-by-side preview */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="border p-2 rounded">
+          <div className="mb-2 font-medium">Original</div>
+          <video
+            ref={originalVideoRef}
+            src={liveInput ? undefined : src}
+            controls
+            className={`w-full max-h-[480px] bg-black ${pickingKey ? "cursor-crosshair" : ""}`}
+            crossOrigin="anonymous"
+            aria-label="Original video preview"
+            onClick={pickingKey ? pickKeyColor : undefined}
+          />
+          <video ref={transitionVideoRef} muted playsInline preload="auto" crossOrigin="anonymous" className="hidden" aria-hidden="true" />
+        </div>
+
+        <div className="border p-2 rounded relative">
+          <div className="mb-2 font-medium">Processed</div>
+          <CompareBar compare={compare} presets={presets} onChange={(patch) => setCompare((c) => ({ ...c, ...patch }))} onSide={setCompareSide} onHold={setHoldOriginal} />
+          <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+            <span>Preview quality</span>
+            <select aria-label="Preview quality (exports always render at full quality)" value={previewQuality} onChange={(e) => setPreviewQuality(e.target.value)} className="border rounded px-1">
+              {PREVIEW_QUALITIES.map((q) => <option key={q.id} value={q.id}>{q.label}</option>)}
+            </select>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={showStats} onChange={(e) => setShowStats(e.target.checked)} aria-label="Show frame stats" />
+              Stats
+            </label>
+          </div>
+          <div className="relative w-full bg-black flex items-center justify-center">
+            <canvas
+              key={useWebGL ? "webgl" : "2d"}
+              ref={canvasRef}
+              className={`w-full max-h-[480px] object-contain ${compare.mode === "wipe" || compare.mode === "ab" ? (compare.horizontal ? "cursor-row-resize" : "cursor-col-resize") : ""}`}
+              role="img"
+              aria-label="Processed video preview canvas"
+              onPointerDown={dragSplit}
+              onPointerMove={dragSplit}
+            />
+            {!holdOriginal && (compare.mode === "wipe" || compare.mode === "ab") && (
+              <>
+                <span className="absolute top-1 left-1 px-1 text-xs rounded bg-black/60 text-white pointer-events-none">{compare.mode === "wipe" ? "Original" : `A: ${compare.a === "current" ? "Current" : compare.a.split(":").slice(1).join(":")}`}</span>
+                <span className="absolute bottom-1 right-1 px-1 text-xs rounded bg-black/60 text-white pointer-events-none">{compare.mode === "wipe" ? "Processed" : `B: ${compare.b === "current" ? "Current" : compare.b.split(":").slice(1).join(":")}`}</span>
+              </>
+            )}
+            {showStats && <StatsOverlay monitor={frameMonitor} quality={recording ? "full" : previewQuality} />}
+            {holdOriginal && <span className="absolute top-1 left-1 px-1 text-xs rounded bg-black/60 text-white pointer-events-none">Original</span>}
+            {cropEditing && !exporting && (
+              <CropEditor canvasRef={canvasRef} crop={transform.crop} onChange={(crop) => updateTransform("Crop", { crop }, "crop")} onEditEnd={sealHistory} />
+            )}
+          </div>
+
+          {/* Export spinner / progress overlay */}
+          {exporting && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black/40">
+              <div role="status" aria-live="polite" className="p-3 rounded bg-white/90 text-black flex items-center gap-3">
+                <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
+                  <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" strokeLinecap="round" />
+                </svg>
+                <span>{exportProgress != null ? `Exporting — ${Math.round(exportProgress * 100)}%` : "Exporting — please wait..."}</span>
+                {exportProgress != null && (
+                  <button onClick={cancelOfflineExport} aria-label="Cancel export" className="px-2 py-0.5 border rounded">Cancel</button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ScopesPanel frameRef={scopesRef} />
+
+      {/* Sequence (trim / split / reorder) */}
+      <SequenceTimeline
+        clips={clips}
+        segments={segments}
+        currentTime={currentTime}
+        duration={duration}
+        onSeek={seekTo}
+        onSplit={splitAtPlayhead}
+        onTrim={(id, patch) => editSegments(trimSegment(segments, clips, id, patch))}
+        onTrimAtPlayhead={trimAtPlayhead}
+        onMove={(from, to) => editSegments(moveSegment(segments, from, to))}
+        onRemove={(id) => editSegments(segments.filter((s) => s.id !== id))}
+        onAddClip={appendClip}
+        onRemoveClip={removeClip}
+      />
+
+      <TransitionPanel
+        clips={clips}
+        segments={segments}
+        transitions={transitions}
+        onChange={setTransition}
+        onEditEnd={sealHistory}
+      />
+
+      {/* Keyframe timeline */}
+      <KeyframeTimeline
+        lanes={keyframeLanes}
+        tracks={keyframes}
+        duration={duration}
+        currentTime={currentTime}
+        onSeek={seekTo}
+        onAdd={addKeyframe}
+        onMove={(name, id, t) => { noteHistory(`Move ${paramLabel(name)} keyframe`, `keyframe:${id}`); editTrack(name, (tr) => moveKeyframe(tr, id, Math.min(t, duration))); }}
+        onMoveEnd={sealHistory}
+        onRemove={(name, id) => { noteHistory(`Delete ${paramLabel(name)} keyframe`); editTrack(name, (tr) => removeKeyframe(tr, id)); }}
+        onEasing={(name, id, easing) => { noteHistory(`${paramLabel(name)} keyframe: ${easing}`); editTrack(name, (tr) => updateKeyframe(tr, id, { easing })); }}
+      />
+
+      {/* Controls */}
+      <div className="mt-6 grid grid-cols-3 gap-6">
+        <div className="col-span-2">
+          <EffectStack
+            layers={layers}
+            values={live}
+            onParam={setParam}
+            onData={setLayerData}
+            onLoadLut={loadLut}
+            pickingKey={pickingKey}
+            onPickKey={setPickingKey}
+            onLoadBackdrop={loadBackdropFile}
+            onEditEnd={sealHistory}
+            onUpdate={updateLayer}
+            onAdd={addLayer}
+            onDuplicate={duplicateLayer}
+            onRemove={removeLayer}
+            onMove={reorderLayer}
+          />
+
+          <OverlayPanel
+            overlays={overlays}
+            currentTime={currentTime}
+            onAddText={addTextOverlay}
+            onLoadImage={loadImageOverlay}
+            onLoadSubtitles={loadSubtitles}
+            onChange={updateOverlay}
+            onRemove={removeOverlay}
+            onEditEnd={sealHistory}
+          />
+
+          <TransformPanel
+            transform={transform}
+            cropEditing={cropEditing}
+            onCropEditing={setCropEditing}
+            onChange={updateTransform}
+            onReset={resetTransform}
+            onEditEnd={sealHistory}
+          />
+        </div>
+
+        <div>
+          <div className="border p-4 rounded">
+            <h3 className="font-semibold mb-2">Playback</h3>
+
+            <label className="block mb-2">Playback Rate: {playbackRate}x</label>
+            <input aria-label="Adjust playback rate" type="range" min="0.25" max="2" step="0.05" value={playbackRate} onChange={(e) => { noteHistory("Playback rate", "playbackRate"); applyPlaybackRate(parseFloat(e.target.value)); }} onPointerUp={sealHistory} onKeyUp={sealHistory} />
+
+            <div className="mt-3 flex items-center gap-1 text-sm" role="group" aria-label="Transport">
+              <button onClick={() => stepFrame(-1)} disabled={!segments.length || !!liveInput} aria-label="Step back one frame (,)" className="px-2 border rounded">◀|</button>
+              <button onClick={() => shuttleTo(-1)} disabled={!segments.length || !!liveInput} aria-label="Play in reverse, press again to speed up (J)" className={`px-2 border rounded ${shuttle < 0 ? "bg-blue-600 text-white" : ""}`}>◀◀</button>
+              <button onClick={() => shuttleTo(0)} disabled={!segments.length || !!liveInput} aria-label="Stop (K)" className="px-2 border rounded">■</button>
+              <button onClick={() => shuttleTo(1)} disabled={!segments.length || !!liveInput} aria-label="Play forward, press again to speed up (L)" className={`px-2 border rounded ${shuttle > 0 && playing ? "bg-blue-600 text-white" : ""}`}>▶▶</button>
+              <button onClick={() => stepFrame(1)} disabled={!segments.length || !!liveInput} aria-label="Step forward one frame (.)" className="px-2 border rounded">|▶</button>
+              {shuttle !== 0 && <span className="ml-1 text-gray-600" role="status">{shuttle}x</span>}
+            </div>
+          </div>
+
+          <SpeedPanel
+            ramps={ramps}
+            currentTime={currentTime}
+            outputDuration={outputDuration}
+            onAdd={addRamp}
+            onChange={updateRamp}
+            onRemove={removeRamp}
+            onEditEnd={sealHistory}
+          />
+
+          <div className="border p-4 rounded mt-4">
+            <h3 className="font-semibold mb-2">Export Audio</h3>
+
+            <label className="flex items-center gap-2 mb-2">
+              <input type="checkbox" checked={audioSettings.muted} onChange={(e) => updateAudio({ muted: e.target.checked })} aria-label="Mute exported audio" />
+              Mute
+            </label>
+            <label className="block mb-2">Volume: {Math.round(audioSettings.volume * 100)}%</label>
+            <input aria-label="Adjust export volume" type="range" min="0" max="2" step="0.05" value={audioSettings.volume} disabled={audioSettings.muted} onChange={(e) => updateAudio({ volume: parseFloat(e.target.value) })} />
+            <div className="flex gap-2 mt-2 text-sm">
+              <label>Fade in <NumberField min={0} step="0.1" value={audioSettings.fadeIn} onCommit={(fadeIn) => updateAudio({ fadeIn })} aria-label="Fade in duration (seconds)" className="w-16 border rounded px-1" />s</label>
+              <label>Fade out <NumberField min={0} step="0.1" value={audioSettings.fadeOut} onCommit={(fadeOut) => updateAudio({ fadeOut })} aria-label="Fade out duration (seconds)" className="w-16 border rounded px-1" />s</label>
+            </div>
+            <label className="flex items-center gap-2 mt-2 text-sm">
+              <input type="checkbox" checked={audioSettings.preservePitch} onChange={(e) => updateAudio({ preservePitch: e.target.checked })} aria-label="Preserve pitch when the playback rate is not 1x" />
+              Preserve pitch at other speeds
+            </label>
+          </div>
+
+          <PresetPanel
+            presets={presets}
+            onLoad={loadPreset}
+            onSave={savePreset}
+            onDelete={deletePreset}
+            onImport={importPresets}
+            onExport={exportPresets}
+            onReset={resetEffects}
+          />
+
+          <HistoryPanel history={history} onJump={(i) => restore(jumpTo(history, i))} />
+        </div>
+      </div>
+
+      {/* Export preview / actions */}
+      <div className="mt-6 flex gap-3 items-center">
+        <div className="flex items-center gap-2 text-sm">
+          <span>Export range:</span>
+          <button onClick={() => setRangePoint("start")} aria-label="Set export in point at playhead" className="px-2 border rounded">In {exportRange.start != null ? `${exportRange.start.toFixed(2)}s` : "start"}</button>
+          <button onClick={() => setRangePoint("end")} aria-label="Set export out point at playhead" className="px-2 border rounded">Out {exportRange.end != null ? `${exportRange.end.toFixed(2)}s` : "end"}</button>
+          {(exportRange.start != null || exportRange.end != null) && (
+            <button onClick={() => setExportRange({ start: null, end: null })} aria-label="Clear export range" className="px-2 border rounded">Clear</button>
+          )}
+        </div>
+
+        {exportResult && (
+          <div className="flex items-center gap-3">
+            <div className="text-sm">Export Preview:</div>
+            {exportResult.mime.startsWith("video/") && <video key={exportResult.url} src={exportResult.url} controls className="h-28" aria-label="Exported video preview" />}
+            {exportResult.mime === "image/gif" && <img src={exportResult.url} className="h-28" alt="Exported animated GIF preview" />}
+            {exportResult.mime === "application/zip" && <div className="text-sm text-gray-600">{exportResult.fileName}</div>}
+            <button onClick={downloadExport} className="px-3 py-1 border rounded" aria-label={`Download ${exportResult.fileName}`}>Download</button>
+          </div>
+        )}
+
+        <div className="ml-auto text-sm text-gray-600">Tip: Large videos may use more memory — revoke object URLs when no longer needed.</div>
+      </div>
+
+      <BatchPanel
+        presets={presets}
+        currentPreset={() => presetFromState("Current stack", layers, playbackRate)}
+        exportSettings={exportSettings}
+        audioSettings={audioSettings}
+        disabled={recording || exporting}
+        onBusyChange={setBatchRunning}
+      />
+
+      {exportDialogOpen && (
+        <ExportDialog settings={exportSettings} live={!!liveInput} onChange={(patch) => setExportSettings((s) => ({ ...s, ...patch }))} onStart={startExport} onClose={() => setExportDialogOpen(false)} />
+      )}
+
+      {/* Footer notes */}
+      <div className="mt-6 text-sm text-gray-600">
+        <p><strong>Notes:</strong></p>
+        <ul className="list-disc ml-6">
+          <li>Accessibility: controls include ARIA attributes for better screen-reader support.</li>
+          <li>Performance: rendering pauses when the tab is hidden and rendering is throttled to {targetFPS} FPS.</li>
+          <li>UI: export shows a spinner and playback preview when complete. Offline export renders every frame at the chosen frame rate regardless of playback and can be cancelled.</li>
+          <li>Error handling surfaces messages to the user; check console for more details.</li>
+          <li>Code Splitting: shader assembly lives in <code>shaders.js</code>, helpers in <code>utils.js</code> and each effect is its own module in <code>effects/</code>, registered in <code>effects/index.js</code>.</li>
+        </ul>
+      </div>
+
+      {/* Short accessibility helper: keyboard hint */}
+      <div className="mt-3 text-xs text-gray-500">Keyboard: use Tab to navigate controls. J / K / L shuttle reverse, stop and forward, "," and "." step one frame, hold "\" to show the original. All important controls have ARIA labels.</div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+// Minimal in-memory MP4 (ISO BMFF) muxer for WebCodecs output, with the same interface as the
+// WebM muxer. Supports H.264 video ("avc1.*", avcC taken from the encoder's decoderConfig) and Opus
+// audio. Writes a progressive file (ftyp, mdat, moov) with one chunk per sample.
+
+const textEncoder = new TextEncoder();
+
+function concat(parts) {
+  let len = 0;
+  for (const p of parts) len += p.length;
+  const out = new Uint8Array(len);
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+function u8(...values) {
+  return new Uint8Array(values);
+}
+
+function u16(v) {
+  const b = new Uint8Array(2);
+  new DataView(b.buffer).setUint16(0, v);
+  return b;
+}
+
+function u32(v) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setUint32(0, v);
+  return b;
+}
+
+function box(type, ...payload) {
+  const body = concat(payload);
+  return concat([u32(body.length + 8), textEncoder.encode(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+  return box(type, u8(version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff), ...payload);
+}
+
+const MATRIX = concat([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32));
+const zeros = (n) => new Uint8Array(n);
+
+// Run-length encode per-sample values into [count, value] pairs
+function runs(values) {
+  const out = [];
+  for (const v of values) {
+    const last = out[out.length - 1];
+    if (last && last[1] === v) last[0]++;
+    else out.push([1, v]);
+  }
+  return out;
+}
+
+// tracks: [{ type: "video", codec, width, height } | { type: "audio", codec, sampleRate, channels, codecPrivate? }]
+export function createMp4Muxer(tracks) {
+  const samples = tracks.map(() => []); // per track, in decode order: { timestamp (µs), duration (µs), key, data }
+
+  for (const t of tracks) {
+    if (t.type === "video" && !t.codec.startsWith("avc1")) throw new Error(`Codec ${t.codec} cannot be stored in MP4 by this muxer`);
+    if (t.type === "audio" && t.codec !== "opus") throw new Error(`Codec ${t.codec} cannot be stored in MP4 by this muxer`);
+  }
+
+  function addChunk(trackIndex, chunk, metadata) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const track = tracks[trackIndex];
+    if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.codecPrivate) {
+      const d = metadata.decoderConfig.description;
+      track.codecPrivate = d instanceof ArrayBuffer ? new Uint8Array(d.slice(0)) : new Uint8Array(d.buffer.slice(d.byteOffset, d.byteOffset + d.byteLength));
+    }
+    samples[trackIndex].push({ timestamp: chunk.timestamp, duration: chunk.duration || 0, key: chunk.type === "key", data });
+  }
+
+  function timescale(t) {
+    return t.type === "video" ? 90000 : t.sampleRate;
+  }
+
+  function sampleEntry(t) {
+    if (t.type === "video") {
+      if (!t.codecPrivate) throw new Error("H.264 encoder did not provide an avcC description");
+      const compressor = zeros(32);
+      return box("avc1",
+        zeros(6), u16(1), // reserved, data_reference_index
+        zeros(16), u16(t.width), u16(t.height),
+        u32(0x00480000), u32(0x00480000), zeros(4), u16(1), // 72dpi, frame_count
+        compressor, u16(0x0018), u16(0xffff),
+        box("avcC", t.codecPrivate));
+    }
+    // OpusHead (little-endian) carries the pre-skip; dOps stores the same fields big-endian
+    const head = t.codecPrivate;
+    const preSkip = head && head.length >= 12 ? head[10] | (head[11] << 8) : 312;
+    return box("Opus",
+      zeros(6), u16(1),
+      zeros(8), u16(t.channels), u16(16), zeros(4), u32(t.sampleRate * 65536),
+      box("dOps", u8(0, t.channels), u16(preSkip), u32(t.sampleRate), u16(0), u8(0)));
+  }
+
+  // Decode times and composition offsets (ticks). Encoders emit in decode order, so a stream with
+  // reordered frames gets sorted presentation times as decode times, delayed so offsets stay >= 0.
+  function timing(list, scale) {
+    const ticks = (us) => Math.round((us * scale) / 1e6);
+    const pts = list.map((s) => ticks(s.timestamp));
+    const sorted = [...pts].sort((a, b) => a - b);
+    const delay = pts.reduce((m, p, i) => Math.max(m, sorted[i] - p), 0);
+    const dts = sorted.map((p) => p - delay);
+    const durations = dts.map((d, i) => (i + 1 < dts.length ? dts[i + 1] - d : ticks(list[i].duration) || (i > 0 ? dts[i] - dts[i - 1] : 0)));
+    const offsets = pts.map((p, i) => p - dts[i]);
+    const end = pts.reduce((m, p, i) => Math.max(m, p + ticks(list[i].duration)), 0);
+    return { durations, offsets, end };
+  }
+
+  function trak(t, index, list, chunkOffsets, movieDuration) {
+    const scale = timescale(t);
+    const { durations, offsets, end } = timing(list, scale);
+    const isVideo = t.type === "video";
+
+    const tables = [
+      fullBox("stsd", 0, 0, u32(1), sampleEntry(t)),
+      fullBox("stts", 0, 0, u32(runs(durations).length), concat(runs(durations).map(([n, d]) => concat([u32(n), u32(d)])))),
+    ];
+    if (offsets.some((o) => o !== 0)) {
+      tables.push(fullBox("ctts", 0, 0, u32(runs(offsets).length), concat(runs(offsets).map(([n, o]) => concat([u32(n), u32(o)])))));
+    }
+    if (isVideo) {
+      const keys = [];
+      list.forEach((s, i) => { if (s.key) keys.push(i + 1); });
+      tables.push(fullBox("stss", 0, 0, u32(keys.length), concat(keys.map(u32))));
+    }
+    tables.push(
+      fullBox("stsc", 0, 0, u32(1), u32(1), u32(1), u32(1)), // every chunk holds one sample
+      fullBox("stsz", 0, 0, u32(0), u32(list.length), concat(list.map((s) => u32(s.data.length)))),
+      fullBox("stco", 0, 0, u32(chunkOffsets.length), concat(chunkOffsets.map(u32))),
+    );
+
+    return box("trak",
+      fullBox("tkhd", 0, 3, u32(0), u32(0), u32(index + 1), u32(0), u32(movieDuration), zeros(8),
+        u16(0), u16(0), u16(isVideo ? 0 : 0x0100), u16(0), MATRIX,
+        u32(isVideo ? t.width * 65536 : 0), u32(isVideo ? t.height * 65536 : 0)),
+      box("mdia",
+        fullBox("mdhd", 0, 0, u32(0), u32(0), u32(scale), u32(end), u16(0x55c4), u16(0)), // language "und"
+        fullBox("hdlr", 0, 0, u32(0), textEncoder.encode(isVideo ? "vide" : "soun"), zeros(12), textEncoder.encode(isVideo ? "VideoHandler\0" : "SoundHandler\0")),
+        box("minf",
+          isVideo ? fullBox("vmhd", 0, 1, zeros(8)) : fullBox("smhd", 0, 0, zeros(4)),
+          box("dinf", fullBox("dref", 0, 0, u32(1), fullBox("url ", 0, 1))),
+          box("stbl", ...tables))));
+  }
+
+  function finalize() {
+    const ftyp = box("ftyp", textEncoder.encode("isom"), u32(512), textEncoder.encode("isomiso2avc1mp41"));
+
+    // Interleave tracks in the media data by timestamp; remember each sample's file offset
+    const order = [];
+    samples.forEach((list, track) => list.forEach((s, i) => order.push({ track, i, s })));
+    order.sort((a, b) => a.s.timestamp - b.s.timestamp || a.track - b.track);
+    const offsets = samples.map((list) => new Array(list.length));
+    let pos = ftyp.length + 8;
+    for (const o of order) {
+      offsets[o.track][o.i] = pos;
+      pos += o.s.data.length;
+    }
+    const mdat = [u32(pos - ftyp.length), textEncoder.encode("mdat"), ...order.map((o) => o.s.data)];
+
+    const endUs = samples.flat().reduce((m, s) => Math.max(m, s.timestamp + s.duration), 0);
+    const movieDuration = Math.round(endUs / 1000); // movie timescale: 1ms
+    const moov = box("moov",
+      fullBox("mvhd", 0, 0, u32(0), u32(0), u32(1000), u32(movieDuration), u32(0x00010000), u16(0x0100), zeros(10), MATRIX, zeros(24), u32(tracks.length + 1)),
+      ...tracks.map((t, i) => trak(t, i, samples[i], offsets[i], movieDuration)));
+
+    return new Blob([ftyp, ...mdat, moov], { type: tracks.some((t) => t.type === "video") ? "video/mp4" : "audio/mp4" });
+  }
+
+  return { addChunk, finalize };
+}
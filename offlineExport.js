@@ -0,0 +1,159 @@
+import { createWebmMuxer } from "./webm";
+import { createMp4Muxer } from "./mp4";
+import { createGifEncoder } from "./gif";
+import { createZip } from "./zip";
+import { encodeAudio, opusHead } from "./audio";
+import { getFormat, outputSize, pickVideoConfig } from "./exportFormats";
+
+// Offline (non real-time) export: seek the source frame by frame, render each frame through the
+// editor's pipeline and encode it with WebCodecs. Output timing no longer depends on playback speed,
+// pauses or dropped frames.
+// Sources are positioned by a caller-supplied `seek(t)` (see createSequenceReader in sequence.js),
+// so the same loop renders a single clip or a whole edited sequence.
+// Frames go to a sink per output kind: encoded video (WebM/MP4), animated GIF or a zip of PNGs.
+
+// Offline video needs WebCodecs; image outputs only need OffscreenCanvas
+export function supportsOfflineExport(formatId) {
+  if (formatId && getFormat(formatId).image) return typeof OffscreenCanvas !== "undefined";
+  return typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+}
+
+function abortError() {
+  return new DOMException("Export cancelled", "AbortError");
+}
+
+async function createVideoSink(formatId, { width, height, fps, bitrate, audio }) {
+  const { format, config } = await pickVideoConfig(formatId, width, height, fps, bitrate || Math.round(width * height * fps * 0.1));
+  const tracks = [{ type: "video", codec: config.codec, width, height }];
+  if (audio) {
+    const channels = audio.channels.length;
+    tracks.push({ type: "audio", codec: "opus", sampleRate: audio.sampleRate, channels, codecPrivate: opusHead(channels, audio.sampleRate) });
+  }
+  const muxer = format.container === "mp4" ? createMp4Muxer(tracks) : createWebmMuxer(tracks);
+  // The muxers order samples by timestamp, so the whole soundtrack can be encoded up front
+  if (audio) await encodeAudio(audio.channels, audio.sampleRate, (chunk, meta) => muxer.addChunk(1, chunk, meta));
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addChunk(0, chunk, meta),
+    error: (e) => { encodeError = e; },
+  });
+  encoder.configure(config);
+
+  return {
+    format,
+    async addFrame(source, i) {
+      if (encodeError) throw encodeError;
+      const frame = new VideoFrame(source, { timestamp: Math.round((i * 1e6) / fps), duration: Math.round(1e6 / fps) });
+      encoder.encode(frame, { keyFrame: i % Math.round(fps * 2) === 0 });
+      frame.close();
+      // Backpressure: don't let the encoder queue grow unbounded
+      while (encoder.encodeQueueSize > 4) await new Promise((r) => setTimeout(r, 5));
+    },
+    async finish() {
+      await encoder.flush();
+      if (encodeError) throw encodeError;
+      return muxer.finalize();
+    },
+    close() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+function createGifSink(format, { width, height, fps }) {
+  const gif = createGifEncoder(width, height, fps);
+  return {
+    format,
+    needsPixels: true,
+    async addFrame(source) {
+      gif.addFrame(source.getContext("2d").getImageData(0, 0, width, height).data);
+    },
+    async finish() {
+      return gif.finish();
+    },
+    close() {},
+  };
+}
+
+function createPngSink(format) {
+  const zip = createZip();
+  return {
+    format,
+    needsPixels: true,
+    async addFrame(source, i) {
+      const png = await source.convertToBlob({ type: "image/png" });
+      zip.add(`frame_${String(i + 1).padStart(5, "0")}.png`, new Uint8Array(await png.arrayBuffer()));
+    },
+    async finish() {
+      return zip.finish();
+    },
+    close() {},
+  };
+}
+
+function createSink(formatId, options) {
+  const format = getFormat(formatId);
+  if (format.container === "gif") return createGifSink(format, options);
+  if (format.container === "zip") return createPngSink(format);
+  return createVideoSink(formatId, options);
+}
+
+// Render a time map's program range and resolve with { blob, format } — `format` is the one actually
+// written, which differs from `formatId` when the browser can't encode it and a fallback was used.
+// For each frame `seek(t)` resolves with what time `t` needs (the positioned source element, and the
+// other side of a transition), and `renderFrame(t, frame)` draws that onto `canvas`.
+// `timeMap` (see createTimeMap in speed.js) gives the program range and the program time of each
+// output frame, so the playback rate and speed ramps are honored. With `blend`, slow-motion frames that
+// fall between two source frames (taken to be 1/fps apart) mix both instead of repeating one.
+// `resolution` is an id from RESOLUTIONS; a `bitrate` of 0 picks one from the frame size.
+// `audio` is an optional soundtrack already matching the output length: { channels: Float32Array[], sampleRate }
+// (ignored by image formats). `onProgress` receives 0..1; abort via `signal`.
+export async function renderOffline({ canvas, seek, renderFrame, timeMap, fps = 30, blend = false, formatId = "webm-vp9", resolution = "source", bitrate, audio, onProgress, signal }) {
+  if (!supportsOfflineExport(formatId)) throw new Error("Offline export of this format isn't supported in this browser.");
+  const total = Math.max(1, Math.round(timeMap.duration * fps));
+
+  // Render the first frame so the canvas is sized for the encoder
+  renderFrame(timeMap.start, await seek(timeMap.start));
+  if (!canvas.width || !canvas.height) throw new Error("Nothing to export — load a video first.");
+  const [width, height] = outputSize(canvas.width, canvas.height, resolution);
+
+  const sink = await createSink(formatId, { width, height, fps, bitrate, audio });
+  // Frames of another size (other output resolutions, later clips in a sequence), blended frames and
+  // outputs that read pixels go through a 2D staging canvas of the output size
+  let staging = null;
+  function stage(alpha = 1) {
+    if (!staging) staging = new OffscreenCanvas(width, height);
+    const ctx = staging.getContext("2d", { willReadFrequently: !!sink.needsPixels });
+    ctx.globalAlpha = alpha;
+    ctx.drawImage(canvas, 0, 0, width, height);
+    ctx.globalAlpha = 1;
+    return staging;
+  }
+
+  try {
+    for (let i = 0; i < total; i++) {
+      if (signal && signal.aborted) throw abortError();
+      const t = timeMap.programTime(i / fps);
+      const slow = timeMap.programTime((i + 1) / fps) - t < 0.999 / fps;
+      const between = t * fps - Math.floor(t * fps);
+      let frameSource = canvas;
+      if (blend && slow && between > 0.01 && between < 0.99) {
+        const a = Math.floor(t * fps) / fps;
+        renderFrame(a, await seek(a));
+        stage();
+        const b = Math.min(a + 1 / fps, timeMap.end);
+        renderFrame(b, await seek(b));
+        frameSource = stage(between);
+      } else {
+        if (i > 0) renderFrame(t, await seek(t));
+        if (sink.needsPixels || canvas.width !== width || canvas.height !== height) frameSource = stage();
+      }
+      await sink.addFrame(frameSource, i);
+      if (onProgress) onProgress((i + 1) / total);
+    }
+    return { blob: await sink.finish(), format: sink.format };
+  } finally {
+    sink.close();
+  }
+}
@@ -0,0 +1,186 @@
+// Overlays composited over the processed frame: timed text titles, an image watermark and burned-in
+// subtitles. They are drawn with Canvas 2D into a frame-sized layer that the renderer lays over its
+// output, so the preview, real-time capture and offline export all include them.
+//
+// Sizes and positions are fractions of the frame so overlays scale with the export resolution.
+// Times are program time in seconds; `end: null` means until the end of the sequence.
+//   text:      { id, type, text, start, end, fadeIn, fadeOut, font, size, bold, color, stroke, strokeWidth, x, y }
+//   image:     { id, type, name, image, start, end, anchor, scale, margin, opacity }
+//   subtitles: { id, type, name, cues: [{ start, end, text }], offset, size, color, stroke, margin }
+
+export const OVERLAY_FONTS = ["sans-serif", "serif", "monospace", "Georgia", "Impact", "Courier New"];
+
+export const ANCHORS = [
+  { id: "top-left", label: "Top left" },
+  { id: "top-right", label: "Top right" },
+  { id: "bottom-left", label: "Bottom left" },
+  { id: "bottom-right", label: "Bottom right" },
+  { id: "center", label: "Center" },
+];
+
+let nextOverlayId = 1;
+
+export function createTextOverlay(start = 0) {
+  return {
+    id: `o${nextOverlayId++}`,
+    type: "text",
+    text: "Title",
+    start,
+    end: start + 4,
+    fadeIn: 0.5,
+    fadeOut: 0.5,
+    font: "sans-serif",
+    size: 0.08,
+    bold: true,
+    color: "#ffffff",
+    stroke: "#000000",
+    strokeWidth: 0.1,
+    x: 0.5,
+    y: 0.5,
+  };
+}
+
+export function createImageOverlay(name, image) {
+  return { id: `o${nextOverlayId++}`, type: "image", name, image, start: 0, end: null, anchor: "top-right", scale: 0.15, margin: 0.03, opacity: 0.8 };
+}
+
+export function createSubtitleOverlay(name, cues) {
+  return { id: `o${nextOverlayId++}`, type: "subtitles", name, cues, offset: 0, size: 0.05, color: "#ffffff", stroke: "#000000", margin: 0.06 };
+}
+
+// "00:01:02,500" (SRT) or "01:02.500" / "00:01:02.500" (WebVTT) -> seconds
+function parseTimestamp(text) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(text.trim());
+  if (!m) return NaN;
+  return (Number(m[1]) || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4].padEnd(3, "0")) / 1000;
+}
+
+// Parse SRT or WebVTT text into cues sorted by start time. Markup tags (<i>, <b>, <c.x>, {\an8}) are
+// dropped; styling comes from the overlay.
+export function parseSubtitles(text) {
+  const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((l) => l.trim() !== "");
+    const timing = lines.findIndex((l) => l.includes("-->"));
+    if (timing < 0) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+    const [from, rest] = lines[timing].split("-->");
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+    const body = lines.slice(timing + 1).map((l) => l.replace(/<[^>]*>/g, "").replace(/\{\\[^}]*\}/g, "").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").trim());
+    if (body.some(Boolean)) cues.push({ start, end, text: body.join("\n") });
+  }
+  if (!cues.length) throw new Error("No subtitle cues found — expected an .srt or .vtt file");
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Opacity of a timed overlay at `time`, including fades; 0 when outside its range
+export function overlayAlpha(overlay, time) {
+  const end = overlay.end == null ? Infinity : overlay.end;
+  if (time < overlay.start || time > end) return 0;
+  let alpha = 1;
+  if (overlay.fadeIn > 0) alpha = Math.min(alpha, (time - overlay.start) / overlay.fadeIn);
+  if (overlay.fadeOut > 0 && end !== Infinity) alpha = Math.min(alpha, (end - time) / overlay.fadeOut);
+  return Math.max(0, Math.min(1, alpha));
+}
+
+function activeCues(overlay, time) {
+  const t = time - overlay.offset;
+  return overlay.cues.filter((c) => t >= c.start && t < c.end);
+}
+
+export function hasActiveOverlays(overlays, time) {
+  return overlays.some((o) => (o.type === "subtitles" ? activeCues(o, time).length > 0 : overlayAlpha(o, time) > 0));
+}
+
+// Break `text` into lines that fit `maxWidth`, keeping explicit line breaks
+function wrapLines(ctx, text, maxWidth) {
+  const out = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        out.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+// Lines centered on (x, y), outlined first so the stroke doesn't eat into the fill
+function drawTextBlock(ctx, lines, x, y, px, color, stroke, strokeWidth) {
+  const lineHeight = px * 1.2;
+  const top = y - ((lines.length - 1) * lineHeight) / 2;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineJoin = "round";
+  lines.forEach((line, i) => {
+    const ly = top + i * lineHeight;
+    if (strokeWidth > 0) {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = px * strokeWidth;
+      ctx.strokeText(line, x, ly);
+    }
+    ctx.fillStyle = color;
+    ctx.fillText(line, x, ly);
+  });
+}
+
+function drawText(ctx, o, alpha, w, h) {
+  const px = Math.max(1, o.size * h);
+  ctx.globalAlpha = alpha;
+  ctx.font = `${o.bold ? "bold " : ""}${px}px ${o.font}`;
+  drawTextBlock(ctx, wrapLines(ctx, o.text, w * 0.9), o.x * w, o.y * h, px, o.color, o.stroke, o.strokeWidth);
+}
+
+function drawImage(ctx, o, alpha, w, h) {
+  const { image } = o;
+  if (!image || !image.width) return;
+  const iw = o.scale * w;
+  const ih = (iw * image.height) / image.width;
+  const m = o.margin * Math.min(w, h);
+  const x = o.anchor === "center" ? (w - iw) / 2 : o.anchor.endsWith("left") ? m : w - iw - m;
+  const y = o.anchor === "center" ? (h - ih) / 2 : o.anchor.startsWith("top") ? m : h - ih - m;
+  ctx.globalAlpha = alpha * o.opacity;
+  ctx.drawImage(image, x, y, iw, ih);
+}
+
+function drawSubtitles(ctx, o, time, w, h) {
+  const cues = activeCues(o, time);
+  if (!cues.length) return;
+  const px = Math.max(1, o.size * h);
+  ctx.globalAlpha = 1;
+  ctx.font = `${px}px sans-serif`;
+  const lines = cues.flatMap((c) => wrapLines(ctx, c.text, w * 0.9));
+  const bottom = h - o.margin * h - px / 2;
+  drawTextBlock(ctx, lines, w / 2, bottom - ((lines.length - 1) * px * 1.2) / 2, px, o.color, o.stroke, 0.15);
+}
+
+// Draw the overlays active at `time` into `canvas`, sized w x h.
+// Returns the canvas, or null when nothing is visible so the renderer can skip compositing.
+export function renderOverlays(canvas, overlays, time, w, h) {
+  if (!overlays.length || !hasActiveOverlays(overlays, time)) return null;
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, w, h);
+  for (const o of overlays) {
+    ctx.save();
+    if (o.type === "subtitles") drawSubtitles(ctx, o, time, w, h);
+    else {
+      const alpha = overlayAlpha(o, time);
+      if (alpha > 0 && o.type === "text") drawText(ctx, o, alpha, w, h);
+      else if (alpha > 0 && o.type === "image") drawImage(ctx, o, alpha, w, h);
+    }
+    ctx.restore();
+  }
+  return canvas;
+}
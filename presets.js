@@ -0,0 +1,205 @@
+import { getEffect } from "./effects";
+import { BLEND_MODES, createLayer } from "./stack";
+import { clamp } from "./utils";
+
+// Presets capture the effect stack and playback rate. They are stored (localStorage) and exchanged
+// (import/export) in the same versioned file format:
+// { format: PRESET_FORMAT, version, presets: [{ name, playbackRate, layers: [{ effect, enabled, opacity, blend, params, data? }] }] }
+// `data` is the effect's own state (curves, LUT name), written through its data.save()
+
+export const PRESET_FORMAT = "video-effects-editor/presets";
+export const PRESET_VERSION = 2;
+const STORAGE_KEY = "videoEffectsEditor.presets";
+
+// Solo is a monitoring aid, not part of a look: a preset keeps the layers that render (see
+// renderPasses) enabled and the rest disabled
+function resolveSolo(layers) {
+  const soloed = layers.some((l) => l && l.enabled !== false && l.solo === true);
+  return layers.map((l) => {
+    if (!l || typeof l !== "object") return l;
+    const { solo, ...layer } = l;
+    return { ...layer, enabled: l.enabled !== false && (!soloed || solo === true) };
+  });
+}
+
+// Upgrades from older file versions: MIGRATIONS[n] turns a version n file into version n + 1
+const MIGRATIONS = {
+  // Version 1 stored each layer's solo flag
+  1: (file) => ({
+    ...file,
+    version: 2,
+    presets: Array.isArray(file.presets) ? file.presets.map((p) => (p && Array.isArray(p.layers) ? { ...p, layers: resolveSolo(p.layers) } : p)) : file.presets,
+  }),
+};
+
+const builtinLayers = (spec) => spec.map(([effect, params, extra]) => ({ effect, params, ...extra }));
+
+export const BUILTIN_PRESETS = [
+  {
+    name: "Vintage",
+    playbackRate: 1,
+    layers: builtinLayers([
+      ["brightness", { amount: 1.05 }],
+      ["contrast", { amount: 0.9 }],
+      ["saturation", { amount: 0.75 }],
+      ["sepia", { amount: 0.45 }],
+      ["vignette", { amount: 0.5 }],
+      ["grain", { amount: 0.35 }],
+    ]),
+  },
+  {
+    name: "Noir",
+    playbackRate: 1,
+    layers: builtinLayers([
+      ["saturation", { amount: 0 }],
+      ["contrast", { amount: 1.5 }],
+      ["brightness", { amount: 0.95 }],
+      ["vignette", { amount: 0.6 }],
+      ["grain", { amount: 0.2 }],
+    ]),
+  },
+  {
+    name: "Cinematic",
+    playbackRate: 1,
+    layers: builtinLayers([
+      ["contrast", { amount: 1.2 }],
+      ["saturation", { amount: 0.85 }],
+      ["hue", { angle: -8 }],
+      ["sharpen", { amount: 0.3 }],
+      ["vignette", { amount: 0.35 }, { opacity: 0.8 }],
+    ]),
+  },
+].map((p) => ({ ...validatePreset(p), builtin: true }));
+
+// Validate and normalise one preset. Unknown effects are dropped (reported through `warnings`),
+// params are clamped to the effect's declared range and missing params fall back to defaults.
+export function validatePreset(raw, warnings = []) {
+  if (!raw || typeof raw !== "object") throw new Error("Preset must be an object");
+  const name = typeof raw.name === "string" ? raw.name.trim().slice(0, 100) : "";
+  if (!name) throw new Error("Preset is missing a name");
+  if (!Array.isArray(raw.layers)) throw new Error(`Preset "${name}" has no layers list`);
+
+  const layers = [];
+  for (const layer of raw.layers) {
+    const effect = layer && getEffect(layer.effect);
+    if (!effect) {
+      warnings.push(`Preset "${name}": skipped unknown effect "${layer && layer.effect}"`);
+      continue;
+    }
+    const params = {};
+    for (const [key, def] of Object.entries(effect.params)) {
+      const v = layer.params ? Number(layer.params[key]) : NaN;
+      params[key] = Number.isFinite(v) ? clamp(v, def.min, def.max) : def.default;
+    }
+    const opacity = Number(layer.opacity);
+    const out = {
+      effect: effect.id,
+      enabled: layer.enabled !== false,
+      opacity: Number.isFinite(opacity) ? clamp(opacity, 0, 1) : 1,
+      blend: BLEND_MODES.some((b) => b.id === layer.blend) ? layer.blend : "normal",
+      params,
+    };
+    if (effect.data) out.data = layer.data === undefined ? effect.data.default() : effect.data.load(layer.data);
+    layers.push(out);
+  }
+
+  const rate = Number(raw.playbackRate);
+  return { name, playbackRate: Number.isFinite(rate) ? clamp(rate, 0.25, 2) : 1, layers };
+}
+
+// Parse a preset file (string or parsed JSON); returns { presets, warnings }
+export function parsePresetFile(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error("Preset file is not valid JSON");
+    }
+  }
+  if (!data || data.format !== PRESET_FORMAT) throw new Error("Not a presets file");
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error("Preset file has no valid version");
+  if (version > PRESET_VERSION) throw new Error(`Preset file version ${version} is newer than this editor supports (${PRESET_VERSION})`);
+  for (let v = version; v < PRESET_VERSION; v++) {
+    if (!MIGRATIONS[v]) throw new Error(`Preset file version ${v} can't be upgraded`);
+    data = MIGRATIONS[v](data);
+  }
+  if (!Array.isArray(data.presets)) throw new Error("Preset file has no presets list");
+
+  // A broken entry only costs that preset
+  const warnings = [];
+  const presets = [];
+  for (const [i, raw] of data.presets.entries()) {
+    try {
+      presets.push(validatePreset(raw, warnings));
+    } catch (err) {
+      warnings.push(`Skipped preset ${i + 1}: ${err.message}`);
+    }
+  }
+  return { presets, warnings };
+}
+
+// An effect's layer data as stored in files, through its data.save()
+export function saveData(effectId, data) {
+  const effect = getEffect(effectId);
+  return effect && effect.data && effect.data.save ? effect.data.save(data) : data;
+}
+
+export function serializePresets(presets) {
+  const clean = presets.map(({ name, playbackRate, layers }) => ({
+    name,
+    playbackRate,
+    layers: layers.map((l) => (l.data === undefined ? l : { ...l, data: saveData(l.effect, l.data) })),
+  }));
+  return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, presets: clean }, null, 2);
+}
+
+// Snapshot the editor state as a preset
+export function presetFromState(name, layers, playbackRate) {
+  return validatePreset({
+    name,
+    playbackRate,
+    layers: resolveSolo(layers.map((l) => ({ effect: l.effectId, enabled: l.enabled, solo: l.solo, opacity: l.opacity, blend: l.blend, params: l.params, data: l.data && saveData(l.effectId, l.data) }))),
+  });
+}
+
+// Fresh stack layers (new ids) for a preset
+export function layersFromPreset(preset) {
+  return preset.layers.map((l) => {
+    const layer = { ...createLayer(l.effect, l.params), enabled: l.enabled, opacity: l.opacity, blend: l.blend };
+    if (l.data !== undefined) layer.data = l.data;
+    return layer;
+  });
+}
+
+// Whether the stored presets were read. Until they are, saving is skipped so an unreadable store
+// (damaged, or written by a newer version) isn't overwritten with an empty list.
+let storeLoaded = false;
+
+export function loadStoredPresets() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) {
+      storeLoaded = true;
+      return [];
+    }
+    const { presets, warnings } = parsePresetFile(raw);
+    warnings.forEach((w) => console.warn(w));
+    storeLoaded = true;
+    return presets;
+  } catch (err) {
+    console.warn("Could not load saved presets:", err);
+    return [];
+  }
+}
+
+// Throws when the presets can't be stored, so the caller can say so
+export function saveStoredPresets(presets) {
+  if (!storeLoaded) throw new Error("The saved presets couldn't be read, so they are left as they are and changes aren't stored");
+  try {
+    window.localStorage.setItem(STORAGE_KEY, serializePresets(presets));
+  } catch (err) {
+    throw new Error(`Presets couldn't be stored: ${err.message}`);
+  }
+}
@@ -0,0 +1,127 @@
+import { validatePreset, layersFromPreset } from "./presets";
+import { renderPasses, flattenLayerParams } from "./stack";
+import { createWebGLRenderer, createCanvas2DRenderer, createPixelRenderer } from "./renderer";
+import { renderOffline } from "./offlineExport";
+import { createClip, createSegment, probeDuration, createSequenceReader } from "./sequence";
+import { createTimeMap } from "./speed";
+import { backdropVideos, backdropTime } from "./chromaKey";
+import { DEFAULT_EXPORT_SETTINGS, getFormat, exportFileName } from "./exportFormats";
+import { DEFAULT_AUDIO_SETTINGS, AUDIO_SAMPLE_RATE, supportsAudioEncoding, renderSequenceAudio } from "./audio";
+import { seekVideo } from "./utils";
+
+// Headless processing: the editor's rendering core without the UI, for scripts and the batch queue.
+//   createProcessor(preset, options) renders single frames with a preset's effect stack
+//   processFile(file, preset, options) runs a whole video file through one, like an offline export
+// `preset` is a preset as in presets.js; it is validated here, so one parsed from a file works too.
+// Backends: "webgl", "2d", "auto" (WebGL, else 2D) draw onto a canvas; "cpu" is pure JS over
+// ImageData-like { data, width, height } frames and needs no DOM, so it also runs under Node.
+
+export const PROCESSOR_BACKENDS = ["auto", "webgl", "2d", "cpu"];
+
+// The renderer for `backend` and the canvas it draws on
+function createRenderer(canvas, backend) {
+  if (backend === "cpu") return { renderer: createPixelRenderer(), canvas: null };
+  if (!PROCESSOR_BACKENDS.includes(backend)) throw new Error(`Unknown backend "${backend}"`);
+  const target = canvas || document.createElement("canvas");
+  if (backend === "2d") return { renderer: createCanvas2DRenderer(target), canvas: target };
+  if (backend === "webgl") return { renderer: createWebGLRenderer(target), canvas: target };
+  try {
+    return { renderer: createWebGLRenderer(target), canvas: target };
+  } catch (err) {
+    console.warn("WebGL init failed, processing with the 2D fallback:", err);
+    // A canvas only ever holds one kind of context, so the fallback draws on a new one
+    const fallback = document.createElement("canvas");
+    return { renderer: createCanvas2DRenderer(fallback), canvas: fallback };
+  }
+}
+
+// { name, backend, canvas, layers, playbackRate, warnings, renderFrame(source, time, options), dispose() }
+// renderFrame() draws `source` (video, image or canvas) at `time` seconds onto `canvas` and returns it;
+// `options` are the renderer's (transition, transform, overlay). With "cpu" it takes and returns a frame.
+// `canvas` defaults to a new one (and is replaced when "auto" falls back to 2D; read it back from the
+// processor); `warnings` lists what validating the preset dropped and the effects the backend can't run.
+export function createProcessor(preset, { canvas = null, backend = "auto" } = {}) {
+  const warnings = [];
+  const valid = validatePreset(preset, warnings);
+  const layers = layersFromPreset(valid);
+  const passes = renderPasses(layers, flattenLayerParams(layers));
+  const { renderer, canvas: output } = createRenderer(canvas, backend);
+  // The 2D and cpu backends only run effects with a CSS filter or CPU loop; the rest are left out
+  if (renderer.backend !== "webgl") {
+    for (const { effect } of passes) {
+      const warning = `Preset "${valid.name}": ${effect.label} has no ${renderer.backend} implementation and is skipped`;
+      if (!effect.cssFilter && !effect.cpu && !warnings.includes(warning)) warnings.push(warning);
+    }
+  }
+
+  return {
+    name: valid.name,
+    backend: renderer.backend,
+    canvas: output,
+    layers,
+    playbackRate: valid.playbackRate,
+    warnings,
+    renderFrame(source, time = 0, options = {}) {
+      const frame = renderer.render(source, passes, time, options);
+      return output || frame;
+    },
+    dispose() {
+      renderer.dispose();
+    },
+  };
+}
+
+// Encode `file` through `preset` (browser only: needs a canvas backend and the offline export's
+// WebCodecs or OffscreenCanvas support). Options:
+//   exportSettings: format, resolution, fps, bitrate, frameBlend as in the export dialog (defaults otherwise)
+//   audioSettings:  soundtrack volume, mute and fades; the source's audio is kept when it can be encoded
+//   transform:      reframing applied to every frame (transform.js)
+//   processor:      a processor for `preset` to reuse across files; one is made (and disposed) otherwise
+//   backend, onProgress(0..1), signal
+// Resolves with { blob, format, fileName, audio } — `format` is the one written (see renderOffline) and
+// `audio` whether the soundtrack was included. The output name is the file's, suffixed with the validated
+// preset's and sanitized like the export dialog's.
+export async function processFile(file, preset, { exportSettings, audioSettings, transform = null, processor = null, backend = "auto", onProgress, signal } = {}) {
+  const settings = { ...DEFAULT_EXPORT_SETTINGS, ...exportSettings };
+  const sound = { ...DEFAULT_AUDIO_SETTINGS, ...audioSettings };
+  const own = !processor;
+  const proc = processor || createProcessor(preset, { backend });
+  const url = URL.createObjectURL(file);
+  let reader = null;
+  try {
+    if (!proc.canvas) throw new Error("Encoding needs a canvas backend");
+    const clip = createClip(file, url, await probeDuration(url));
+    const segments = [createSegment(clip)];
+    reader = createSequenceReader([clip], segments);
+    const timeMap = createTimeMap([], 0, clip.duration, proc.playbackRate);
+    let audio = null;
+    if (!sound.muted && !getFormat(settings.format).image && supportsAudioEncoding()) {
+      audio = { channels: await renderSequenceAudio([clip], segments, timeMap, sound), sampleRate: AUDIO_SAMPLE_RATE };
+    }
+    const backdrops = backdropVideos(proc.layers);
+    const { blob, format } = await renderOffline({
+      canvas: proc.canvas,
+      seek: async (t) => {
+        const source = await reader.seek(t);
+        await Promise.all(backdrops.map((v) => seekVideo(v, backdropTime(v, t))));
+        return source;
+      },
+      renderFrame: (t, source) => proc.renderFrame(source, t, { transform }),
+      timeMap,
+      fps: settings.fps,
+      blend: settings.frameBlend,
+      formatId: settings.format,
+      resolution: settings.resolution,
+      bitrate: Math.round(settings.bitrate * 1e6),
+      audio,
+      onProgress,
+      signal,
+    });
+    const base = `${file.name.replace(/\.[^.]+$/, "")}-${proc.name}`;
+    return { blob, format, fileName: exportFileName(base, format), audio: !!audio };
+  } finally {
+    if (reader) reader.dispose();
+    URL.revokeObjectURL(url);
+    if (own) proc.dispose();
+  }
+}
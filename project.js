@@ -0,0 +1,249 @@
+import { validatePreset, layersFromPreset, saveData } from "./presets";
+import { createClip, createSegment, probeDuration } from "./sequence";
+import { upsertKeyframe, EASINGS } from "./keyframes";
+import { createRamp, MIN_SPEED, MAX_SPEED } from "./speed";
+import { createTextOverlay, createImageOverlay, createSubtitleOverlay } from "./overlays";
+import { DEFAULT_TRANSFORM } from "./transform";
+import { DEFAULT_AUDIO_SETTINGS } from "./audio";
+import { DEFAULT_EXPORT_SETTINGS, EXPORT_FORMATS } from "./exportFormats";
+import { createZip, readZip } from "./zip";
+import { clamp } from "./utils";
+
+// Project files: everything needed to pick a session up again, in one versioned format used for the
+// IndexedDB autosave (projectStore.js), .json downloads and .zip bundles:
+// { format: PROJECT_FORMAT, version, savedAt,
+//   media: [{ id, key, name, type, size, lastModified, duration, file? }], segments, activeSegment, currentTime,
+//   layers: [{ id, effect, enabled, solo, opacity, blend, params, data? }], keyframes, transitions,
+//   playbackRate, ramps, overlays, transform, audioSettings, exportSettings, exportRange }
+// Media are referenced by `key` (name, size and modification time); a .zip also holds the files,
+// with `file` the entry's path. Image overlays carry their picture as a PNG data URL. Effect data
+// goes through data.save(), so a LUT or key backdrop is kept by name and has to be loaded again.
+// Ids are rewritten on restore so they can't collide with ones this session hands out.
+
+export const PROJECT_FORMAT = "video-effects-editor/project";
+export const PROJECT_VERSION = 1;
+
+export function mediaKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified || 0}`;
+}
+
+// PNG data URLs of overlay pictures, made once per image
+const imageUrls = new WeakMap();
+function imageDataUrl(image) {
+  if (!imageUrls.has(image)) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    imageUrls.set(image, canvas.toDataURL("image/png"));
+  }
+  return imageUrls.get(image);
+}
+
+// Snapshot the editor state as a project
+export function buildProject(state) {
+  const { clips, segments, activeSegment, currentTime, layers, keyframes, transitions, playbackRate, ramps, overlays, transform, audioSettings, exportSettings, exportRange } = state;
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    media: clips.map((c) => ({ id: c.id, key: mediaKey(c.file), name: c.name, type: c.file.type, size: c.file.size, lastModified: c.file.lastModified || 0, duration: c.duration })),
+    segments,
+    activeSegment,
+    currentTime,
+    layers: layers.map((l) => ({ id: l.id, effect: l.effectId, enabled: l.enabled, solo: l.solo, opacity: l.opacity, blend: l.blend, params: l.params, data: l.data && saveData(l.effectId, l.data) })),
+    keyframes,
+    transitions,
+    playbackRate,
+    ramps,
+    overlays: overlays.map((o) => (o.type === "image" ? { ...o, image: imageDataUrl(o.image) } : o)),
+    transform,
+    audioSettings,
+    exportSettings,
+    exportRange,
+  };
+}
+
+export function serializeProject(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+// Parse a project file (string or parsed JSON) up to the current version
+export function parseProject(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error("Project file is not valid JSON");
+    }
+  }
+  if (!data || data.format !== PROJECT_FORMAT) throw new Error("Not a project file");
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error("Project file has no valid version");
+  if (version > PROJECT_VERSION) throw new Error(`Project file version ${version} is newer than this editor supports (${PROJECT_VERSION})`);
+  for (const key of ["media", "segments", "layers"]) {
+    if (!Array.isArray(data[key])) throw new Error(`Project file has no ${key} list`);
+  }
+  return data;
+}
+
+// A .zip bundle: project.json plus the clips' files under media/. The files are streamed into the
+// archive rather than read into memory; bundles are limited to 4 GiB (see zip.js).
+export async function bundleProject(project, clips) {
+  const total = clips.reduce((n, c) => n + c.file.size, 0);
+  if (total >= 0xffffffff) throw new Error(`The clips add up to ${(total / 2 ** 30).toFixed(1)} GiB, over the 4 GiB a project bundle can hold — save a .json project instead`);
+  const zip = createZip();
+  const media = [];
+  for (const [i, m] of project.media.entries()) {
+    const clip = clips.find((c) => c.id === m.id);
+    if (!clip) continue;
+    const file = `media/${i + 1}-${m.name}`;
+    await zip.addBlob(file, clip.file);
+    media.push({ ...m, file });
+  }
+  zip.add("project.json", new TextEncoder().encode(serializeProject({ ...project, media })));
+  return zip.finish();
+}
+
+// Read what the user picked to open: a .zip bundle, or a .json project plus any media files picked
+// with it. Returns { project, files } where `files` are candidates for the project's media.
+export async function readProjectFiles(list) {
+  let project = null;
+  const files = [];
+  for (const file of list) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith(".zip")) {
+      const entries = await readZip(file);
+      if (!entries["project.json"]) throw new Error(`${file.name} has no project.json`);
+      project = parseProject(await entries["project.json"].text());
+      for (const m of project.media) {
+        if (m.file && entries[m.file]) files.push(new File([entries[m.file]], m.name, { type: m.type, lastModified: m.lastModified }));
+      }
+    } else if (name.endsWith(".json")) {
+      project = parseProject(await file.text());
+    } else {
+      files.push(file);
+    }
+  }
+  if (!project) throw new Error("Pick a .json or .zip project file");
+  return { project, files };
+}
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Editor state for `project`. `findMedia(entry)` resolves a media entry to { file, handle? } (or null);
+// clips it can't resolve are reported in `missing` and their segments dropped. Returns
+// { clips, segments, activeSegment, currentTime, layers, keyframes, transitions, playbackRate, ramps,
+//   overlays, transform, audioSettings, exportSettings, exportRange, missing, warnings }
+export async function restoreProject(project, findMedia) {
+  const warnings = [];
+  const missing = [];
+
+  const clips = [];
+  const clipIds = {};
+  for (const m of project.media) {
+    const found = await findMedia(m);
+    if (!found) {
+      missing.push(m.name);
+      continue;
+    }
+    const { file, handle } = found;
+    const url = URL.createObjectURL(file);
+    let duration = m.duration;
+    if (!isNumber(duration) || duration <= 0) {
+      try {
+        duration = await probeDuration(url);
+      } catch (err) {
+        URL.revokeObjectURL(url);
+        missing.push(m.name);
+        continue;
+      }
+    }
+    const clip = createClip(file, url, duration, handle);
+    clipIds[m.id] = clip;
+    clips.push(clip);
+  }
+
+  const segments = [];
+  const segmentIds = {};
+  for (const s of project.segments) {
+    const clip = s && clipIds[s.clipId];
+    if (!clip || !isNumber(s.in) || !isNumber(s.out)) continue;
+    const out = clamp(s.out, 0, clip.duration);
+    const segment = createSegment(clip, clamp(s.in, 0, out), out);
+    segmentIds[s.id] = segment.id;
+    segments.push(segment);
+  }
+
+  const transitions = {};
+  for (const [key, t] of Object.entries(project.transitions || {})) {
+    const id = key === "start" || key === "end" ? key : segmentIds[key];
+    if (id && t && typeof t.type === "string" && isNumber(t.duration)) transitions[id] = { type: t.type, duration: t.duration, easing: EASINGS.includes(t.easing) ? t.easing : "ease-in-out" };
+  }
+
+  // Layers go through preset validation one at a time so each keeps its old id for the keyframes
+  const layers = [];
+  const layerIds = {};
+  for (const raw of project.layers) {
+    const [valid] = validatePreset({ name: "Project", layers: [raw] }, warnings).layers;
+    if (!valid) continue;
+    const [layer] = layersFromPreset({ layers: [valid] });
+    layerIds[raw.id] = layer.id;
+    layers.push(layer);
+  }
+
+  const keyframes = {};
+  for (const [path, track] of Object.entries(project.keyframes || {})) {
+    const [layerId, key] = path.split(".");
+    if (!layerIds[layerId] || !Array.isArray(track)) continue;
+    const points = track.filter((k) => k && isNumber(k.time) && isNumber(k.value));
+    if (points.length) keyframes[`${layerIds[layerId]}.${key}`] = points.reduce((t, k) => upsertKeyframe(t, k.time, k.value, EASINGS.includes(k.easing) ? k.easing : "linear"), []);
+  }
+
+  const ramps = (project.ramps || [])
+    .filter((r) => r && isNumber(r.start) && isNumber(r.end) && isNumber(r.speed) && r.end > r.start)
+    .map((r) => ({ ...createRamp(r.start, r.end, clamp(r.speed, MIN_SPEED, MAX_SPEED)), ease: isNumber(r.ease) ? Math.max(0, r.ease) : 0.25 }));
+
+  const overlays = [];
+  for (const o of project.overlays || []) {
+    if (!o) continue;
+    if (o.type === "text") {
+      const fresh = createTextOverlay();
+      overlays.push({ ...fresh, ...o, id: fresh.id });
+    } else if (o.type === "subtitles" && Array.isArray(o.cues)) {
+      const fresh = createSubtitleOverlay(o.name, o.cues);
+      overlays.push({ ...fresh, ...o, id: fresh.id });
+    } else if (o.type === "image" && typeof o.image === "string") {
+      try {
+        const image = await createImageBitmap(await (await fetch(o.image)).blob());
+        const fresh = createImageOverlay(o.name, image);
+        overlays.push({ ...fresh, ...o, id: fresh.id, image });
+      } catch (err) {
+        warnings.push(`Skipped watermark "${o.name}": the picture could not be decoded`);
+      }
+    }
+  }
+
+  const rate = Number(project.playbackRate);
+  const format = project.exportSettings && EXPORT_FORMATS.some((f) => f.id === project.exportSettings.format) ? project.exportSettings.format : DEFAULT_EXPORT_SETTINGS.format;
+  const range = project.exportRange || {};
+  return {
+    clips,
+    segments,
+    activeSegment: clamp(Math.floor(Number(project.activeSegment) || 0), 0, Math.max(0, segments.length - 1)),
+    currentTime: Math.max(0, Number(project.currentTime) || 0),
+    layers,
+    keyframes,
+    transitions,
+    playbackRate: Number.isFinite(rate) ? clamp(rate, 0.25, 2) : 1,
+    ramps,
+    overlays,
+    transform: { ...DEFAULT_TRANSFORM, ...project.transform, crop: { ...DEFAULT_TRANSFORM.crop, ...(project.transform && project.transform.crop) } },
+    audioSettings: { ...DEFAULT_AUDIO_SETTINGS, ...project.audioSettings },
+    exportSettings: { ...DEFAULT_EXPORT_SETTINGS, ...project.exportSettings, format },
+    exportRange: { start: isNumber(range.start) ? range.start : null, end: isNumber(range.end) ? range.end : null },
+    missing,
+    warnings,
+  };
+}
@@ -0,0 +1,129 @@
+import { mediaKey } from "./project";
+
+// IndexedDB autosave, so a reload or crash doesn't lose the session. Three object stores:
+//   autosave: "current" -> { project, savedAt }, the latest project (project.js)
+//   media:    media key -> { key, file } or { key, handle }, a clip's File, or its File System Access
+//             handle when it was opened through one (the file isn't copied then, but reading it
+//             again needs the user's permission)
+//   exports:  "last" -> { blob, fileName, mime }, the last export shown under the preview
+// Failures (no IndexedDB, private mode, quota) are logged and otherwise ignored, like preset storage.
+
+const DB_NAME = "videoEffectsEditor";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of ["autosave", "media", "exports"]) {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `fn(stores)` in one transaction over `names`; resolves with what fn's last request returned
+async function transact(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+    let result;
+    const req = fn(stores);
+    if (req) req.onsuccess = () => { result = req.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+// Media keys already written this session
+const stored = new Set();
+
+// Save the project and any of its clips' media not stored yet, dropping media it no longer uses
+export async function saveAutosave(project, clips) {
+  try {
+    const keys = await transact(["media"], "readonly", (s) => s.media.getAllKeys());
+    const wanted = new Set(clips.map((c) => mediaKey(c.file)));
+    await transact(["autosave", "media"], "readwrite", (s) => {
+      for (const key of keys) if (!wanted.has(key)) s.media.delete(key);
+      for (const clip of clips) {
+        const key = mediaKey(clip.file);
+        if (stored.has(key) && keys.includes(key)) continue;
+        s.media.put(clip.handle ? { key, handle: clip.handle } : { key, file: clip.file }, key);
+      }
+      s.autosave.put({ project, savedAt: Date.now() }, "current");
+    });
+    wanted.forEach((key) => stored.add(key));
+    return true;
+  } catch (err) {
+    console.warn("Autosave failed:", err);
+    return false;
+  }
+}
+
+// The autosaved { project, savedAt, lastExport }, or null
+export async function loadAutosave() {
+  try {
+    const saved = await transact(["autosave"], "readonly", (s) => s.autosave.get("current"));
+    if (!saved) return null;
+    const lastExport = await transact(["exports"], "readonly", (s) => s.exports.get("last"));
+    return { ...saved, lastExport: lastExport || null };
+  } catch (err) {
+    console.warn("Could not read the autosave:", err);
+    return null;
+  }
+}
+
+// A stored clip's { file, handle? }, or null. Reading through a handle asks for permission again,
+// so call this from a user gesture (the restore button).
+export async function loadStoredMedia(key) {
+  try {
+    const record = await transact(["media"], "readonly", (s) => s.media.get(key));
+    if (!record) return null;
+    if (record.file) return { file: record.file };
+    const { handle } = record;
+    if ((await handle.queryPermission({ mode: "read" })) !== "granted" && (await handle.requestPermission({ mode: "read" })) !== "granted") return null;
+    return { file: await handle.getFile(), handle };
+  } catch (err) {
+    console.warn(`Could not read stored media ${key}:`, err);
+    return null;
+  }
+}
+
+export async function saveLastExport(blob, fileName, mime) {
+  try {
+    await transact(["exports"], "readwrite", (s) => s.exports.put({ blob, fileName, mime }, "last"));
+  } catch (err) {
+    console.warn("Could not keep the export:", err);
+  }
+}
+
+// Forget the autosave, its media and the last export
+export async function clearAutosave() {
+  try {
+    await transact(["autosave", "media", "exports"], "readwrite", (s) => {
+      s.autosave.clear();
+      s.media.clear();
+      s.exports.clear();
+    });
+    stored.clear();
+  } catch (err) {
+    console.warn("Could not clear the autosave:", err);
+  }
+}
+
+// File System Access: open video files and keep their handles (null when the browser has no picker)
+export async function pickFilesWithHandles(accept) {
+  if (typeof window.showOpenFilePicker !== "function") return null;
+  const handles = await window.showOpenFilePicker({ multiple: true, types: [{ description: "Videos", accept }] });
+  return Promise.all(handles.map(async (handle) => ({ file: await handle.getFile(), handle })));
+}
@@ -0,0 +1,89 @@
+// Preview quality: the processed preview can render below the source's resolution to keep up with
+// playback. "auto" picks the scale from measured frame times; exports and recordings always render
+// at full size.
+
+export const PREVIEW_QUALITIES = [
+  { id: "auto", label: "Auto" },
+  { id: "full", label: "Full", scale: 1 },
+  { id: "half", label: "Half", scale: 0.5 },
+  { id: "quarter", label: "Quarter", scale: 0.25 },
+];
+
+// Steps "auto" moves through, full size first
+const AUTO_SCALES = [1, 0.75, 0.5, 0.25];
+
+// Smoothing of the frame time and interval averages (weight of the newest frame)
+const SMOOTHING = 0.1;
+// A frame interval this many times the budget counts as dropped frames (while playing)
+const DROP_FACTOR = 1.75;
+// Step down after this many frames over SLOW of the budget, up after this many under FAST
+const SLOW = 0.6;
+const SLOW_FRAMES = 15;
+const FAST = 0.25;
+const FAST_FRAMES = 90;
+
+// Frame timing of the preview render loop, and the scale "auto" settles on
+export function createFrameMonitor() {
+  let level = 0;
+  let frameTime = 0;
+  let interval = 0;
+  let lastFrame = 0;
+  let dropped = 0;
+  let slow = 0;
+  let fast = 0;
+  let backend = "";
+
+  function step(by) {
+    level = Math.min(AUTO_SCALES.length - 1, Math.max(0, level + by));
+    slow = 0;
+    fast = 0;
+    // Times measured at the old scale say little about the new one
+    frameTime = 0;
+  }
+
+  return {
+    // Record a frame drawn at `now` (ms) that took `ms` to render, with the loop aiming for one every
+    // `budget` ms. Gaps only count as dropped frames while the video plays.
+    frame(now, ms, budget, playing) {
+      frameTime = frameTime ? frameTime + (ms - frameTime) * SMOOTHING : ms;
+      const gap = lastFrame ? now - lastFrame : 0;
+      lastFrame = now;
+      if (gap > 0 && gap < 1000) interval = interval ? interval + (gap - interval) * SMOOTHING : gap;
+      const missed = playing && gap < 1000 && gap > budget * DROP_FACTOR ? Math.round(gap / budget) - 1 : 0;
+      dropped += missed;
+
+      if (frameTime > budget * SLOW || missed) {
+        fast = 0;
+        slow += missed ? SLOW_FRAMES / 3 : 1;
+        if (slow >= SLOW_FRAMES) step(1);
+      } else if (frameTime < budget * FAST) {
+        slow = 0;
+        if (++fast >= FAST_FRAMES) step(-1);
+      } else {
+        slow = 0;
+        fast = 0;
+      }
+    },
+    // Render scale for a PREVIEW_QUALITIES id
+    scale(quality) {
+      const preset = PREVIEW_QUALITIES.find((q) => q.id === quality);
+      return preset && preset.scale ? preset.scale : AUTO_SCALES[level];
+    },
+    setBackend(name) {
+      backend = name;
+    },
+    // Start over, e.g. when the backend changes
+    reset() {
+      level = 0;
+      frameTime = 0;
+      interval = 0;
+      lastFrame = 0;
+      dropped = 0;
+      slow = 0;
+      fast = 0;
+    },
+    stats() {
+      return { frameTime, fps: interval ? 1000 / interval : 0, dropped, backend };
+    },
+  };
+}
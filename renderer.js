@@ -0,0 +1,614 @@
+import { uniformName } from "./effects";
+import { vsSource, copyShader, compareShader, transformShader, transitionShader, buildLayerShader } from "./shaders";
+import { blendIndex } from "./stack";
+import { compareIndex, differenceLevel, heat } from "./compare";
+import { frameGeometry } from "./transform";
+import { runStack2D, runStackPixels, workerStack } from "./cpuStack";
+
+// Rendering backends. Both take a source (video/image/canvas) and a list of passes
+// { effect, params, opacity, blend } as produced by renderPasses() in stack.js, plus options:
+//   transition: mixes the source with a second picture first: transitionAt() in transitions.js plus
+//               `second`, the other side's element (null for a fade), and `swap` when the source is side B
+//   transform:  geometry applied to the source next; sets the output size (see transform.js)
+//   compare:    preview-only compare view (see compare.js)
+//   overlay:    canvas of the output's size laid over the result (see overlays.js)
+//   scale:      preview render scale (quality.js): the output is drawn at this fraction of its size
+//   defer:      preview-only; the 2D fallback may hand its CPU passes to a worker and show the last
+//               frame it finished, one frame behind
+
+// Compile & link shaders
+export function createProgram(gl, vsSource, fsSource) {
+  function compile(type, src) {
+    const s = gl.createShader(type);
+    gl.shaderSource(s, src);
+    gl.compileShader(s);
+    if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) {
+      const msg = gl.getShaderInfoLog(s);
+      gl.deleteShader(s);
+      throw new Error(msg);
+    }
+    return s;
+  }
+
+  const vs = compile(gl.VERTEX_SHADER, vsSource);
+  const fs = compile(gl.FRAGMENT_SHADER, fsSource);
+  const prog = gl.createProgram();
+  gl.attachShader(prog, vs);
+  gl.attachShader(prog, fs);
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(prog));
+  }
+  return prog;
+}
+
+function sourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0,
+  };
+}
+
+// Where `inner` sits when fitted (letterboxed) inside `outer`, centered: [x, y, width, height] as
+// fractions of `outer`
+function fitRect(outer, inner) {
+  const s = Math.min(outer.width / inner.width, outer.height / inner.height);
+  const w = (inner.width * s) / outer.width;
+  const h = (inner.height * s) / outer.height;
+  return [(1 - w) / 2, (1 - h) / 2, w, h];
+}
+
+function createTexture(gl) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  return tex;
+}
+
+// Multi-pass WebGL renderer: each pass reads the previous pass' framebuffer texture.
+// Programs are compiled once per effect type and shared between instances.
+export function createWebGLRenderer(canvas) {
+  const gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+  if (!gl) throw new Error("WebGL not supported");
+
+  const programs = new Map(); // effect id -> { program, locations }
+  const copy = { program: createProgram(gl, vsSource, copyShader), locations: new Map() };
+  const compose = { program: createProgram(gl, vsSource, compareShader), locations: new Map() };
+  const reframe = { program: createProgram(gl, vsSource, transformShader), locations: new Map() };
+  const pair = { program: createProgram(gl, vsSource, transitionShader), locations: new Map() };
+
+  const positionBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1,-1,0,0,1,-1,1,0,-1,1,0,1,-1,1,0,1,1,1,1,1]), gl.STATIC_DRAW);
+
+  const sourceTex = createTexture(gl);
+  const overlayTex = createTexture(gl);
+  // A transition's second picture, and the mixed pair at the source's size
+  const secondTex = createTexture(gl);
+  const mixed = { tex: createTexture(gl), fbo: gl.createFramebuffer(), width: 0, height: 0 };
+  // The transformed source frame; the stack and compare views read `baseTex`, which is either this or sourceTex
+  const framed = { tex: createTexture(gl), fbo: gl.createFramebuffer() };
+  let baseTex = sourceTex;
+  // Ping-pong render targets for intermediate passes, and the finished stacks a compare view reads
+  const targets = [0, 1].map(() => ({ tex: createTexture(gl), fbo: gl.createFramebuffer() }));
+  const results = [0, 1].map(() => ({ tex: createTexture(gl), fbo: gl.createFramebuffer() }));
+  // Lookup textures of effects with samplers (curves, LUTs, key backdrops), per "layerId.key", and the
+  // ones the current frame uses; the rest are freed after it, e.g. once their layer is removed
+  const lookups = new Map();
+  const usedLookups = new Set();
+  // Whether a texture upload has failed (and been reported) yet
+  let uploadFailed = false;
+  let targetWidth = 0;
+  let targetHeight = 0;
+
+  function resizeTargets(w, h) {
+    for (const t of [...targets, ...results, framed]) {
+      gl.bindTexture(gl.TEXTURE_2D, t.tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, t.tex, 0);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    targetWidth = w;
+    targetHeight = h;
+  }
+
+  function getProgram(effect) {
+    let entry = programs.get(effect.id);
+    if (!entry) {
+      try {
+        entry = { program: createProgram(gl, vsSource, buildLayerShader(effect)), locations: new Map() };
+      } catch (err) {
+        throw new Error(`Shader for effect "${effect.id}" failed to compile: ${err.message}`);
+      }
+      programs.set(effect.id, entry);
+    }
+    return entry;
+  }
+
+  function location(entry, name) {
+    if (!entry.locations.has(name)) entry.locations.set(name, gl.getUniformLocation(entry.program, name));
+    return entry.locations.get(name);
+  }
+
+  function drawPass(entry, inputTex, fbo, w, h, setUniforms) {
+    const { program } = entry;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.viewport(0, 0, w, h);
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    const aPos = gl.getAttribLocation(program, "a_position");
+    const aTex = gl.getAttribLocation(program, "a_texcoord");
+    gl.enableVertexAttribArray(aPos);
+    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
+    gl.enableVertexAttribArray(aTex);
+    gl.vertexAttribPointer(aTex, 2, gl.FLOAT, false, 16, 8);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, inputTex);
+    gl.uniform1i(location(entry, "u_texture"), 0);
+    const texel = location(entry, "u_texel");
+    if (texel) gl.uniform2f(texel, 1 / w, 1 / h);
+    if (setUniforms) setUniforms((name, val) => { const loc = location(entry, name); if (loc) gl.uniform1f(loc, val); });
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  // Run the stack on the uploaded source; the last pass writes to `out` (null = the canvas)
+  function drawStack(passes, time, out, w, h) {
+    const outFbo = out ? out.fbo : null;
+    if (!passes.length) {
+      drawPass(copy, baseTex, outFbo, w, h);
+      return;
+    }
+    let input = baseTex;
+    passes.forEach((pass, i) => {
+      const last = i === passes.length - 1;
+      const target = targets[i % 2];
+      const entry = getProgram(pass.effect);
+      drawPass(entry, input, last ? outFbo : target.fbo, w, h, (setFloat) => {
+        setFloat("u_time", time);
+        setFloat("u_opacity", pass.opacity);
+        setFloat("u_blend", blendIndex(pass.blend));
+        for (const key of Object.keys(pass.effect.params)) setFloat(uniformName(pass.effect.id, key), pass.params[key]);
+        Object.entries(pass.effect.samplers || {}).forEach(([key, build], n) => {
+          const table = build(pass.data);
+          if (!table) return;
+          bindSampler(entry, uniformName(pass.effect.id, key), n + 1, lookupTexture(`${pass.layerId}.${key}`, table, n + 1));
+          setFloat(uniformName(pass.effect.id, `${key}Size`), table.size);
+        });
+        for (const [key, build] of Object.entries(pass.effect.colors || {})) gl.uniform3fv(location(entry, uniformName(pass.effect.id, key)), build(pass.data));
+        gl.activeTexture(gl.TEXTURE0);
+      });
+      input = target.tex;
+    });
+  }
+
+  // Re-upload only when the effect hands back a different table, or every frame for a live element
+  function lookupTexture(slot, table, unit) {
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    usedLookups.add(slot);
+    let entry = lookups.get(slot);
+    if (!entry) {
+      entry = { tex: createTexture(gl), table: null };
+      lookups.set(slot, entry);
+    }
+    if (entry.table !== table || table.live) {
+      if (table.image) {
+        upload(entry.tex, table.image);
+      } else {
+        gl.bindTexture(gl.TEXTURE_2D, entry.tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, table.width, table.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, table.pixels);
+      }
+      entry.table = table;
+    }
+    return entry.tex;
+  }
+
+  function releaseLookups() {
+    for (const [slot, { tex }] of lookups) {
+      if (usedLookups.has(slot)) continue;
+      gl.deleteTexture(tex);
+      lookups.delete(slot);
+    }
+    usedLookups.clear();
+  }
+
+  function bindSampler(entry, name, unit, tex) {
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.uniform1i(location(entry, name), unit);
+  }
+
+  // Alpha-blend the overlay layer (overlays.js) over what is on the canvas
+  function drawOverlay(overlay, w, h) {
+    gl.bindTexture(gl.TEXTURE_2D, overlayTex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, overlay);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    drawPass(copy, overlayTex, null, w, h);
+    gl.disable(gl.BLEND);
+  }
+
+  function upload(tex, source) {
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    try {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    } catch (err) {
+      // e.g. a cross-origin frame; the texture keeps its last picture. Reported once, not every frame.
+      if (!uploadFailed) console.warn("Texture upload failed:", err);
+      uploadFailed = true;
+    }
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+  }
+
+  // Mix the uploaded source with the transition's second picture into `mixed`
+  function drawTransition(transition, size) {
+    const { second } = transition;
+    if (mixed.width !== size.width || mixed.height !== size.height) {
+      gl.bindTexture(gl.TEXTURE_2D, mixed.tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size.width, size.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, mixed.fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, mixed.tex, 0);
+      mixed.width = size.width;
+      mixed.height = size.height;
+    }
+    const secondSize = second ? sourceSize(second) : size;
+    if (second) upload(secondTex, second);
+    // fitRect measures from the top; texcoords run from the bottom
+    const [x, y, fw, fh] = secondSize.width && secondSize.height ? fitRect(size, secondSize) : [0, 0, 1, 1];
+    drawPass(pair, sourceTex, mixed.fbo, size.width, size.height, (setFloat) => {
+      bindSampler(pair, "u_second", 1, second && secondSize.width ? secondTex : sourceTex);
+      gl.activeTexture(gl.TEXTURE0);
+      setFloat("u_mode", transition.mode);
+      setFloat("u_progress", transition.progress);
+      setFloat("u_swap", transition.swap ? 1 : 0);
+      gl.uniform3fv(location(pair, "u_color"), transition.color);
+      gl.uniform2fv(location(pair, "u_dir"), transition.dir);
+      gl.uniform4f(location(pair, "u_fit"), fw, fh, x, 1 - y - fh);
+    });
+  }
+
+  function drawFramed(inputTex, geometry, w, h) {
+    const vec3 = (name, v) => gl.uniform3f(location(reframe, name), v[0], v[1], v[2]);
+    drawPass(reframe, inputTex, framed.fbo, w, h, (setFloat) => {
+      vec3("u_row0", geometry.texRows[0]);
+      vec3("u_row1", geometry.texRows[1]);
+      vec3("u_cover0", geometry.coverRows[0]);
+      vec3("u_cover1", geometry.coverRows[1]);
+      gl.uniform4fv(location(reframe, "u_crop"), geometry.cropTex);
+      setFloat("u_fill", geometry.blur ? 1 : 0);
+    });
+  }
+
+  // `time` is in seconds and drives time-based effects such as grain. The overlay is not drawn
+  // over the hold-to-show-original view.
+  function render(source, passes, time, { transition, transform, compare, overlay, scale = 1 } = {}) {
+    const size = sourceSize(source);
+    if (!size.width || !size.height) return;
+    const geometry = frameGeometry(size.width, size.height, transform);
+    // Geometry is in texture coordinates here, so only the target size follows the scale
+    const w = Math.max(1, Math.round((geometry ? geometry.width : size.width) * scale));
+    const h = Math.max(1, Math.round((geometry ? geometry.height : size.height) * scale));
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    if (targetWidth !== w || targetHeight !== h) resizeTargets(w, h);
+
+    upload(sourceTex, source);
+    if (transition) drawTransition(transition, size);
+    const input = transition ? mixed.tex : sourceTex;
+    if (geometry) drawFramed(input, geometry, w, h);
+    baseTex = geometry ? framed.tex : input;
+
+    const mode = compare ? compare.mode : "off";
+    if (mode === "original") {
+      // No stack is drawn, so the lookups stay for when it is again
+      drawPass(copy, baseTex, null, w, h);
+      return;
+    }
+    if (mode === "off") drawStack(passes, time, null, w, h);
+    else drawCompare(passes, time, compare, w, h);
+    releaseLookups();
+    if (overlay) drawOverlay(overlay, w, h);
+  }
+
+  function drawCompare(passes, time, compare, w, h) {
+    const { mode } = compare;
+    drawStack(passes, time, results[0], w, h);
+    if (mode === "ab") drawStack(compare.passesB || [], time, results[1], w, h);
+    drawPass(compose, baseTex, null, w, h, (setFloat) => {
+      bindSampler(compose, "u_processed", 1, results[0].tex);
+      bindSampler(compose, "u_second", 2, results[1].tex);
+      gl.activeTexture(gl.TEXTURE0);
+      setFloat("u_mode", compareIndex(mode));
+      setFloat("u_split", compare.position);
+      setFloat("u_horizontal", compare.horizontal ? 1 : 0);
+    });
+  }
+
+  function dispose() {
+    try {
+      for (const { program } of programs.values()) gl.deleteProgram(program);
+      gl.deleteProgram(copy.program);
+      gl.deleteProgram(compose.program);
+      gl.deleteProgram(reframe.program);
+      gl.deleteProgram(pair.program);
+      for (const t of [...targets, ...results, framed, mixed]) { gl.deleteTexture(t.tex); gl.deleteFramebuffer(t.fbo); }
+      for (const { tex } of lookups.values()) gl.deleteTexture(tex);
+      gl.deleteTexture(sourceTex);
+      gl.deleteTexture(secondTex);
+      gl.deleteTexture(overlayTex);
+      gl.deleteBuffer(positionBuffer);
+    } catch (err) {
+      console.warn("Failed to free WebGL resources:", err);
+    }
+  }
+
+  return { backend: "webgl", render, dispose, usingWorker: () => false };
+}
+
+// Canvas 2D fallback: runs the stack with runStack2D() (cpuStack.js), on the main thread or, for a
+// deferred preview, partly in a worker. Throws a SecurityError if the source taints the canvas.
+export function createCanvas2DRenderer(canvas) {
+  const ctx = canvas.getContext("2d");
+  const scratch = document.createElement("canvas");
+  const sctx = scratch.getContext("2d");
+  const held = document.createElement("canvas"); // second image of a compare view
+  const hctx = held.getContext("2d");
+  const framed = document.createElement("canvas"); // the transformed source frame
+  const fctx = framed.getContext("2d");
+  const mixed = document.createElement("canvas"); // a transition's pair of pictures, at the source's size
+  const mctx = mixed.getContext("2d");
+  let worker; // created on the first deferred frame, null where there can be none
+  let deferred = false; // whether the last frame went through the worker
+
+  // Same modes as the WebGL transition pass. `dir` is in texture space, so its y is flipped here.
+  function drawTransition(source, transition, w, h) {
+    const second = transition.second || source;
+    const { mode, progress: p, dir } = transition;
+    const [fx, fy, fw, fh] = fitRect({ width: w, height: h }, sourceSize(second));
+    const drawPrimary = (dx, dy) => mctx.drawImage(source, dx, dy, w, h);
+    const drawOther = (dx, dy) => mctx.drawImage(second, fx * w + dx, fy * h + dy, fw * w, fh * h);
+    const drawA = (dx = 0, dy = 0) => (transition.swap ? drawOther : drawPrimary)(dx, dy);
+    const drawB = (dx = 0, dy = 0) => (transition.swap ? drawPrimary : drawOther)(dx, dy);
+    mctx.save();
+    mctx.fillStyle = "#000";
+    mctx.fillRect(0, 0, w, h);
+    if (mode === 1) {
+      // Dip: A fades into the color, then the color into B
+      if (p < 0.5) drawA();
+      else drawB();
+      mctx.globalAlpha = p < 0.5 ? p * 2 : 2 - p * 2;
+      mctx.fillStyle = `rgb(${transition.color.map((c) => Math.round(c * 255)).join(",")})`;
+      mctx.fillRect(0, 0, w, h);
+    } else if (mode === 2) {
+      // Wipe: B is uncovered from the side opposite `dir`
+      drawA();
+      mctx.beginPath();
+      mctx.rect(dir[0] < 0 ? w * (1 - p) : 0, dir[1] > 0 ? h * (1 - p) : 0, dir[0] ? w * p : w, dir[1] ? h * p : h);
+      mctx.clip();
+      mctx.fillStyle = "#000";
+      mctx.fillRect(0, 0, w, h);
+      drawB();
+    } else if (mode === 3) {
+      // Slide: A is pushed out towards `dir` as B follows it in
+      drawA(dir[0] * w * p, -dir[1] * h * p);
+      mctx.fillStyle = "#000";
+      mctx.fillRect(-dir[0] * w * (1 - p), dir[1] * h * (1 - p), w, h);
+      drawB(-dir[0] * w * (1 - p), dir[1] * h * (1 - p));
+    } else {
+      drawA();
+      mctx.globalAlpha = p;
+      mctx.fillStyle = "#000";
+      mctx.fillRect(0, 0, w, h);
+      drawB();
+      if (mode === 4) {
+        // Zoom blur: average in enlarged copies, strongest halfway through
+        const strength = Math.sin(p * Math.PI) * 0.3;
+        for (let i = 1; i <= 5; i++) {
+          const k = 1 / (1 - (strength * i) / 6);
+          mctx.globalAlpha = 1 / (i + 1);
+          mctx.drawImage(mixed, (w - w * k) / 2, (h - h * k) / 2, w * k, h * k);
+        }
+      }
+    }
+    mctx.restore();
+  }
+
+  // Same geometry as the WebGL pass: blurred cover background (or black), then the cropped picture,
+  // all drawn `scale` times the geometry's size
+  function drawFramed(source, geometry, scale) {
+    const [cx, cy, cw, ch] = geometry.cropRect;
+    const place = (m) => {
+      fctx.setTransform(scale, 0, 0, scale, 0, 0);
+      fctx.transform(...m);
+    };
+    fctx.setTransform(1, 0, 0, 1, 0, 0);
+    fctx.fillStyle = "#000";
+    fctx.fillRect(0, 0, framed.width, framed.height);
+    if (geometry.blur) {
+      fctx.save();
+      place(geometry.cover);
+      fctx.filter = `blur(${Math.round(Math.max(geometry.width, geometry.height) * 0.02 * scale)}px) brightness(0.7)`;
+      fctx.drawImage(source, cx, cy, cw, ch, cx, cy, cw, ch);
+      fctx.restore();
+    }
+    fctx.save();
+    place(geometry.forward);
+    fctx.drawImage(source, cx, cy, cw, ch, cx, cy, cw, ch);
+    fctx.restore();
+    fctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  function drawStack(source, passes, w, h) {
+    ctx.drawImage(source, 0, 0, w, h);
+    runStack2D(ctx, sctx, passes, w, h);
+  }
+
+  // drawStack() with the CPU passes run by the worker: shows the last frame it finished (or renders
+  // here while it has none of this size) and sends it the current one when it is free. While a frame
+  // is in flight the current one is neither sent nor read back.
+  function drawDeferred(source, passes, w, h) {
+    const done = worker.latest();
+    const ready = done && done.width === w && done.height === h;
+    const send = !worker.busy;
+    if (send || !ready) ctx.drawImage(source, 0, 0, w, h);
+    if (send) worker.run(ctx.getImageData(0, 0, w, h), passes);
+    if (ready) ctx.drawImage(done, 0, 0);
+    else runStack2D(ctx, sctx, passes, w, h);
+  }
+
+  // Draw `image` over the part of the canvas before the split, then the split line
+  function drawSplit(image, compare, w, h) {
+    const horizontal = !!compare.horizontal;
+    const at = Math.round(compare.position * (horizontal ? h : w));
+    ctx.save();
+    ctx.beginPath();
+    if (horizontal) ctx.rect(0, 0, w, at);
+    else ctx.rect(0, 0, at, h);
+    ctx.clip();
+    ctx.drawImage(image, 0, 0, w, h);
+    ctx.restore();
+    ctx.fillStyle = "#fff";
+    if (horizontal) ctx.fillRect(0, at - 1, w, 2);
+    else ctx.fillRect(at - 1, 0, 2, h);
+  }
+
+  function drawDifference(source, w, h) {
+    sctx.clearRect(0, 0, w, h);
+    sctx.drawImage(source, 0, 0, w, h);
+    const original = sctx.getImageData(0, 0, w, h).data;
+    const img = ctx.getImageData(0, 0, w, h);
+    const d = img.data;
+    for (let i = 0; i < d.length; i += 4) {
+      const [r, g, b] = heat(differenceLevel(d[i], d[i + 1], d[i + 2], original[i], original[i + 1], original[i + 2]));
+      d[i] = r;
+      d[i + 1] = g;
+      d[i + 2] = b;
+      d[i + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
+  function render(source, passes, time, { transition, transform, compare, overlay, scale = 1, defer = false } = {}) {
+    const size = sourceSize(source);
+    if (!size.width || !size.height) return;
+    if (transition) {
+      if (mixed.width !== size.width || mixed.height !== size.height) {
+        mixed.width = size.width;
+        mixed.height = size.height;
+      }
+      drawTransition(source, transition, size.width, size.height);
+      source = mixed;
+    }
+    const geometry = frameGeometry(size.width, size.height, transform);
+    const w = Math.max(1, Math.round((geometry ? geometry.width : size.width) * scale));
+    const h = Math.max(1, Math.round((geometry ? geometry.height : size.height) * scale));
+    for (const c of [canvas, scratch, held, framed]) {
+      if (c.width !== w || c.height !== h) {
+        c.width = w;
+        c.height = h;
+      }
+    }
+    if (geometry) {
+      drawFramed(source, geometry, scale);
+      source = framed;
+    }
+    const mode = compare ? compare.mode : "off";
+    deferred = false;
+    if (mode === "original") {
+      ctx.drawImage(source, 0, 0, w, h);
+      return;
+    }
+    if (mode === "ab") {
+      // Keep a copy of A, render B, then paint A back over the near side of the split
+      drawStack(source, passes, w, h);
+      hctx.clearRect(0, 0, w, h);
+      hctx.drawImage(canvas, 0, 0);
+      drawStack(source, compare.passesB || [], w, h);
+      drawSplit(held, compare, w, h);
+    } else {
+      const offload = defer && (mode === "off" || mode === "wipe") && workerStack(passes);
+      if (offload && worker === undefined) worker = createCpuWorker();
+      deferred = offload && !!worker && worker.available;
+      if (deferred) drawDeferred(source, passes, w, h);
+      else drawStack(source, passes, w, h);
+      if (mode === "wipe") drawSplit(source, compare, w, h);
+      else if (mode === "difference") drawDifference(source, w, h);
+    }
+    if (overlay) ctx.drawImage(overlay, 0, 0, w, h);
+  }
+
+  function dispose() {
+    if (worker) worker.dispose();
+  }
+
+  return { backend: "2d", render, dispose, usingWorker: () => deferred };
+}
+
+// Pure-JS backend for use without a DOM (Node, tests): render() takes an ImageData-like
+// { data, width, height } frame and returns the processed copy. Only the stack is drawn; transitions,
+// transforms, compare views and overlays need a canvas backend.
+export function createPixelRenderer() {
+  function render(image, passes) {
+    return runStackPixels({ data: new Uint8ClampedArray(image.data), width: image.width, height: image.height }, passes);
+  }
+
+  return { backend: "cpu", render, dispose() {}, usingWorker: () => false };
+}
+
+// Worker for the 2D fallback's CPU passes (cpuWorker.js), one frame in flight at a time. Null where
+// workers can't draw (no OffscreenCanvas); `available` turns false once the worker fails.
+function createCpuWorker() {
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") return null;
+  let worker;
+  try {
+    worker = new Worker(new URL("./cpuWorker.js", import.meta.url), { type: "module" });
+  } catch (err) {
+    console.warn("CPU effect worker unavailable:", err);
+    return null;
+  }
+  let busy = false;
+  let failed = false;
+  let latest = null;
+  const fail = (reason) => {
+    console.warn("CPU effect worker failed, rendering on the main thread:", reason);
+    busy = false;
+    failed = true;
+  };
+  worker.onmessage = ({ data }) => {
+    if (data.error) return fail(data.error);
+    busy = false;
+    if (latest) latest.close();
+    latest = data.bitmap;
+  };
+  worker.onerror = (e) => fail(e.message);
+
+  return {
+    get busy() {
+      return busy;
+    },
+    get available() {
+      return !failed;
+    },
+    run(image, passes) {
+      busy = true;
+      const jobs = passes.map(({ effect, params, data, opacity, blend }) => ({ effectId: effect.id, params, data, opacity, blend }));
+      worker.postMessage({ width: image.width, height: image.height, pixels: image.data.buffer, passes: jobs }, [image.data.buffer]);
+    },
+    latest: () => latest,
+    dispose() {
+      worker.terminate();
+      if (latest) latest.close();
+      latest = null;
+    },
+  };
+}
@@ -0,0 +1,148 @@
+// Video scopes, computed from a small RGBA readback of a frame (see ScopesPanel.js).
+// Each function fills an ImageData sized for its scope; graticules are drawn on top by the panel.
+
+export const SCOPE_SAMPLE_WIDTH = 192; // readback width, the height follows the frame's aspect
+export const SCOPE_HEIGHT = 128; // rows of the histogram and waveforms (0..100%)
+export const VECTORSCOPE_SIZE = 128;
+
+export const SCOPES = [
+  { id: "histogram", label: "Histogram" },
+  { id: "waveform", label: "Luma Waveform" },
+  { id: "parade", label: "RGB Parade" },
+  { id: "vectorscope", label: "Vectorscope" },
+];
+
+// Rec. 709, the same weights the curves and grading shaders use
+export function luma(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Point count -> brightness; `full` points in one cell read as fully lit
+function level(count, full) {
+  return Math.min(1, Math.sqrt(count / full));
+}
+
+function fillDensity(image, counts, tints, full) {
+  const { data } = image;
+  for (let i = 0; i < counts.length; i++) {
+    const tint = tints[i % tints.length];
+    const v = level(counts[i], full);
+    const o = i * 4;
+    data[o] = tint[0] * v;
+    data[o + 1] = tint[1] * v;
+    data[o + 2] = tint[2] * v;
+    data[o + 3] = 255;
+  }
+}
+
+// RGB histograms added together (overlaps read as white) over a grey luma histogram.
+// `image` is 256 x SCOPE_HEIGHT.
+export function drawHistogram(image, pixels) {
+  const bins = [0, 1, 2, 3].map(() => new Uint32Array(256));
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+    bins[0][r]++;
+    bins[1][g]++;
+    bins[2][b]++;
+    bins[3][Math.round(luma(r, g, b))]++;
+  }
+  // Scale to the tallest bin, ignoring the clipped ends so a burnt-out sky doesn't flatten the rest
+  let max = 1;
+  for (const channel of bins) for (let x = 1; x < 255; x++) max = Math.max(max, channel[x]);
+  const colors = [[200, 40, 40], [40, 200, 40], [40, 40, 200], [70, 70, 70]];
+  const { data, width, height } = image;
+  data.fill(0);
+  for (let x = 0; x < 256; x++) {
+    const tops = bins.map((channel) => height - Math.min(height, Math.round((channel[x] / max) * height)));
+    for (let y = 0; y < height; y++) {
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        if (y < tops[c]) continue;
+        data[o] += colors[c][0];
+        data[o + 1] += colors[c][1];
+        data[o + 2] += colors[c][2];
+      }
+      data[o + 3] = 255;
+    }
+  }
+}
+
+function accumulateWaveform(counts, pixels, w, h, value, offset, stride) {
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const row = SCOPE_HEIGHT - 1 - Math.round((value(pixels, i) / 255) * (SCOPE_HEIGHT - 1));
+      counts[row * stride + offset + x]++;
+    }
+  }
+}
+
+// Luma per column of the frame. `image` is w x SCOPE_HEIGHT.
+export function drawWaveform(image, pixels, w, h) {
+  const counts = new Uint32Array(w * SCOPE_HEIGHT);
+  accumulateWaveform(counts, pixels, w, h, (p, i) => luma(p[i], p[i + 1], p[i + 2]), 0, w);
+  fillDensity(image, counts, [[120, 255, 140]], h * 0.08);
+}
+
+// Red, green and blue waveforms side by side. `image` is 3w x SCOPE_HEIGHT.
+export function drawParade(image, pixels, w, h) {
+  const counts = new Uint32Array(3 * w * SCOPE_HEIGHT);
+  for (let c = 0; c < 3; c++) accumulateWaveform(counts, pixels, w, h, (p, i) => p[i + c], c * w, 3 * w);
+  const tints = [];
+  for (let c = 0; c < 3; c++) for (let x = 0; x < w; x++) tints.push(c === 0 ? [255, 70, 70] : c === 1 ? [70, 255, 70] : [90, 120, 255]);
+  fillDensity(image, counts, tints, h * 0.08);
+}
+
+// Position of a color on the vectorscope (BT.709 Cb/Cr, saturation outwards, red towards the top left)
+export function vectorPoint(r, g, b, size = VECTORSCOPE_SIZE) {
+  const cb = (-0.1146 * r - 0.3854 * g + 0.5 * b) / 255;
+  const cr = (0.5 * r - 0.4542 * g - 0.0458 * b) / 255;
+  const radius = size / 2 - 2;
+  return [size / 2 + cb * 2 * radius, size / 2 - cr * 2 * radius];
+}
+
+// 75% color bar targets: R, Mg, B, Cy, G, Yl
+export const VECTOR_TARGETS = [
+  { label: "R", rgb: [191, 0, 0] },
+  { label: "Mg", rgb: [191, 0, 191] },
+  { label: "B", rgb: [0, 0, 191] },
+  { label: "Cy", rgb: [0, 191, 191] },
+  { label: "G", rgb: [0, 191, 0] },
+  { label: "Yl", rgb: [191, 191, 0] },
+];
+
+// A typical skin tone; the panel draws the skin tone line from the centre through it
+export const SKIN_TONE = [224, 172, 140];
+
+// Chroma distribution, each point tinted with its own hue. `image` is VECTORSCOPE_SIZE².
+export function drawVectorscope(image, pixels) {
+  const size = VECTORSCOPE_SIZE;
+  const counts = new Uint32Array(size * size);
+  const sums = new Float32Array(size * size * 3);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+    const [x, y] = vectorPoint(r, g, b, size);
+    const cell = Math.min(size - 1, Math.max(0, Math.round(y))) * size + Math.min(size - 1, Math.max(0, Math.round(x)));
+    counts[cell]++;
+    sums[cell * 3] += r;
+    sums[cell * 3 + 1] += g;
+    sums[cell * 3 + 2] += b;
+  }
+  const full = Math.max(4, (pixels.length / 4) * 0.002);
+  const { data } = image;
+  for (let cell = 0; cell < counts.length; cell++) {
+    const n = counts[cell];
+    const o = cell * 4;
+    data[o + 3] = 255;
+    if (!n) {
+      data[o] = data[o + 1] = data[o + 2] = 0;
+      continue;
+    }
+    // Average color of the cell, brightened so dark pixels still show
+    const r = sums[cell * 3] / n, g = sums[cell * 3 + 1] / n, b = sums[cell * 3 + 2] / n;
+    const boost = (255 / Math.max(r, g, b, 1)) * level(n, full);
+    data[o] = Math.max(40, r * boost);
+    data[o + 1] = Math.max(40, g * boost);
+    data[o + 2] = Math.max(40, b * boost);
+  }
+}
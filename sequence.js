@@ -0,0 +1,158 @@
+import { clamp, seekVideo } from "./utils";
+
+// Sequence (edit list) helpers.
+// Clips are loaded media: { id, name, url, duration, file, handle? } where `handle` is the file's
+// File System Access handle when it was opened through one.
+// Segments reference a clip with source in/out points in seconds and play back to back:
+// { id, clipId, in, out }. "Program time" is the position on the concatenated timeline.
+
+export const MIN_SEGMENT = 0.05;
+
+let nextClipId = 1;
+let nextSegmentId = 1;
+
+export function createClip(file, url, duration, handle = null) {
+  const clip = { id: `c${nextClipId++}`, name: file.name, url, duration, file };
+  if (handle) clip.handle = handle;
+  return clip;
+}
+
+export function createSegment(clip, inPoint = 0, outPoint = clip.duration) {
+  return { id: `s${nextSegmentId++}`, clipId: clip.id, in: inPoint, out: outPoint };
+}
+
+export const segmentLength = (s) => Math.max(0, s.out - s.in);
+
+export function sequenceDuration(segments) {
+  return segments.reduce((sum, s) => sum + segmentLength(s), 0);
+}
+
+// An export range { start, end } (null for the sequence's start or end) kept inside a sequence of
+// `duration`: a point at or past the end falls back to it, and a range left inverted is cleared
+export function fitExportRange(range, duration) {
+  const start = range.start != null && range.start < duration ? range.start : null;
+  const end = range.end != null && range.end < duration ? range.end : null;
+  if (start != null && end != null && start >= end) return { start: null, end: null };
+  return start === range.start && end === range.end ? range : { start, end };
+}
+
+export function segmentStart(segments, index) {
+  let start = 0;
+  for (let i = 0; i < index; i++) start += segmentLength(segments[i]);
+  return start;
+}
+
+// Segment under program time `t`: { index, segment, start, sourceTime }
+export function locate(segments, t) {
+  let start = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const s = segments[i];
+    const len = segmentLength(s);
+    if (t < start + len || i === segments.length - 1) {
+      return { index: i, segment: s, start, sourceTime: clamp(s.in + (t - start), s.in, s.out) };
+    }
+    start += len;
+  }
+  return null;
+}
+
+export function toProgramTime(segments, index, sourceTime) {
+  const s = segments[index];
+  if (!s) return sourceTime;
+  return segmentStart(segments, index) + clamp(sourceTime - s.in, 0, segmentLength(s));
+}
+
+// Cut the segment under program time `t` in two
+export function splitSegment(segments, t) {
+  const loc = locate(segments, t);
+  if (!loc) return segments;
+  const { index, segment, sourceTime } = loc;
+  if (sourceTime - segment.in < MIN_SEGMENT || segment.out - sourceTime < MIN_SEGMENT) return segments;
+  const head = { ...segment, out: sourceTime };
+  const tail = { id: `s${nextSegmentId++}`, clipId: segment.clipId, in: sourceTime, out: segment.out };
+  return [...segments.slice(0, index), head, tail, ...segments.slice(index + 1)];
+}
+
+// Move the in and/or out point of a segment, keeping it inside its clip and at least MIN_SEGMENT long
+export function trimSegment(segments, clips, id, patch) {
+  return segments.map((s) => {
+    if (s.id !== id) return s;
+    const clip = clips.find((c) => c.id === s.clipId);
+    const max = clip ? clip.duration : s.out;
+    const out = patch.out != null ? clamp(patch.out, (patch.in ?? s.in) + MIN_SEGMENT, max) : s.out;
+    const inPoint = patch.in != null ? clamp(patch.in, 0, out - MIN_SEGMENT) : s.in;
+    return { ...s, in: inPoint, out };
+  });
+}
+
+export function moveSegment(segments, from, to) {
+  const next = [...segments];
+  const [segment] = next.splice(from, 1);
+  next.splice(to, 0, segment);
+  return next;
+}
+
+// Read a media file's duration without attaching it to the page
+export function probeDuration(url) {
+  return new Promise((resolve, reject) => {
+    const v = document.createElement("video");
+    v.preload = "metadata";
+    v.onloadedmetadata = () => {
+      const d = v.duration;
+      v.removeAttribute("src");
+      v.load();
+      if (isFinite(d) && d > 0) resolve(d);
+      else reject(new Error("Could not read the video duration."));
+    };
+    v.onerror = () => reject(new Error("The file could not be decoded as video."));
+    v.src = url;
+  });
+}
+
+// Off-screen video elements (one per clip) that can be positioned at any program time, or at a
+// clip's source time with seekSource(clip, time). Used by offline export so the preview player is
+// left untouched.
+export function createSequenceReader(clips, segments) {
+  const videos = new Map();
+
+  function videoFor(clip) {
+    if (!videos.has(clip.id)) {
+      const v = document.createElement("video");
+      v.muted = true;
+      v.playsInline = true;
+      v.preload = "auto";
+      const ready = new Promise((resolve, reject) => {
+        v.onloadeddata = () => resolve(v);
+        v.onerror = () => reject(new Error(`Failed to load ${clip.name}`));
+      });
+      v.src = clip.url;
+      videos.set(clip.id, ready);
+    }
+    return videos.get(clip.id);
+  }
+
+  async function seekSource(clip, time) {
+    const v = await videoFor(clip);
+    await seekVideo(v, time);
+    return v;
+  }
+
+  async function seek(t) {
+    const loc = locate(segments, t);
+    if (!loc) throw new Error("The sequence is empty.");
+    return seekSource(clips.find((c) => c.id === loc.segment.clipId), loc.sourceTime);
+  }
+
+  async function dispose() {
+    for (const ready of videos.values()) {
+      try {
+        const v = await ready;
+        v.removeAttribute("src");
+        v.load();
+      } catch (e) {}
+    }
+    videos.clear();
+  }
+
+  return { seek, seekSource, dispose };
+}
@@ -0,0 +1,51 @@
+import { uniformName } from "./effects";
+import { DIFFERENCE_GAIN } from "./compare";
+
+// Simple vertex shader
+export const vsSource = `attribute vec2 a_position;attribute vec2 a_texcoord;varying vec2 v_texcoord;void main(){v_texcoord=a_texcoord;gl_Position=vec4(a_position,0.0,1.0);}`;
+
+// Colour-space helpers available to every effect snippet
+const helpers = `vec3 rgb2hsv(vec3 c){vec4 K=vec4(0.0,-1.0/3.0,2.0/3.0,-1.0);vec4 p=mix(vec4(c.bg,K.wz),vec4(c.gb,K.xy),step(c.b,c.g));vec4 q=mix(vec4(p.xyw,c.r),vec4(c.r,p.yzx),step(p.x,c.r));float d=q.x-min(q.w,q.y);float e=1e-10;return vec3(abs(q.z+(q.w-q.y)/(6.0*d+e)),d/(q.x+e),q.x);}vec3 hsv2rgb(vec3 c){vec3 p=abs(fract(c.x+vec3(0.0,1.0/3.0,2.0/3.0))*6.0-3.0);return c.z*mix(vec3(1.0),clamp(p-1.0,0.0,1.0),c.y);}`;
+
+// Blend modes, in the order of BLEND_MODES in stack.js: normal, multiply, screen, overlay, add, difference
+const blend = `vec3 blendMode(vec3 b,vec3 s,float m){if(m<0.5)return s;if(m<1.5)return b*s;if(m<2.5)return 1.0-(1.0-b)*(1.0-s);if(m<3.5)return mix(2.0*b*s,1.0-2.0*(1.0-b)*(1.0-s),step(0.5,b));if(m<4.5)return min(b+s,1.0);return abs(b-s);}`;
+
+const header = `precision mediump float;varying vec2 v_texcoord;uniform sampler2D u_texture;uniform vec2 u_texel;uniform float u_time;`;
+
+// Pass-through shader used when no layer is active
+export const copyShader = `${header}void main(){gl_FragColor=texture2D(u_texture,v_texcoord);}`;
+
+// Preview compare (see compare.js): u_texture is the original frame, u_processed the stack output and
+// u_second the B stack. Modes: 1 wipe, 3 difference heat map, 4 A|B; a 1px white line marks the split.
+export const compareShader = `${header}uniform sampler2D u_processed;uniform sampler2D u_second;uniform float u_mode;uniform float u_split;uniform float u_horizontal;vec3 heat(float x){return clamp(vec3(3.0*x,3.0*x-1.0,3.0*x-2.0),0.0,1.0);}void main(){vec2 uv=v_texcoord;vec4 o=texture2D(u_texture,uv);vec4 p=texture2D(u_processed,uv);if(u_mode>2.5&&u_mode<3.5){gl_FragColor=vec4(heat(min(1.0,length(p.rgb-o.rgb)*${DIFFERENCE_GAIN.toFixed(1)}/sqrt(3.0))),1.0);return;}float pos=u_horizontal>0.5?1.0-uv.y:uv.x;float px=u_horizontal>0.5?u_texel.y:u_texel.x;vec4 c=pos<u_split?(u_mode>3.5?p:o):(u_mode>3.5?texture2D(u_second,uv):p);if(abs(pos-u_split)<px)c=vec4(1.0);gl_FragColor=c;}`;
+
+// Geometry pass (transform.js): each output texel looks up its source texcoord through u_row0/u_row1.
+// Outside the crop it shows black, or with u_fill a darkened blur of the picture scaled to cover the frame.
+export const transformShader = `${header}uniform vec3 u_row0;uniform vec3 u_row1;uniform vec3 u_cover0;uniform vec3 u_cover1;uniform vec4 u_crop;uniform float u_fill;void main(){vec3 p=vec3(v_texcoord,1.0);vec2 uv=vec2(dot(u_row0,p),dot(u_row1,p));if(all(greaterThanEqual(uv,u_crop.xy))&&all(lessThanEqual(uv,u_crop.zw))){gl_FragColor=texture2D(u_texture,uv);return;}if(u_fill<0.5){gl_FragColor=vec4(0.0,0.0,0.0,1.0);return;}vec2 c=vec2(dot(u_cover0,p),dot(u_cover1,p));vec3 sum=vec3(0.0);for(int i=0;i<24;i++){float a=float(i)*2.39996;float r=sqrt(float(i)+0.5)*0.008;sum+=texture2D(u_texture,clamp(c+vec2(cos(a),sin(a))*r,u_crop.xy,u_crop.zw)).rgb;}gl_FragColor=vec4(sum/24.0*0.7,1.0);}`;
+
+// Transition pass (transitions.js): u_texture is the primary picture and u_second the other one, fitted
+// into the primary's frame with u_fit (scale xy, offset zw); texels outside a picture are black. Side A
+// is the primary unless u_swap is set. u_mode: 0 crossfade, 1 dip through u_color, 2 wipe towards u_dir,
+// 3 slide towards u_dir, 4 zoom blur.
+export const transitionShader = `${header}uniform sampler2D u_second;uniform float u_mode;uniform float u_progress;uniform vec3 u_color;uniform vec2 u_dir;uniform vec4 u_fit;uniform float u_swap;vec4 primary(vec2 uv){if(any(lessThan(uv,vec2(0.0)))||any(greaterThan(uv,vec2(1.0))))return vec4(0.0,0.0,0.0,1.0);return texture2D(u_texture,uv);}vec4 other(vec2 uv){vec2 b=(uv-u_fit.zw)/u_fit.xy;if(any(lessThan(b,vec2(0.0)))||any(greaterThan(b,vec2(1.0))))return vec4(0.0,0.0,0.0,1.0);return texture2D(u_second,b);}vec4 sideA(vec2 uv){return u_swap>0.5?other(uv):primary(uv);}vec4 sideB(vec2 uv){return u_swap>0.5?primary(uv):other(uv);}void main(){vec2 uv=v_texcoord;float p=u_progress;if(u_mode<0.5){gl_FragColor=mix(sideA(uv),sideB(uv),p);}else if(u_mode<1.5){vec4 c=vec4(u_color,1.0);gl_FragColor=p<0.5?mix(sideA(uv),c,p*2.0):mix(c,sideB(uv),p*2.0-1.0);}else if(u_mode<2.5){float pos=dot(uv-0.5,-u_dir)+0.5;float edge=mix(1.02,-0.02,p);gl_FragColor=mix(sideA(uv),sideB(uv),smoothstep(edge-0.02,edge+0.02,pos));}else if(u_mode<3.5){vec2 a=uv-u_dir*p;gl_FragColor=all(greaterThanEqual(a,vec2(0.0)))&&all(lessThanEqual(a,vec2(1.0)))?sideA(a):sideB(uv+u_dir*(1.0-p));}else{float s=sin(p*3.14159)*0.3;vec4 sum=vec4(0.0);for(int i=0;i<12;i++){vec2 q=0.5+(uv-0.5)*(1.0-s*float(i)/12.0);sum+=mix(sideA(q),sideB(q),p);}gl_FragColor=sum/12.0;}}`;
+
+// One layer pass: run `effect` on the previous layer's output (u_texture), then blend it back
+// over that output with the layer's blend mode and opacity
+export function buildLayerShader(effect) {
+  const u = {};
+  let decls = "";
+  for (const key of Object.keys(effect.params)) {
+    u[key] = uniformName(effect.id, key);
+    decls += `uniform float ${u[key]};`;
+  }
+  for (const key of Object.keys(effect.samplers || {})) {
+    u[key] = uniformName(effect.id, key);
+    u[`${key}Size`] = uniformName(effect.id, `${key}Size`);
+    decls += `uniform sampler2D ${u[key]};uniform float ${u[`${key}Size`]};`;
+  }
+  for (const key of Object.keys(effect.colors || {})) {
+    u[key] = uniformName(effect.id, key);
+    decls += `uniform vec3 ${u[key]};`;
+  }
+  return `${header}uniform float u_opacity;uniform float u_blend;${decls}${helpers}${blend}${effect.glsl("fx", u)}void main(){vec2 uv=v_texcoord;vec4 color=texture2D(u_texture,uv);vec3 c=clamp(fx(color.rgb,uv),0.0,1.0);gl_FragColor=vec4(mix(color.rgb,blendMode(color.rgb,c,u_blend),u_opacity),color.a);}`;
+}
@@ -0,0 +1,83 @@
+import { clamp, smoothstep } from "./utils";
+
+// Speed ramps (time remapping): ranges of program time that play faster or slower than the global
+// playback rate. ramp = { id, start, end, speed, ease } — `speed` multiplies the playback rate inside
+// [start, end) and `ease` is the seconds at each edge over which it glides from and back to 1x.
+// Where ramps overlap their speeds multiply.
+
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 4;
+
+let nextRampId = 1;
+
+export function createRamp(start, end, speed = 0.5) {
+  return { id: `r${nextRampId++}`, start, end, speed, ease: 0.25 };
+}
+
+function rampFactor(ramp, t) {
+  if (t < ramp.start || t >= ramp.end) return 1;
+  const ease = Math.min(ramp.ease, (ramp.end - ramp.start) / 2);
+  const edge = ease > 0 ? Math.min(1, (t - ramp.start) / ease, (ramp.end - t) / ease) : 1;
+  return 1 + (ramp.speed - 1) * smoothstep(0, 1, edge);
+}
+
+// Speed multiplier at program time `t` (1 outside every ramp)
+export function speedAt(ramps, t) {
+  return ramps.reduce((s, r) => s * rampFactor(r, t), 1);
+}
+
+export const MIN_RAMP = 0.1;
+
+// Apply `patch` to ramp `id`, keeping it at least MIN_RAMP long by moving the edge that wasn't edited
+export function editRamp(ramps, id, patch) {
+  return ramps.map((r) => {
+    if (r.id !== id) return r;
+    const next = { ...r, ...patch };
+    if (next.end - next.start < MIN_RAMP) {
+      if (patch.start != null) next.end = next.start + MIN_RAMP;
+      else next.start = Math.max(0, next.end - MIN_RAMP);
+    }
+    return next;
+  });
+}
+
+const MAP_STEP = 1 / 120; // output seconds between table entries
+
+// Output time -> program time for program range [start, end) played at `rate` with `ramps`:
+// { start, end, duration, rate, programTime(outputTime) }. `rate` is the constant rate, or null when
+// a ramp overlaps the range; `duration` is the output length in seconds.
+export function createTimeMap(ramps, start, end, rate = 1) {
+  const ramped = ramps.filter((r) => r.end > start && r.start < end);
+  if (!ramped.length) {
+    return { start, end, duration: (end - start) / rate, rate, programTime: (o) => clamp(start + o * rate, start, end) };
+  }
+
+  // Integrate program time over fixed output steps (midpoint rule), so lookups are a lerp
+  const speed = (t) => rate * speedAt(ramped, t);
+  const times = [start];
+  let t = start;
+  let duration = 0;
+  for (;;) {
+    const dt = MAP_STEP * speed(t + 0.5 * MAP_STEP * speed(t));
+    if (t + dt >= end) {
+      duration = (times.length - 1 + (end - t) / dt) * MAP_STEP;
+      times.push(end);
+      break;
+    }
+    t += dt;
+    times.push(t);
+  }
+  const last = times.length - 2; // the final entry sits at `duration`, not on the step grid
+
+  function programTime(o) {
+    if (o <= 0) return start;
+    const i = Math.floor(o / MAP_STEP);
+    if (i >= last) {
+      const o0 = last * MAP_STEP;
+      return duration > o0 ? Math.min(end, times[last] + ((end - times[last]) * (o - o0)) / (duration - o0)) : end;
+    }
+    return times[i] + (times[i + 1] - times[i]) * (o / MAP_STEP - i);
+  }
+
+  return { start, end, duration, rate: null, programTime };
+}
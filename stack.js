@@ -0,0 +1,83 @@
+import { getEffect, listEffects } from "./effects";
+
+// Effect stack helpers. A layer is one instance of a registered effect:
+// { id, effectId, enabled, solo, opacity, blend, params: { key: value }, data? }
+// where `data` is the effect's non-numeric state (see `data` in effects/index.js).
+// Layers render in array order, first to last (top to bottom in the stack panel), each reading the
+// previous layer's output.
+
+// Blend modes, indexed the same way as blendMode() in shaders.js
+export const BLEND_MODES = [
+  { id: "normal", label: "Normal", composite: "source-over" },
+  { id: "multiply", label: "Multiply", composite: "multiply" },
+  { id: "screen", label: "Screen", composite: "screen" },
+  { id: "overlay", label: "Overlay", composite: "overlay" },
+  { id: "add", label: "Add", composite: "lighter" },
+  { id: "difference", label: "Difference", composite: "difference" },
+];
+
+export function blendIndex(id) {
+  return Math.max(0, BLEND_MODES.findIndex((b) => b.id === id));
+}
+
+let nextLayerId = 1;
+
+export function createLayer(effectId, params) {
+  const effect = getEffect(effectId);
+  if (!effect) throw new Error(`Unknown effect "${effectId}"`);
+  const defaults = {};
+  for (const [key, def] of Object.entries(effect.params)) defaults[key] = def.default;
+  const layer = { id: `l${nextLayerId++}`, effectId, enabled: true, solo: false, opacity: 1, blend: "normal", params: { ...defaults, ...params } };
+  if (effect.data) layer.data = effect.data.default();
+  return layer;
+}
+
+// One layer per registered effect, in registry order
+export function defaultStack() {
+  return listEffects().map((effect) => createLayer(effect.id));
+}
+
+export function moveLayer(layers, from, to) {
+  const next = [...layers];
+  const [layer] = next.splice(from, 1);
+  next.splice(to, 0, layer);
+  return next;
+}
+
+// "Vignette", "Vignette 2", ... for repeated instances of the same effect
+export function layerLabels(layers) {
+  const seen = {};
+  const out = {};
+  for (const layer of layers) {
+    const effect = getEffect(layer.effectId);
+    seen[layer.effectId] = (seen[layer.effectId] || 0) + 1;
+    out[layer.id] = `${effect ? effect.label : layer.effectId}${seen[layer.effectId] > 1 ? ` ${seen[layer.effectId]}` : ""}`;
+  }
+  return out;
+}
+
+// Flat { "layerId.key": value } map, the form keyframe tracks are keyed by
+export function flattenLayerParams(layers) {
+  const out = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.params)) out[`${layer.id}.${key}`] = value;
+  }
+  return out;
+}
+
+// Layers that should render: enabled ones, or only the soloed ones when any is soloed.
+// Returns passes { layerId, effect, params, data, opacity, blend } with parameters taken from `flat`.
+export function renderPasses(layers, flat) {
+  const soloed = layers.some((l) => l.enabled && l.solo);
+  const passes = [];
+  for (const layer of layers) {
+    if (!layer.enabled || (soloed && !layer.solo) || layer.opacity <= 0) continue;
+    const effect = getEffect(layer.effectId);
+    if (!effect) continue;
+    const params = {};
+    for (const key of Object.keys(layer.params)) params[key] = flat[`${layer.id}.${key}`] ?? layer.params[key];
+    if (effect.isIdentity && effect.isIdentity(params, layer.data)) continue;
+    passes.push({ layerId: layer.id, effect, params, data: layer.data, opacity: layer.opacity, blend: layer.blend });
+  }
+  return passes;
+}
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mixSequenceAudio } from "../audio.js";
+import { createClip, createSegment } from "../sequence.js";
+
+// Just enough of Web Audio's OfflineAudioContext to mix buffers, at 10 samples a second so the
+// numbers stay readable. A clip "file" is its samples; decoding makes a mono buffer of them.
+const RATE = 10;
+
+function createBuffer(channels, length, sampleRate) {
+  const data = Array.from({ length: channels }, () => new Float32Array(length));
+  return {
+    length,
+    sampleRate,
+    numberOfChannels: channels,
+    getChannelData: (c) => data[c],
+    copyToChannel: (source, c) => data[c].set(source),
+  };
+}
+
+const decodes = [];
+class FakeContext {
+  constructor(channels, length) {
+    this.channels = channels;
+    this.length = length;
+    this.nodes = [];
+  }
+  createBuffer(channels, length) {
+    return createBuffer(channels, length, RATE);
+  }
+  createBufferSource() {
+    const node = { buffer: null, connect() {}, start: (at) => this.nodes.push({ buffer: node.buffer, at }) };
+    return node;
+  }
+  async decodeAudioData(samples) {
+    decodes.push(samples.length);
+    const buffer = createBuffer(1, samples.length, RATE);
+    buffer.copyToChannel(Float32Array.from(samples), 0);
+    return buffer;
+  }
+  async startRendering() {
+    const out = createBuffer(this.channels, this.length, RATE);
+    for (const { buffer, at } of this.nodes) {
+      const source = buffer.getChannelData(0);
+      for (let c = 0; c < this.channels; c++) {
+        const dst = out.getChannelData(c);
+        for (let i = 0; i < source.length && at * RATE + i < dst.length; i++) dst[Math.round(at * RATE) + i] += source[i];
+      }
+    }
+    return out;
+  }
+}
+
+function clip(samples) {
+  const file = { name: "clip.mp4", arrayBuffer: async () => samples };
+  return createClip(file, "blob:clip", samples.length / RATE);
+}
+
+test("mixSequenceAudio plays each segment's range of its clip, decoding each clip once", async (t) => {
+  globalThis.OfflineAudioContext = FakeContext;
+  t.after(() => delete globalThis.OfflineAudioContext);
+  // AUDIO_SAMPLE_RATE is 48 kHz, so the mix length is in those samples; only the first few matter here
+  const a = clip(Array.from({ length: 20 }, (_, i) => i + 1));
+  const b = clip(Array.from({ length: 10 }, (_, i) => -(i + 1)));
+  const segments = [createSegment(a, 0.5, 0.8), createSegment(b, 0, 0.2), createSegment(a, 1.5, 1.7)];
+  decodes.length = 0;
+  const [left, right] = await mixSequenceAudio([a, b], segments, 0, 0.7);
+  const played = [...left.subarray(0, 7)];
+  assert.deepEqual(played, [6, 7, 8, -1, -2, 16, 17]);
+  assert.deepEqual([...right.subarray(0, 7)], played);
+  assert.deepEqual(decodes, [20, 10]);
+});
+
+test("mixSequenceAudio starts partway into the sequence", async (t) => {
+  globalThis.OfflineAudioContext = FakeContext;
+  t.after(() => delete globalThis.OfflineAudioContext);
+  const a = clip(Array.from({ length: 20 }, (_, i) => i + 1));
+  const [left] = await mixSequenceAudio([a], [createSegment(a, 0.5, 1.5)], 0.4, 0.7);
+  assert.deepEqual([...left.subarray(0, 4)], [10, 11, 12, 0]);
+});
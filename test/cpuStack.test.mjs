@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyCssFilter, runStackPixels } from "../cpuStack.js";
+
+const pixel = (r, g, b, a = 255) => new Uint8ClampedArray([r, g, b, a]);
+
+// An effect that only swaps in a fixed color, to check compositing on its own
+const fill = (r, g, b) => ({ id: "fill", cpu(data) {
+  for (let i = 0; i < data.length; i += 4) [data[i], data[i + 1], data[i + 2]] = [r, g, b];
+} });
+
+test("brightness scales each channel and keeps alpha", () => {
+  const data = pixel(200, 100, 50, 128);
+  applyCssFilter(data, "brightness(0.5)");
+  assert.deepEqual([...data], [100, 50, 25, 128]);
+});
+
+test("percentages read as fractions", () => {
+  const data = pixel(200, 100, 50);
+  applyCssFilter(data, "brightness(50%)");
+  assert.deepEqual([...data], [100, 50, 25, 255]);
+});
+
+test("saturate(0) gives the Rec. 709 luma gray", () => {
+  const data = pixel(200, 100, 50);
+  applyCssFilter(data, "saturate(0)");
+  // 0.213 * 200 + 0.715 * 100 + 0.072 * 50
+  assert.deepEqual([...data], [118, 118, 118, 255]);
+});
+
+test("contrast pivots around mid gray", () => {
+  const data = pixel(64, 128, 191);
+  applyCssFilter(data, "contrast(2)");
+  assert.deepEqual([...data], [0, 128, 254, 255]);
+});
+
+test("hue-rotate(0deg) and sepia(0) are identities", () => {
+  const data = pixel(10, 150, 240);
+  applyCssFilter(data, "hue-rotate(0deg) sepia(0)");
+  assert.deepEqual([...data], [10, 150, 240, 255]);
+});
+
+test("invert(1) inverts", () => {
+  const data = pixel(0, 100, 255);
+  applyCssFilter(data, "invert(1)");
+  assert.deepEqual([...data], [255, 155, 0, 255]);
+});
+
+test("functions clamp one after another, like a browser", () => {
+  // Without clamping in between, brightness(2) then brightness(0.5) would give 200 back
+  const data = pixel(200, 50, 0);
+  applyCssFilter(data, "brightness(2) brightness(0.5)");
+  assert.deepEqual([...data], [128, 50, 0, 255]);
+});
+
+test("unknown filter functions are ignored", () => {
+  const data = pixel(1, 2, 3);
+  applyCssFilter(data, "blur(4px)");
+  assert.deepEqual([...data], [1, 2, 3, 255]);
+});
+
+test("runStackPixels mixes a pass in by its opacity", () => {
+  const image = { data: pixel(0, 100, 200), width: 1, height: 1 };
+  runStackPixels(image, [{ effect: fill(200, 200, 200), params: {}, opacity: 0.5, blend: "normal" }]);
+  assert.deepEqual([...image.data], [100, 150, 200, 255]);
+});
+
+test("runStackPixels blends like the shaders", () => {
+  const run = (blend) => {
+    const image = { data: pixel(51, 102, 204), width: 1, height: 1 };
+    return [...runStackPixels(image, [{ effect: fill(102, 102, 102), params: {}, opacity: 1, blend }]).data];
+  };
+  assert.deepEqual(run("multiply"), [20, 41, 82, 255]);
+  assert.deepEqual(run("screen"), [133, 163, 224, 255]);
+  assert.deepEqual(run("overlay"), [41, 82, 194, 255]);
+  assert.deepEqual(run("add"), [153, 204, 255, 255]);
+  assert.deepEqual(run("difference"), [51, 0, 102, 255]);
+});
+
+test("runStackPixels runs passes in order and skips ones without a CPU path", () => {
+  const image = { data: pixel(100, 100, 100), width: 1, height: 1 };
+  const brightness = { id: "b", cssFilter: (p) => `brightness(${p.amount})` };
+  runStackPixels(image, [
+    { effect: brightness, params: { amount: 2 }, opacity: 1, blend: "normal" },
+    { effect: { id: "glslOnly" }, params: {}, opacity: 1, blend: "normal" },
+    { effect: brightness, params: { amount: 0.5 }, opacity: 1, blend: "normal" },
+  ]);
+  assert.deepEqual([...image.data], [100, 100, 100, 255]);
+});
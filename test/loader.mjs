@@ -0,0 +1,17 @@
+// Module hooks for running the app's sources under Node: imports leave out the ".js" (and
+// "/index.js" for directories), and the .js files are ES modules without a package.json saying so.
+const root = new URL("../", import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if (!specifier.startsWith(".") || /\.[cm]?js(\?|$)/.test(specifier)) return next(specifier, context);
+  try {
+    return await next(`${specifier}.js`, context);
+  } catch {
+    return next(`${specifier}/index.js`, context);
+  }
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(root) && new URL(url).pathname.endsWith(".js")) return next(url, { ...context, format: "module" });
+  return next(url, context);
+}
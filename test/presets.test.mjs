@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validatePreset, parsePresetFile, serializePresets, presetFromState, PRESET_FORMAT, PRESET_VERSION, BUILTIN_PRESETS } from "../presets.js";
+import { createLayer } from "../stack.js";
+
+test("validatePreset warns about and drops unknown effects", () => {
+  const warnings = [];
+  const preset = validatePreset({ name: "Mixed", layers: [{ effect: "brightness" }, { effect: "glitter" }] }, warnings);
+  assert.deepEqual(preset.layers.map((l) => l.effect), ["brightness"]);
+  assert.deepEqual(warnings, ['Preset "Mixed": skipped unknown effect "glitter"']);
+});
+
+test("validatePreset clamps and defaults values", () => {
+  const warnings = [];
+  const preset = validatePreset({
+    name: "  Loud  ",
+    playbackRate: 9,
+    layers: [{ effect: "contrast", params: { amount: 10 }, opacity: "x", blend: "glow" }, { effect: "saturation", opacity: -1, enabled: false }],
+  }, warnings);
+  assert.equal(preset.name, "Loud");
+  assert.equal(preset.playbackRate, 2);
+  assert.deepEqual(preset.layers[0], { effect: "contrast", enabled: true, opacity: 1, blend: "normal", params: { amount: 3 } });
+  assert.deepEqual(preset.layers[1], { effect: "saturation", enabled: false, opacity: 0, blend: "normal", params: { amount: 1 } });
+  assert.deepEqual(warnings, []);
+});
+
+test("validatePreset rejects presets without a name or layers", () => {
+  assert.throws(() => validatePreset(null), /must be an object/);
+  assert.throws(() => validatePreset({ name: " ", layers: [] }), /missing a name/);
+  assert.throws(() => validatePreset({ name: "Empty" }), /no layers list/);
+});
+
+test("parsePresetFile skips only the broken entries", () => {
+  const file = JSON.parse(serializePresets(BUILTIN_PRESETS));
+  file.presets.splice(1, 0, { layers: [] });
+  const { presets, warnings } = parsePresetFile(JSON.stringify(file));
+  assert.deepEqual(presets.map((p) => p.name), BUILTIN_PRESETS.map((p) => p.name));
+  assert.deepEqual(warnings, ["Skipped preset 2: Preset is missing a name"]);
+});
+
+test("parsePresetFile refuses newer versions", () => {
+  const file = { ...JSON.parse(serializePresets([])), version: 99 };
+  assert.throws(() => parsePresetFile(file), /newer than this editor supports/);
+});
+
+// A version 1 file, as the editor wrote them before solo was resolved into the enabled flags
+const version1 = {
+  format: PRESET_FORMAT,
+  version: 1,
+  presets: [
+    {
+      name: "Soloed",
+      playbackRate: 1,
+      layers: [
+        { effect: "brightness", enabled: true, solo: false, opacity: 1, blend: "normal", params: { amount: 0.5 } },
+        { effect: "contrast", enabled: true, solo: true, opacity: 1, blend: "normal", params: { amount: 1.5 } },
+        { effect: "sepia", enabled: false, solo: true, opacity: 1, blend: "normal", params: { amount: 1 } },
+      ],
+    },
+    { name: "Plain", playbackRate: 1.5, layers: [{ effect: "saturation", enabled: true, solo: false, opacity: 1, blend: "normal", params: { amount: 0 } }] },
+  ],
+};
+
+test("version 1 files are upgraded: soloing becomes the layers that render", () => {
+  const { presets, warnings } = parsePresetFile(JSON.stringify(version1));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(presets[0].layers.map((l) => [l.effect, l.enabled]), [["brightness", false], ["contrast", true], ["sepia", false]]);
+  assert.deepEqual(presets[1].layers.map((l) => [l.effect, l.enabled]), [["saturation", true]]);
+  assert.ok(presets.every((p) => p.layers.every((l) => !("solo" in l))));
+  assert.equal(JSON.parse(serializePresets(presets)).version, PRESET_VERSION);
+});
+
+test("presetFromState stores what renders, not the solo flags", () => {
+  const layers = [createLayer("brightness", { amount: 0.5 }), { ...createLayer("contrast", { amount: 1.5 }), solo: true }];
+  const preset = presetFromState("Now", layers, 1);
+  assert.deepEqual(preset.layers.map((l) => [l.effect, l.enabled]), [["brightness", false], ["contrast", true]]);
+});
+
+// presets.js keeps whether the store was read, so each store test loads its own copy of the module
+let copies = 0;
+async function withStore(stored, setItem) {
+  const items = new Map(stored === undefined ? [] : [["videoEffectsEditor.presets", stored]]);
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: setItem || ((key, value) => items.set(key, value)),
+    },
+  };
+  const module = await import(`../presets.js?store=${++copies}`);
+  return { module, items };
+}
+
+test("an old-version store loads upgraded and is written back in the current version", async (t) => {
+  t.after(() => delete globalThis.window);
+  const { module, items } = await withStore(JSON.stringify(version1));
+  const presets = module.loadStoredPresets();
+  assert.deepEqual(presets.map((p) => p.name), ["Soloed", "Plain"]);
+  assert.equal(presets[0].layers[0].enabled, false);
+  module.saveStoredPresets(presets);
+  const saved = JSON.parse(items.get("videoEffectsEditor.presets"));
+  assert.equal(saved.version, PRESET_VERSION);
+  assert.deepEqual(saved.presets.map((p) => p.name), ["Soloed", "Plain"]);
+});
+
+test("an unreadable store is left alone and saving says so", async (t) => {
+  t.after(() => delete globalThis.window);
+  const { module, items } = await withStore("{ not json");
+  assert.deepEqual(module.loadStoredPresets(), []);
+  assert.throws(() => module.saveStoredPresets(BUILTIN_PRESETS), /couldn't be read/);
+  assert.equal(items.get("videoEffectsEditor.presets"), "{ not json");
+});
+
+test("a failed write is reported", async (t) => {
+  t.after(() => delete globalThis.window);
+  const { module } = await withStore(undefined, () => {
+    throw new Error("QuotaExceededError");
+  });
+  assert.deepEqual(module.loadStoredPresets(), []);
+  assert.throws(() => module.saveStoredPresets(BUILTIN_PRESETS), /couldn't be stored: QuotaExceededError/);
+});
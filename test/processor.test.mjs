@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProcessor } from "../processor.js";
+import { BUILTIN_PRESETS } from "../presets.js";
+
+const frame = (...pixels) => ({ data: new Uint8ClampedArray(pixels.flat()), width: pixels.length, height: 1 });
+
+test("the cpu backend renders a preset's stack without a canvas", () => {
+  const processor = createProcessor({ name: "Dim", layers: [{ effect: "brightness", params: { amount: 0.5 } }] }, { backend: "cpu" });
+  assert.equal(processor.backend, "cpu");
+  assert.equal(processor.canvas, null);
+  assert.equal(processor.name, "Dim");
+  const input = frame([200, 100, 50, 255], [10, 20, 30, 128]);
+  const out = processor.renderFrame(input, 0);
+  assert.deepEqual([...out.data], [100, 50, 25, 255, 5, 10, 15, 128]);
+  assert.deepEqual([...input.data], [200, 100, 50, 255, 10, 20, 30, 128], "the input frame is left alone");
+  processor.dispose();
+});
+
+test("the cpu backend applies layer opacity", () => {
+  const processor = createProcessor({ name: "Half", layers: [{ effect: "saturation", params: { amount: 0 }, opacity: 0.5 }] }, { backend: "cpu" });
+  const out = processor.renderFrame(frame([200, 100, 50, 255]));
+  // Halfway between the pixel and its gray, 118
+  assert.deepEqual([...out.data], [159, 109, 84, 255]);
+});
+
+test("createProcessor warns about dropped and skipped effects", () => {
+  const processor = createProcessor({
+    name: "Sharp",
+    layers: [{ effect: "sparkle" }, { effect: "sharpen", params: { amount: 1 } }, { effect: "sharpen", params: { amount: 0.5 } }, { effect: "contrast", params: { amount: 1.2 } }],
+  }, { backend: "cpu" });
+  assert.deepEqual(processor.warnings, [
+    'Preset "Sharp": skipped unknown effect "sparkle"',
+    'Preset "Sharp": Sharpen has no cpu implementation and is skipped',
+  ]);
+});
+
+test("every built-in preset renders on the cpu backend", () => {
+  for (const preset of BUILTIN_PRESETS) {
+    const processor = createProcessor(preset, { backend: "cpu" });
+    const out = processor.renderFrame(frame(...Array.from({ length: 16 }, (_, i) => [i * 16, 128, 255 - i * 16, 255])), 1);
+    assert.equal(out.data.length, 64, preset.name);
+    assert.ok(out.data.every(Number.isFinite), preset.name);
+  }
+});
+
+test("unknown backends are rejected", () => {
+  assert.throws(() => createProcessor(BUILTIN_PRESETS[0], { backend: "metal" }), /Unknown backend "metal"/);
+});
@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Lets Node load the app's modules as they are written for the bundler; see loader.mjs
+register("./loader.mjs", import.meta.url);
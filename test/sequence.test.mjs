@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitExportRange } from "../sequence.js";
+
+test("fitExportRange keeps a range that fits", () => {
+  const range = { start: 1, end: 4 };
+  assert.equal(fitExportRange(range, 10), range);
+  assert.deepEqual(fitExportRange({ start: null, end: null }, 10), { start: null, end: null });
+});
+
+test("fitExportRange drops points the sequence no longer reaches", () => {
+  assert.deepEqual(fitExportRange({ start: 1, end: 8 }, 5), { start: 1, end: null });
+  assert.deepEqual(fitExportRange({ start: 5, end: null }, 5), { start: null, end: null });
+});
+
+test("fitExportRange clears an inverted range", () => {
+  assert.deepEqual(fitExportRange({ start: 4, end: 2 }, 10), { start: null, end: null });
+  assert.deepEqual(fitExportRange({ start: 3, end: 3 }, 10), { start: null, end: null });
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pictureBox } from "../utils.js";
+
+const rect = (left, top, width, height) => ({ left, top, width, height });
+const element = (box, parent, size) => ({ getBoundingClientRect: () => box, offsetParent: parent, ...size });
+
+test("pictureBox places an overlay over a letterboxed canvas picture", () => {
+  const parent = element(rect(100, 50, 800, 600));
+  const canvas = element(rect(100, 50, 800, 480), parent, { width: 1920, height: 1080 });
+  // 16:9 in 800 x 480: 800 x 450, centered vertically
+  assert.deepEqual(pictureBox(canvas), { left: 0, top: 15, width: 800, height: 450 });
+});
+
+test("pictureBox centers a tall picture horizontally", () => {
+  const parent = element(rect(0, 0, 400, 400));
+  const canvas = element(rect(0, 0, 400, 400), parent, { width: 100, height: 200 });
+  assert.deepEqual(pictureBox(canvas), { left: 100, top: 0, width: 200, height: 400 });
+});
+
+test("pictureBox is null while the element isn't laid out", () => {
+  assert.equal(pictureBox(element(rect(0, 0, 0, 0), null, { width: 10, height: 10 })), null);
+});
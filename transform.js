@@ -0,0 +1,122 @@
+// Geometric transform applied to the source before the effect stack: crop, 90° and free rotation,
+// flips, zoom/pan and an output aspect ratio with letterbox or blur-fill padding.
+// transform = { crop: { x, y, w, h }, rotate90, angle, flipH, flipV, zoom, panX, panY, aspect, fill }
+// where `crop` is in fractions of the source frame (before rotation), `rotate90` is 0/90/180/270,
+// `angle` is free rotation in degrees and `panX/panY` (-1..1) move the picture by up to half the frame.
+
+export const DEFAULT_TRANSFORM = {
+  crop: { x: 0, y: 0, w: 1, h: 1 },
+  rotate90: 0,
+  angle: 0,
+  flipH: false,
+  flipV: false,
+  zoom: 1,
+  panX: 0,
+  panY: 0,
+  aspect: "source",
+  fill: "letterbox",
+};
+
+export const ASPECT_PRESETS = [
+  { id: "source", label: "Source" },
+  { id: "16:9", label: "16:9 Landscape", ratio: 16 / 9 },
+  { id: "9:16", label: "9:16 Vertical", ratio: 9 / 16 },
+  { id: "1:1", label: "1:1 Square", ratio: 1 },
+  { id: "4:5", label: "4:5 Portrait", ratio: 4 / 5 },
+  { id: "4:3", label: "4:3", ratio: 4 / 3 },
+];
+
+export const FILL_MODES = [
+  { id: "letterbox", label: "Letterbox (black)" },
+  { id: "blur", label: "Blur fill" },
+];
+
+export const MIN_CROP = 0.05;
+
+export function isIdentityTransform(t) {
+  const { crop } = t;
+  return crop.x === 0 && crop.y === 0 && crop.w === 1 && crop.h === 1 && t.rotate90 === 0 && t.angle === 0 &&
+    !t.flipH && !t.flipV && t.zoom === 1 && t.panX === 0 && t.panY === 0 && t.aspect === "source";
+}
+
+// Keep a crop rectangle inside the frame and at least MIN_CROP in each direction
+export function clampCrop({ x, y, w, h }) {
+  const cw = Math.min(1, Math.max(MIN_CROP, w));
+  const ch = Math.min(1, Math.max(MIN_CROP, h));
+  return { x: Math.min(1 - cw, Math.max(0, x)), y: Math.min(1 - ch, Math.max(0, y)), w: cw, h: ch };
+}
+
+// 2D affine matrices in canvas order [a, b, c, d, e, f]: x' = a x + c y + e, y' = b x + d y + f
+const translate = (x, y) => [1, 0, 0, 1, x, y];
+const scale = (x, y) => [x, 0, 0, y, 0, 0];
+const rotate = (rad) => [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0];
+
+// m1 after m2
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [a1 * a2 + c1 * b2, b1 * a2 + d1 * b2, a1 * c2 + c1 * d2, b1 * c2 + d1 * d2, a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1];
+}
+
+function invert([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+const chain = (...ms) => ms.reduce(multiply);
+
+const even = (x) => Math.max(2, Math.round(x / 2) * 2);
+
+// Size of the cropped, rotated picture in source pixels
+function contentSize(srcW, srcH, t) {
+  const w = t.crop.w * srcW;
+  const h = t.crop.h * srcH;
+  return t.rotate90 % 180 ? [h, w] : [w, h];
+}
+
+// Output frame size: the content's size, or the aspect preset with the content's short side kept
+export function frameSize(srcW, srcH, t) {
+  if (!t || isIdentityTransform(t)) return [srcW, srcH];
+  const [cw, ch] = contentSize(srcW, srcH, t);
+  const preset = ASPECT_PRESETS.find((a) => a.id === t.aspect);
+  if (!preset || !preset.ratio) return [even(cw), even(ch)];
+  const short = Math.min(cw, ch);
+  return preset.ratio >= 1 ? [even(short * preset.ratio), even(short)] : [even(short), even(short / preset.ratio)];
+}
+
+// Everything a renderer needs to draw the transformed frame, or null when the transform is identity.
+//   width, height: output frame size
+//   forward: source px -> output px (Canvas 2D setTransform), cover: the same for the blur-fill background
+//   cropRect: crop in source px [x, y, w, h]
+//   texRows / coverRows: output texcoord (y up) -> source texcoord (y up, FLIP_Y upload) as two vec3 rows
+//   cropTex: crop in source texcoords [minU, minV, maxU, maxV]
+export function frameGeometry(srcW, srcH, t) {
+  if (!t || !srcW || !srcH || isIdentityTransform(t)) return null;
+  const [width, height] = frameSize(srcW, srcH, t);
+  const [cw, ch] = contentSize(srcW, srcH, t);
+  const { crop } = t;
+  const center = translate(-(crop.x + crop.w / 2) * srcW, -(crop.y + crop.h / 2) * srcH);
+  const orient = chain(rotate((t.rotate90 * Math.PI) / 180), scale(t.flipH ? -1 : 1, t.flipV ? -1 : 1), center);
+  const fit = Math.min(width / cw, height / ch) * t.zoom;
+  const forward = chain(translate((width / 2) * (1 + t.panX), (height / 2) * (1 + t.panY)), rotate((t.angle * Math.PI) / 180), scale(fit, fit), orient);
+  const coverScale = Math.max(width / cw, height / ch);
+  const cover = chain(translate(width / 2, height / 2), scale(coverScale, coverScale), orient);
+
+  const fromTex = [width, 0, 0, -height, 0, height];
+  const toTex = [1 / srcW, 0, 0, -1 / srcH, 0, 1];
+  const rows = (m) => {
+    const [a, b, c, d, e, f] = chain(toTex, invert(m), fromTex);
+    return [[a, c, e], [b, d, f]];
+  };
+  return {
+    width,
+    height,
+    forward,
+    cover,
+    cropRect: [crop.x * srcW, crop.y * srcH, crop.w * srcW, crop.h * srcH],
+    texRows: rows(forward),
+    coverRows: rows(cover),
+    cropTex: [crop.x, 1 - crop.y - crop.h, crop.x + crop.w, 1 - crop.y],
+    blur: t.fill === "blur",
+  };
+}
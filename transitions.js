@@ -0,0 +1,117 @@
+import { ease, EASINGS } from "./keyframes";
+import { locate, segmentLength, sequenceDuration } from "./sequence";
+
+// Transitions at segment boundaries, plus fades at the start and end of the sequence.
+// transitions = { [key]: { type, duration, easing } } where `key` is the id of the segment the cut
+// leads into, or "start" / "end" for the sequence's fade in and fade out.
+//
+// A cut transition is centered on the cut and keeps the program length: the outgoing clip runs on
+// past its out point and the incoming one starts before its in point, freezing on the clip's first or
+// last frame when the media runs out. Renderers draw the pair by `mode`:
+//   0 crossfade, 1 dip through `color`, 2 wipe towards `dir`, 3 slide (push) towards `dir`, 4 zoom blur
+// `dir` is in texture space (y up).
+
+export const TRANSITIONS = [
+  { id: "crossfade", label: "Crossfade", mode: 0 },
+  { id: "dip-black", label: "Dip to black", mode: 1, color: [0, 0, 0] },
+  { id: "dip-white", label: "Dip to white", mode: 1, color: [1, 1, 1] },
+  { id: "wipe-left", label: "Wipe left", mode: 2, dir: [-1, 0] },
+  { id: "wipe-right", label: "Wipe right", mode: 2, dir: [1, 0] },
+  { id: "wipe-up", label: "Wipe up", mode: 2, dir: [0, 1] },
+  { id: "wipe-down", label: "Wipe down", mode: 2, dir: [0, -1] },
+  { id: "slide-left", label: "Slide left", mode: 3, dir: [-1, 0] },
+  { id: "slide-right", label: "Slide right", mode: 3, dir: [1, 0] },
+  { id: "slide-up", label: "Slide up", mode: 3, dir: [0, 1] },
+  { id: "slide-down", label: "Slide down", mode: 3, dir: [0, -1] },
+  { id: "zoom-blur", label: "Zoom blur", mode: 4 },
+];
+
+// The sequence's start and end only fade from / to a color
+export const EDGE_TRANSITIONS = TRANSITIONS.filter((t) => t.mode === 1);
+
+export const TRANSITION_EASINGS = EASINGS.filter((e) => e !== "hold");
+
+export const MAX_TRANSITION = 5;
+
+export function getTransition(id) {
+  return TRANSITIONS.find((t) => t.id === id) || TRANSITIONS[0];
+}
+
+export function createTransition(type = "crossfade") {
+  return { type, duration: 1, easing: "ease-in-out" };
+}
+
+// The longest a transition at `key` can run: half of each neighbouring segment for a cut, the
+// whole first / last segment for the sequence fades
+export function maxTransitionDuration(segments, key) {
+  if (!segments.length) return 0;
+  if (key === "start") return Math.min(MAX_TRANSITION, segmentLength(segments[0]));
+  if (key === "end") return Math.min(MAX_TRANSITION, segmentLength(segments[segments.length - 1]));
+  const i = segments.findIndex((s) => s.id === key);
+  if (i < 1) return 0;
+  return Math.min(MAX_TRANSITION, segmentLength(segments[i - 1]), segmentLength(segments[i]));
+}
+
+function resolve(transition, linear) {
+  const info = getTransition(transition.type);
+  return { mode: info.mode, color: info.color || [0, 0, 0], dir: info.dir || [0, 0], progress: ease(transition.easing, Math.min(1, Math.max(0, linear))) };
+}
+
+// Transition in effect at program time `t`, or null:
+//   { mode, color, dir, progress, fade, a, b }
+// `progress` (eased, 0..1) runs from all-A to all-B. A sequence fade has `fade: "in" | "out"` and no
+// second picture; a cut has `a` and `b` = { index, sourceTime }, the segment and source time of each side.
+export function transitionAt(segments, transitions, t) {
+  if (!segments.length || !transitions) return null;
+  const total = sequenceDuration(segments);
+  const fadeIn = transitions.start;
+  const fadeOut = transitions.end;
+  const inLength = fadeIn ? Math.min(fadeIn.duration, maxTransitionDuration(segments, "start")) : 0;
+  const outLength = fadeOut ? Math.min(fadeOut.duration, maxTransitionDuration(segments, "end")) : 0;
+
+  let start = 0;
+  for (let i = 0; i < segments.length; i++) {
+    const s = segments[i];
+    const cut = transitions[s.id];
+    if (i > 0 && cut) {
+      const d = Math.min(cut.duration, maxTransitionDuration(segments, s.id));
+      if (d > 0 && t >= start - d / 2 && t < start + d / 2) {
+        const prev = segments[i - 1];
+        const prevStart = start - segmentLength(prev);
+        return {
+          ...resolve(cut, (t - (start - d / 2)) / d),
+          a: { index: i - 1, sourceTime: prev.in + (t - prevStart) },
+          b: { index: i, sourceTime: s.in + (t - start) },
+        };
+      }
+    }
+    start += segmentLength(s);
+  }
+
+  // A dip fade is the second half (in) or first half (out) of a dip through its color
+  if (inLength > 0 && t < inLength) {
+    const r = resolve(fadeIn, t / inLength);
+    return { ...r, progress: 0.5 + r.progress / 2, fade: "in" };
+  }
+  if (outLength > 0 && t >= total - outLength) {
+    const r = resolve(fadeOut, (t - (total - outLength)) / outLength);
+    return { ...r, progress: r.progress / 2, fade: "out" };
+  }
+  return null;
+}
+
+// Clip and source time to show for one side of a cut; past the media's ends it holds the first or
+// last frame
+export function sideSource(clips, segments, side) {
+  const segment = segments[side.index];
+  const clip = segment && clips.find((c) => c.id === segment.clipId);
+  if (!clip) return null;
+  return { clip, time: Math.min(Math.max(0, side.sourceTime), Math.max(0, clip.duration - 0.05)) };
+}
+
+// The side of a cut that isn't under program time `t` — the player or reader already shows the other
+// one — and whether that is side A, so renderers swap the pair (see the `swap` render option)
+export function hiddenSide(segments, transition, t) {
+  const loc = locate(segments, t);
+  return loc && loc.index === transition.b.index ? { side: transition.a, swap: true } : { side: transition.b, swap: false };
+}
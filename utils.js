@@ -0,0 +1,57 @@
+// Small shared helpers
+
+export function smoothstep(a, b, x) {
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+}
+
+export function clamp(x, min, max) {
+  return Math.min(max, Math.max(min, x));
+}
+
+// Seek a media element and resolve once the frame at `time` is available
+export function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    function cleanup() {
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+    }
+    function onSeeked() { cleanup(); resolve(); }
+    function onError() { cleanup(); reject(new Error("Failed to seek the source video.")); }
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("error", onError);
+    video.currentTime = time;
+  });
+}
+
+// Screen box of a canvas' or video's picture when it is shown with object-fit: contain
+export function contentRect(element) {
+  const rect = element.getBoundingClientRect();
+  const w = element.videoWidth || element.width;
+  const h = element.videoHeight || element.height;
+  if (!w || !h) return rect;
+  const s = Math.min(rect.width / w, rect.height / h);
+  const width = w * s;
+  const height = h * s;
+  return { left: rect.left + (rect.width - width) / 2, top: rect.top + (rect.height - height) / 2, width, height };
+}
+
+// Where `element`'s picture sits inside its offset parent, as left/top/width/height for an absolutely
+// positioned overlay beside it; null while the element isn't laid out
+export function pictureBox(element) {
+  const parent = element.offsetParent;
+  if (!parent) return null;
+  const pic = contentRect(element);
+  const origin = parent.getBoundingClientRect();
+  return { left: pic.left - origin.left, top: pic.top - origin.top, width: pic.width, height: pic.height };
+}
+
+// Save `blob` through the browser's download, freeing its URL once the download has started
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
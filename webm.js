@@ -0,0 +1,144 @@
+// Minimal in-memory WebM (Matroska) muxer for WebCodecs output.
+// Collects EncodedVideoChunk/EncodedAudioChunk data and writes a seekable file on finalize().
+
+const CODEC_IDS = {
+  vp8: "V_VP8",
+  vp09: "V_VP9",
+  av01: "V_AV1",
+  opus: "A_OPUS",
+  vorbis: "A_VORBIS",
+};
+
+// Map a WebCodecs codec string ("vp09.00.10.08", "vp8", ...) to a Matroska CodecID
+export function webmCodecId(codec) {
+  const key = Object.keys(CODEC_IDS).find((k) => codec === k || codec.startsWith(k + "."));
+  if (!key) throw new Error(`Codec ${codec} cannot be stored in WebM`);
+  return CODEC_IDS[key];
+}
+
+const textEncoder = new TextEncoder();
+
+function concat(parts) {
+  let len = 0;
+  for (const p of parts) len += p.length;
+  const out = new Uint8Array(len);
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+function idBytes(id) {
+  const bytes = [];
+  while (id > 0) { bytes.unshift(id & 0xff); id = Math.floor(id / 256); }
+  return Uint8Array.from(bytes);
+}
+
+function sizeBytes(size) {
+  let len = 1;
+  while (len < 8 && size >= Math.pow(2, 7 * len) - 1) len++;
+  const out = new Uint8Array(len);
+  let v = size;
+  for (let i = len - 1; i >= 0; i--) { out[i] = v % 256; v = Math.floor(v / 256); }
+  out[0] |= 1 << (8 - len);
+  return out;
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  let v = Math.max(0, Math.round(value));
+  do { bytes.unshift(v % 256); v = Math.floor(v / 256); } while (v > 0);
+  return Uint8Array.from(bytes);
+}
+
+function floatBytes(value) {
+  const out = new Uint8Array(8);
+  new DataView(out.buffer).setFloat64(0, value);
+  return out;
+}
+
+function el(id, payload) {
+  const body = Array.isArray(payload) ? concat(payload) : payload;
+  return concat([idBytes(id), sizeBytes(body.length), body]);
+}
+const uint = (id, v) => el(id, uintBytes(v));
+const float = (id, v) => el(id, floatBytes(v));
+const str = (id, v) => el(id, textEncoder.encode(v));
+
+// tracks: [{ type: "video", codec, width, height } | { type: "audio", codec, sampleRate, channels, codecPrivate? }]
+export function createWebmMuxer(tracks) {
+  const blocks = []; // { track, timestamp (µs), end (µs), key, data }
+
+  function addChunk(trackIndex, chunk, metadata) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const track = tracks[trackIndex];
+    if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.codecPrivate) {
+      const d = metadata.decoderConfig.description;
+      track.codecPrivate = d instanceof ArrayBuffer ? new Uint8Array(d) : new Uint8Array(d.buffer, d.byteOffset, d.byteLength);
+    }
+    blocks.push({ track: trackIndex + 1, timestamp: chunk.timestamp, end: chunk.timestamp + (chunk.duration || 0), key: chunk.type === "key", data });
+  }
+
+  function trackEntry(t, i) {
+    const children = [
+      uint(0xd7, i + 1), // TrackNumber
+      uint(0x73c5, i + 1), // TrackUID
+      uint(0x83, t.type === "video" ? 1 : 2), // TrackType
+      str(0x86, webmCodecId(t.codec)), // CodecID
+    ];
+    if (t.codecPrivate) children.push(el(0x63a2, t.codecPrivate));
+    if (t.type === "video") {
+      children.push(el(0xe0, [uint(0xb0, t.width), uint(0xba, t.height)]));
+    } else {
+      children.push(el(0xe1, [float(0xb5, t.sampleRate), uint(0x9f, t.channels)]));
+    }
+    return el(0xae, children);
+  }
+
+  function finalize() {
+    blocks.sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+    const videoTrack = tracks.findIndex((t) => t.type === "video") + 1;
+    const end = blocks.reduce((m, b) => Math.max(m, b.end), 0);
+
+    const header = el(0x1a45dfa3, [
+      uint(0x4286, 1), uint(0x42f7, 1), uint(0x42f2, 4), uint(0x42f3, 8),
+      str(0x4282, "webm"), uint(0x4287, 4), uint(0x4285, 2),
+    ]);
+    const info = el(0x1549a966, [
+      uint(0x2ad7b1, 1000000), // TimecodeScale: 1ms
+      float(0x4489, end / 1000), // Duration (ms)
+      str(0x4d80, "VideoEffectsEditor"),
+      str(0x5741, "VideoEffectsEditor"),
+    ]);
+    const trackList = el(0x1654ae6b, tracks.map(trackEntry));
+
+    // Group blocks into clusters: start a new one at every video keyframe or after ~30s
+    const clusters = [];
+    let current = null;
+    for (const b of blocks) {
+      const ms = Math.round(b.timestamp / 1000);
+      const startNew = !current || (b.track === videoTrack && b.key) || ms - current.time > 30000;
+      if (startNew) { current = { time: ms, parts: [] }; clusters.push(current); }
+      const head = new Uint8Array(4);
+      head[0] = 0x80 | b.track; // track number as 1-byte vint
+      new DataView(head.buffer).setInt16(1, ms - current.time);
+      head[3] = b.key ? 0x80 : 0;
+      current.parts.push(el(0xa3, concat([head, b.data]))); // SimpleBlock
+    }
+    const clusterBytes = clusters.map((c) => el(0x1f43b675, [uint(0xe7, c.time), ...c.parts]));
+
+    // Cues point at each cluster, relative to the start of the segment payload
+    let pos = info.length + trackList.length;
+    const cuePoints = clusterBytes.map((bytes, i) => {
+      const cue = el(0xbb, [uint(0xb3, clusters[i].time), el(0xb7, [uint(0xf7, videoTrack || 1), uint(0xf1, pos)])]);
+      pos += bytes.length;
+      return cue;
+    });
+    const cues = cuePoints.length ? [el(0x1c53bb6b, cuePoints)] : [];
+
+    const segment = el(0x18538067, [info, trackList, ...clusterBytes, ...cues]);
+    return new Blob([header, segment], { type: tracks.some((t) => t.type === "video") ? "video/webm" : "audio/webm" });
+  }
+
+  return { addChunk, finalize };
+}
@@ -0,0 +1,161 @@
+// Minimal ZIP writer (stored entries, no compression) for image-sequence exports and project bundles,
+// and a reader for those. PNG and video data are already compressed, so storing them costs nothing.
+// There is no ZIP64 support: archives are limited to 4 GiB and 65535 entries, and adding past that
+// throws rather than writing a corrupt file.
+
+const ZIP32_MAX_SIZE = 0xffffffff;
+const ZIP32_MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function updateCrc(crc, bytes) {
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return crc;
+}
+
+export function crc32(bytes) {
+  return (updateCrc(0xffffffff, bytes) ^ 0xffffffff) >>> 0;
+}
+
+// CRC-32 of a Blob read as a stream, so large files are never held in memory
+async function blobCrc32(blob) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = updateCrc(crc, value);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return [time, day];
+}
+
+export function createZip() {
+  const parts = [];
+  const central = [];
+  const textEncoder = new TextEncoder();
+  const [time, day] = dosDateTime(new Date());
+  let offset = 0;
+
+  function header(size, fill) {
+    const bytes = new Uint8Array(size);
+    fill(new DataView(bytes.buffer));
+    return bytes;
+  }
+
+  // Throws when an entry of `size` bytes would take the archive past the ZIP32 limits
+  function reserve(name, nameBytes, size) {
+    if (central.length / 2 >= ZIP32_MAX_ENTRIES) throw new Error(`Can't add "${name}": a ZIP file holds at most ${ZIP32_MAX_ENTRIES} entries`);
+    if (offset + 30 + nameBytes.length + size > ZIP32_MAX_SIZE) throw new Error(`Can't add "${name}": ZIP files over 4 GiB are not supported`);
+  }
+
+  // `data` is a Uint8Array, or a Blob whose CRC is `crc` (see addBlob)
+  function add(name, data, crc) {
+    const nameBytes = textEncoder.encode(name);
+    const size = data instanceof Blob ? data.size : data.length;
+    reserve(name, nameBytes, size);
+    if (crc === undefined) crc = crc32(data);
+    const local = header(30, (v) => {
+      v.setUint32(0, 0x04034b50, true);
+      v.setUint16(4, 20, true); // version needed
+      v.setUint16(6, 0x0800, true); // UTF-8 names
+      v.setUint16(8, 0, true); // stored
+      v.setUint16(10, time, true);
+      v.setUint16(12, day, true);
+      v.setUint32(14, crc, true);
+      v.setUint32(18, size, true);
+      v.setUint32(22, size, true);
+      v.setUint16(26, nameBytes.length, true);
+    });
+    central.push(header(46, (v) => {
+      v.setUint32(0, 0x02014b50, true);
+      v.setUint16(4, 20, true); // version made by
+      v.setUint16(6, 20, true);
+      v.setUint16(8, 0x0800, true);
+      v.setUint16(10, 0, true);
+      v.setUint16(12, time, true);
+      v.setUint16(14, day, true);
+      v.setUint32(16, crc, true);
+      v.setUint32(20, size, true);
+      v.setUint32(24, size, true);
+      v.setUint16(28, nameBytes.length, true);
+      v.setUint32(42, offset, true);
+    }), nameBytes);
+    parts.push(local, nameBytes, data);
+    offset += local.length + nameBytes.length + size;
+  }
+
+  // Add a Blob (e.g. a File) without reading it into memory: it is streamed once for its CRC, and the
+  // finished archive references it
+  async function addBlob(name, blob) {
+    reserve(name, textEncoder.encode(name), blob.size);
+    add(name, blob, await blobCrc32(blob));
+  }
+
+  function finish() {
+    const size = central.reduce((n, p) => n + p.length, 0);
+    if (offset + size + 22 > ZIP32_MAX_SIZE) throw new Error("ZIP files over 4 GiB are not supported");
+    const end = header(22, (v) => {
+      v.setUint32(0, 0x06054b50, true);
+      v.setUint16(8, central.length / 2, true);
+      v.setUint16(10, central.length / 2, true);
+      v.setUint32(12, size, true);
+      v.setUint32(16, offset, true);
+    });
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
+  }
+
+  return { add, addBlob, finish };
+}
+
+// Entries of a ZIP file as { name: Blob }. Stored entries are sliced out of `blob` without copying;
+// deflated ones (from other zip tools) need DecompressionStream.
+export async function readZip(blob) {
+  const bytes = async (start, length) => new DataView(await blob.slice(start, start + length).arrayBuffer());
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = await bytes(blob.size - tailSize, tailSize);
+  let end = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a ZIP file");
+  const count = tail.getUint16(end + 10, true);
+  const dir = await bytes(tail.getUint32(end + 16, true), tail.getUint32(end + 12, true));
+  const decoder = new TextDecoder();
+  const entries = {};
+  let p = 0;
+  for (let n = 0; n < count; n++) {
+    if (dir.getUint32(p, true) !== 0x02014b50) throw new Error("Damaged ZIP directory");
+    const method = dir.getUint16(p + 10, true);
+    const size = dir.getUint32(p + 20, true);
+    const nameLength = dir.getUint16(p + 28, true);
+    const skip = nameLength + dir.getUint16(p + 30, true) + dir.getUint16(p + 32, true);
+    const offset = dir.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, dir.byteOffset + p + 46, nameLength));
+    p += 46 + skip;
+    if (name.endsWith("/")) continue;
+    const local = await bytes(offset, 30);
+    const start = offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = blob.slice(start, start + size);
+    if (method === 0) entries[name] = data;
+    else if (method === 8 && typeof DecompressionStream !== "undefined") entries[name] = await new Response(data.stream().pipeThrough(new DecompressionStream("deflate-raw"))).blob();
+    else throw new Error(`Can't read "${name}": unsupported compression`);
+  }
+  return entries;
+}